@@ -41,7 +41,7 @@ abstract contract MinimalBaseEscrow is IBaseEscrow {
     }
 
     modifier onlyValidSecret(bytes32 secret, Immutables calldata immutables) {
-        if (_keccakBytes32(secret) != immutables.hashlock) revert InvalidSecret();
+        if (!_matchesHashlock(secret, immutables.hashlock)) revert InvalidSecret();
         _;
     }
 
@@ -93,14 +93,15 @@ abstract contract MinimalBaseEscrow is IBaseEscrow {
     function _validateImmutables(Immutables calldata immutables) internal view virtual;
 
     /**
-     * @dev Computes the Keccak-256 hash of the secret.
+     * @dev Checks the secret against the hashlock with the hashes Bitcoin script can also verify.
+     * The hashlock is either SHA-256(secret) or HASH160(secret), left-aligned in 32 bytes.
      * @param secret The secret that unlocks the escrow.
-     * @return ret The computed hash.
+     * @param hashlock The hashlock of the escrow.
+     * @return True if the secret opens the hashlock.
      */
-    function _keccakBytes32(bytes32 secret) private pure returns (bytes32 ret) {
-        assembly ("memory-safe") {
-            mstore(0, secret)
-            ret := keccak256(0, 0x20)
-        }
+    function _matchesHashlock(bytes32 secret, bytes32 hashlock) private pure returns (bool) {
+        bytes32 digest = sha256(abi.encodePacked(secret));
+        if (digest == hashlock) return true;
+        return bytes32(ripemd160(abi.encodePacked(digest))) == hashlock;
     }
 } 
\ No newline at end of file
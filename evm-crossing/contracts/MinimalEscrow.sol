@@ -17,13 +17,16 @@ import { MinimalBaseEscrow } from "./MinimalBaseEscrow.sol";
 abstract contract MinimalEscrow is MinimalBaseEscrow, IEscrow {
     using ImmutablesLib for Immutables;
 
+    /// @dev The implementation the factory clones; clones read it from the implementation's bytecode.
+    address private immutable _IMPLEMENTATION = address(this);
+
     /**
      * @dev Verifies that the computed escrow address matches the address of this contract.
      */
     function _validateImmutables(Immutables calldata immutables) internal view virtual override {
         bytes32 salt = immutables.hash();
         address predicted = Clones.predictDeterministicAddress(
-            address(this),
+            _IMPLEMENTATION,
             salt,
             FACTORY
         );
@@ -33,7 +33,7 @@ contract MinimalEscrowDst is MinimalEscrow {
      * @param immutables The immutable values used to deploy the clone contract.
      */
     function withdraw(bytes32 secret, Immutables calldata immutables)
-        external
+        public
         onlyTaker(immutables)
         onlyAfter(immutables.timelocks.get(TimelocksLib.Stage.DstWithdrawal))
         onlyBefore(immutables.timelocks.get(TimelocksLib.Stage.DstCancellation))
@@ -47,7 +47,7 @@ contract MinimalEscrowDst is MinimalEscrow {
      * @param immutables The immutable values used to deploy the clone contract.
      */
     function publicWithdraw(bytes32 secret, Immutables calldata immutables)
-        external
+        public
         onlyAfter(immutables.timelocks.get(TimelocksLib.Stage.DstPublicWithdrawal))
         onlyBefore(immutables.timelocks.get(TimelocksLib.Stage.DstCancellation))
     {
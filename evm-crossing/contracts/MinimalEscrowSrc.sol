@@ -35,7 +35,7 @@ contract MinimalEscrowSrc is MinimalEscrow {
      * @param immutables The immutable values used to deploy the clone contract.
      */
     function withdraw(bytes32 secret, Immutables calldata immutables)
-        external
+        public
         onlyTaker(immutables)
         onlyAfter(immutables.timelocks.get(TimelocksLib.Stage.SrcWithdrawal))
         onlyBefore(immutables.timelocks.get(TimelocksLib.Stage.SrcCancellation))
@@ -49,7 +49,7 @@ contract MinimalEscrowSrc is MinimalEscrow {
      * @param immutables The immutable values used to deploy the clone contract.
      */
     function publicWithdraw(bytes32 secret, Immutables calldata immutables)
-        external
+        public
         onlyAfter(immutables.timelocks.get(TimelocksLib.Stage.SrcPublicWithdrawal))
         onlyBefore(immutables.timelocks.get(TimelocksLib.Stage.SrcCancellation))
     {
@@ -78,7 +78,7 @@ contract MinimalEscrowSrc is MinimalEscrow {
      * @param immutables The immutable values used to deploy the clone contract.
      */
     function withdrawTo(bytes32 secret, address target, Immutables calldata immutables)
-        external
+        public
         onlyTaker(immutables)
         onlyAfter(immutables.timelocks.get(TimelocksLib.Stage.SrcWithdrawal))
         onlyBefore(immutables.timelocks.get(TimelocksLib.Stage.SrcCancellation))
@@ -113,23 +113,23 @@ contract MinimalEscrowSrc is MinimalEscrow {
     }
 
     /**
-     * @dev Transfers ERC20 tokens to the target and native tokens to the caller.
+     * @dev Transfers tokens to the target and native tokens to the caller.
      */
     function _withdrawTo(bytes32 secret, address target, Immutables calldata immutables)
         internal
         onlyValidImmutables(immutables)
         onlyValidSecret(secret, immutables)
     {
-        IERC20(immutables.token.get()).safeTransfer(target, immutables.amount);
+        _uniTransfer(immutables.token.get(), target, immutables.amount);
         _ethTransfer(msg.sender, immutables.safetyDeposit);
         emit EscrowWithdrawal(secret);
     }
 
     /**
-     * @dev Transfers ERC20 tokens to the maker and native tokens to the caller.
+     * @dev Transfers tokens to the maker and native tokens to the caller.
      */
     function _cancel(Immutables calldata immutables) internal onlyValidImmutables(immutables) {
-        IERC20(immutables.token.get()).safeTransfer(immutables.maker.get(), immutables.amount);
+        _uniTransfer(immutables.token.get(), immutables.maker.get(), immutables.amount);
         _ethTransfer(msg.sender, immutables.safetyDeposit);
         emit EscrowCancelled();
     }
@@ -14,7 +14,7 @@ import { Timelocks } from "../libraries/TimelocksLib.sol";
 interface IBaseEscrow {
     struct Immutables {
         bytes32 orderHash;
-        bytes32 hashlock;  // Hash of the secret.
+        bytes32 hashlock;  // SHA-256 or left-aligned HASH160 of the secret.
         Address maker;
         Address taker;
         Address token;
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.30;
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title Mock BOO token
+ * @notice Freely mintable ERC20 for tests and local deployments.
+ */
+contract MockBooToken is ERC20 {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    /**
+     * @notice Mints tokens to an account.
+     * @param to The account receiving the tokens.
+     * @param amount The amount to mint.
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
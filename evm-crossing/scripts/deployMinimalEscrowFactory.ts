@@ -46,13 +46,13 @@ async function main() {
 
   console.log("\n=== Example HTLC Usage ===");
 
-  // Example secret and hashlock
+  // Example secret and hashlock; the escrows check sha256(secret), the same hash as the Bitcoin HTLC
   const secret = ethers.keccak256(ethers.toUtf8Bytes("my_secret_phrase"));
-  const hashlock = ethers.keccak256(ethers.toBeArray(secret));
+  const hashlock = ethers.sha256(secret);
 
   console.log("Example Secret (keccak256('my_secret_phrase')):");
   console.log(secret);
-  console.log("Example Hashlock (keccak256(secret)):");
+  console.log("Example Hashlock (sha256(secret)):");
   console.log(hashlock);
 
   // Example addresses (replace with real addresses or get deployer/signer)
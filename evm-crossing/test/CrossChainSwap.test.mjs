@@ -0,0 +1,284 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { setBalance, time } from "@nomicfoundation/hardhat-network-helpers";
+import * as bitcoin from "bitcoinjs-lib";
+import { ECPairFactory } from "ecpair";
+import * as ecc from "tiny-secp256k1";
+import { SwapCoordinator } from "../../src/swap-coordinator.js";
+import { CrossChainSwap } from "../../src/cross-chain-swap.js";
+import { Hashlock } from "../../src/hashlock.js";
+import { Timelock, TIMELOCK_TYPES } from "../../src/timelock.js";
+import { EscrowClient, buildImmutables } from "../../src/evm-escrow.js";
+import { ResolverServer } from "../../src/resolver-server.js";
+import { SwapJournal } from "../../src/swap-journal.js";
+import { createSwapOffer, getAgreedTerms, signSwapMessage } from "../../src/swap-offer.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const { ethers } = hre;
+
+bitcoin.initEccLib(ecc);
+const ECPair = ECPairFactory(ecc);
+const network = bitcoin.networks.testnet;
+
+// Bitcoin chain in memory: broadcasts confirm at once and spend their inputs
+const createBtcChain = () => {
+  const chain = { utxos: {}, outspends: {}, txs: {} };
+  chain.rpc = {
+    getAddressUtxos: async (address) => chain.utxos[address] || [],
+    getOutspend: async (txid, vout) => chain.outspends[`${txid}:${vout}`] || { spent: false },
+    getTransactionHex: async (txid) => chain.txs[txid],
+    getFeeEstimates: async () => ({ fast: 6, medium: 3, slow: 1 }),
+    broadcastTransaction: async (txHex) => {
+      const tx = bitcoin.Transaction.fromHex(txHex);
+      const txid = tx.getId();
+      chain.txs[txid] = txHex;
+      for (const input of tx.ins) {
+        const spent = Buffer.from(input.hash).reverse().toString("hex");
+        chain.outspends[`${spent}:${input.index}`] = { spent: true, txid, confirmed: true };
+        for (const address of Object.keys(chain.utxos)) {
+          chain.utxos[address] = chain.utxos[address].filter((utxo) => utxo.txid !== spent || utxo.vout !== input.index);
+        }
+      }
+      tx.outs.forEach((output, vout) => {
+        const address = bitcoin.address.fromOutputScript(output.script, network);
+        chain.utxos[address] = [...(chain.utxos[address] || []), { txid, vout, value: output.value, confirmed: true }];
+      });
+      return txid;
+    },
+  };
+  return chain;
+};
+
+// Both parties of a swap against the compiled escrows, with the Bitcoin leg on
+// an in-memory chain and the swap clock following the Hardhat block time
+describe("CrossChainSwap", function () {
+  const offsets = {
+    srcWithdrawal: 60,
+    srcPublicWithdrawal: 3600,
+    srcCancellation: 14400,
+    srcPublicCancellation: 18000,
+    dstWithdrawal: 30,
+    dstPublicWithdrawal: 600,
+    dstCancellation: 3600,
+  };
+
+  let factoryAddress;
+  let evmUser;
+  let evmResolver;
+  let clock;
+  const now = () => clock;
+  const sync = async () => {
+    clock = await time.latest();
+  };
+
+  const setup = (direction, btcRefundDelay) => {
+    const btcChain = createBtcChain();
+    const coordinator = new SwapCoordinator(network, { rpc: btcChain.rpc });
+    const user = ECPair.makeRandom({ network });
+    const resolver = ECPair.makeRandom({ network });
+    const { secret, hash, hashlock } = new Hashlock().generateSecret();
+    const timelock = new Timelock(TIMELOCK_TYPES.TIMESTAMP, clock + btcRefundDelay);
+    const swapConfig =
+      direction === "ETH->BTC"
+        ? { ...coordinator.setupETHtoBTC(user.publicKey, resolver, hash, 24, { timelock, amount: 50000 }), userKey: user }
+        : coordinator.setupBTCtoETH(user, resolver, hash, 24, { timelock, amount: 50000 });
+    const immutables = buildImmutables({
+      hashlock,
+      maker: evmUser.address,
+      taker: evmResolver.address,
+      amount: ethers.parseEther("1"),
+      safetyDeposit: ethers.parseEther("0.1"),
+      timelocks: offsets,
+    });
+    const funder = swapConfig.refunder === "user" ? user : resolver;
+    const wallet = bitcoin.payments.p2wpkh({ pubkey: funder.publicKey, network }).address;
+    btcChain.utxos[wallet] = [{ txid: "f0".repeat(32), vout: 0, value: 200000, confirmed: true }];
+
+    const options = { immutables, now, btcFee: { feeRate: 2 } };
+    const userSwap = new CrossChainSwap(coordinator, new EscrowClient(factoryAddress, evmUser), swapConfig, {
+      ...options,
+      role: "user",
+      secret,
+      btcWallet: swapConfig.refunder === "user" ? user : undefined,
+      btcAddress: bitcoin.payments.p2wpkh({ pubkey: user.publicKey, network }).address,
+    });
+    const resolverSwap = new CrossChainSwap(coordinator, new EscrowClient(factoryAddress, evmResolver), swapConfig, {
+      ...options,
+      role: "resolver",
+      btcWallet: swapConfig.refunder === "resolver" ? resolver : undefined,
+      btcAddress: bitcoin.payments.p2wpkh({ pubkey: resolver.publicKey, network }).address,
+    });
+    return { secret, userSwap, resolverSwap };
+  };
+
+  beforeEach(async function () {
+    [, evmUser, evmResolver] = await ethers.getSigners();
+    const Factory = await ethers.getContractFactory("MinimalEscrowFactory");
+    const factory = await Factory.deploy(3600, 7200);
+    await factory.waitForDeployment();
+    factoryAddress = await factory.getAddress();
+    await sync();
+  });
+
+  it("runs BTC->ETH with the resolver's destination escrow", async function () {
+    const { secret, userSwap, resolverSwap } = setup("BTC->ETH", 9000);
+
+    await userSwap.advance();
+    await resolverSwap.advance();
+    expect(resolverSwap.state).to.equal("evm-escrow-created");
+    const escrow = resolverSwap.evm.escrow;
+    expect(await ethers.provider.getBalance(escrow)).to.equal(ethers.parseEther("1.1"));
+
+    await sync();
+    await userSwap.advance();
+    expect(userSwap.state).to.equal("evm-escrow-created");
+
+    // The user is the maker, so it withdraws once the public withdrawal opens
+    await time.increase(offsets.dstPublicWithdrawal);
+    await sync();
+    const userBalance = await ethers.provider.getBalance(evmUser.address);
+    await userSwap.advance();
+    expect(userSwap.state).to.equal("secret-revealed");
+    expect(await ethers.provider.getBalance(escrow)).to.equal(0n);
+    expect(await ethers.provider.getBalance(evmUser.address)).to.be.gt(userBalance);
+
+    await resolverSwap.advance();
+    expect(resolverSwap.revealedOn).to.equal("evm");
+    expect(resolverSwap.secret.equals(secret)).to.equal(true);
+    expect(resolverSwap.state).to.equal("both-claimed");
+  });
+
+  it("runs ETH->BTC with the user's source escrow", async function () {
+    const { userSwap, resolverSwap } = setup("ETH->BTC", 7200);
+
+    await userSwap.advance();
+    expect(userSwap.state).to.equal("evm-escrow-created");
+    const escrow = userSwap.evm.escrow;
+
+    await sync();
+    await resolverSwap.advance();
+    expect(resolverSwap.state).to.equal("btc-funded");
+
+    await userSwap.advance();
+    expect(userSwap.state).to.equal("secret-revealed");
+
+    await time.increase(offsets.srcWithdrawal);
+    await sync();
+    const resolverBalance = await ethers.provider.getBalance(evmResolver.address);
+    await resolverSwap.advance();
+    expect(resolverSwap.state).to.equal("both-claimed");
+    expect(await ethers.provider.getBalance(escrow)).to.equal(0n);
+    expect(await ethers.provider.getBalance(evmResolver.address)).to.be.gt(resolverBalance);
+  });
+
+  it("cancels the user's source escrow when the resolver never locks BTC", async function () {
+    const { userSwap } = setup("ETH->BTC", 7200);
+
+    await userSwap.advance();
+    const escrow = userSwap.evm.escrow;
+
+    // Only the taker may cancel before the public cancellation opens
+    await time.increase(offsets.srcPublicCancellation);
+    await sync();
+    const userBalance = await ethers.provider.getBalance(evmUser.address);
+    await userSwap.advance();
+    expect(userSwap.state).to.equal("refunded");
+    expect(await ethers.provider.getBalance(escrow)).to.equal(0n);
+    expect(await ethers.provider.getBalance(evmUser.address)).to.be.gt(userBalance);
+  });
+});
+
+// The resolver service taking a quoted BTC->ETH offer and locking the escrow on Hardhat
+describe("ResolverServer", function () {
+  let clock;
+  const now = () => clock;
+  const sync = async () => {
+    clock = await time.latest();
+  };
+
+  let journalDir;
+  beforeEach(function () {
+    journalDir = fs.mkdtempSync(path.join(os.tmpdir(), "resolver-"));
+  });
+  afterEach(function () {
+    fs.rmSync(journalDir, { recursive: true, force: true });
+  });
+
+  it("accepts a BTC->ETH offer and claims the BTC once the user withdraws", async function () {
+    const Factory = await ethers.getContractFactory("MinimalEscrowFactory");
+    const factory = await Factory.deploy(3600, 7200);
+    await factory.waitForDeployment();
+    const factoryAddress = await factory.getAddress();
+    await sync();
+
+    // Wallets that sign the offer and acceptance, sending transactions as impersonated accounts
+    const btcChain = createBtcChain();
+    const resolverBtc = ECPair.makeRandom({ network });
+    const resolverEth = ethers.Wallet.createRandom();
+    const user = { btcKey: ECPair.makeRandom({ network }), ethWallet: ethers.Wallet.createRandom() };
+    const signerFor = async (address) => {
+      await setBalance(address, ethers.parseEther("10"));
+      return ethers.getImpersonatedSigner(address);
+    };
+
+    const server = new ResolverServer(new SwapJournal(journalDir, { passphrase: "resolver", kdfParams: { n: 1 << 10, r: 8, p: 1 } }), {
+      coordinator: new SwapCoordinator(network, { rpc: btcChain.rpc }),
+      escrowClient: new EscrowClient(factoryAddress, await signerFor(resolverEth.address)),
+      btcKey: resolverBtc,
+      ethWallet: resolverEth,
+      chainId: Number((await ethers.provider.getNetwork()).chainId),
+      factory: factoryAddress,
+      rate: 200000000000n,
+      safetyDeposit: ethers.parseEther("0.001"),
+      btcFee: { feeRate: 2 },
+      now,
+    });
+
+    const { secret, hash } = new Hashlock().generateSecret();
+    const quote = server.quote({ direction: "BTC->ETH", amount: 50000 });
+    const offer = signSwapMessage(
+      createSwapOffer({
+        direction: quote.direction,
+        expiry: clock + 600,
+        secretHash: hash,
+        btc: { ...quote.btc, pubkey: user.btcKey.publicKey },
+        evm: { ...quote.evm, address: user.ethWallet.address },
+      }),
+      user
+    );
+    const { id, acceptance } = server.acceptOffer(offer);
+    const terms = getAgreedTerms(offer, acceptance, { now: clock });
+
+    const coordinator = new SwapCoordinator(network, { rpc: btcChain.rpc });
+    const userWallet = bitcoin.payments.p2wpkh({ pubkey: user.btcKey.publicKey, network }).address;
+    btcChain.utxos[userWallet] = [{ txid: "e0".repeat(32), vout: 0, value: 200000, confirmed: true }];
+    const userSwap = new CrossChainSwap(
+      coordinator,
+      new EscrowClient(factoryAddress, await signerFor(user.ethWallet.address)),
+      coordinator.setupBTCtoETH(user.btcKey, terms.btc.redeemerPubKey, hash, undefined, {
+        timelock: terms.btc.timelock,
+        amount: terms.btc.amount,
+      }),
+      { role: "user", immutables: buildImmutables(terms.evm), secret, btcWallet: user.btcKey, btcAddress: userWallet, btcFee: { feeRate: 2 }, now }
+    );
+
+    await userSwap.advance();
+    await sync();
+    await server.tick();
+    const created = server.getStatus(id);
+    expect(created.state).to.equal("evm-escrow-created");
+    expect(await ethers.provider.getBalance(created.evm.escrow)).to.equal(BigInt(terms.evm.amount) + BigInt(terms.evm.safetyDeposit));
+
+    await time.increase(quote.evm.timelocks.dstPublicWithdrawal);
+    await sync();
+    await userSwap.advance();
+    expect(userSwap.state).to.equal("secret-revealed");
+
+    await server.tick();
+    const finished = server.getStatus(id);
+    expect(finished.state).to.equal("both-claimed");
+    expect(finished.btc.status).to.equal("claimed");
+  });
+});
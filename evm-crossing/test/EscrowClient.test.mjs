@@ -0,0 +1,97 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { createHash } from "crypto";
+import { EscrowError } from "../../src/errors.js";
+import { EscrowClient, buildImmutables, timelockStart } from "../../src/evm-escrow.js";
+
+const { ethers } = hre;
+
+// The SDK's EscrowClient against the compiled factory and escrows, so its ABI
+// has to match the deployed selectors and the uint256 `Address` fields
+describe("EscrowClient", function () {
+  const offsets = {
+    srcWithdrawal: 60,
+    srcPublicWithdrawal: 3600,
+    srcCancellation: 14400,
+    srcPublicCancellation: 18000,
+    dstWithdrawal: 30,
+    dstPublicWithdrawal: 600,
+    dstCancellation: 3600,
+  };
+  const amount = ethers.parseEther("1");
+  const safetyDeposit = ethers.parseEther("0.1");
+
+  let maker;
+  let taker;
+  let factoryAddress;
+  let secret;
+  let hashlock;
+
+  beforeEach(async function () {
+    [, maker, taker] = await ethers.getSigners();
+    const Factory = await ethers.getContractFactory("MinimalEscrowFactory");
+    const factory = await Factory.deploy(3600, 7200);
+    await factory.waitForDeployment();
+    factoryAddress = await factory.getAddress();
+
+    secret = ethers.randomBytes(32);
+    hashlock = "0x" + createHash("sha256").update(secret).digest("hex");
+  });
+
+  const immutablesFor = () =>
+    buildImmutables({
+      hashlock,
+      maker: maker.address,
+      taker: taker.address,
+      amount,
+      safetyDeposit,
+      timelocks: offsets,
+    });
+
+  it("creates a destination escrow at the predicted address and withdraws to the maker", async function () {
+    const client = new EscrowClient(factoryAddress, taker);
+    const srcCancellation = (await time.latest()) + 7200;
+
+    const created = await client.createDstEscrow(immutablesFor(), srcCancellation);
+    expect(await client.addressOfEscrowDst(created.immutables)).to.equal(created.escrow);
+    expect(await ethers.provider.getBalance(created.escrow)).to.equal(amount + safetyDeposit);
+
+    const found = await client.findEscrow("dst", hashlock);
+    expect(found.escrow).to.equal(created.escrow);
+
+    await time.increaseTo(timelockStart(created.immutables.timelocks, "dstWithdrawal"));
+    const makerBefore = await ethers.provider.getBalance(maker.address);
+    await client.withdraw(created.escrow, secret, created.immutables);
+
+    expect(await ethers.provider.getBalance(maker.address)).to.equal(makerBefore + amount);
+    const status = await client.getEscrowStatus(created.escrow);
+    expect(status.status).to.equal("withdrawn");
+    expect(status.secret).to.equal(ethers.hexlify(secret));
+  });
+
+  it("creates a source escrow and cancels it back to the maker", async function () {
+    const client = new EscrowClient(factoryAddress, taker);
+
+    const created = await new EscrowClient(factoryAddress, maker).createSrcEscrow(immutablesFor());
+    expect(await client.addressOfEscrowSrc(created.immutables)).to.equal(created.escrow);
+    expect((await client.findEscrow("src", hashlock)).escrow).to.equal(created.escrow);
+
+    await time.increaseTo(timelockStart(created.immutables.timelocks, "srcCancellation"));
+    const makerBefore = await ethers.provider.getBalance(maker.address);
+    await client.cancel(created.escrow, created.immutables);
+
+    expect(await ethers.provider.getBalance(maker.address)).to.equal(makerBefore + amount);
+    expect((await client.getEscrowStatus(created.escrow)).status).to.equal("cancelled");
+  });
+
+  it("decodes the custom errors of the escrows", async function () {
+    const client = new EscrowClient(factoryAddress, taker);
+    const created = await client.createDstEscrow(immutablesFor(), (await time.latest()) + 7200);
+    await time.increaseTo(timelockStart(created.immutables.timelocks, "dstWithdrawal"));
+
+    const error = await client.withdraw(created.escrow, ethers.randomBytes(32), created.immutables).catch((e) => e);
+    expect(error).to.be.instanceOf(EscrowError);
+    expect(error.errorName).to.equal("InvalidSecret");
+  });
+});
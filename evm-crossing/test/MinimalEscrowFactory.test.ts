@@ -2,6 +2,7 @@ import { SignerWithAddress } from "@nomicfoundation/hardhat-ethers/signers";
 import { expect } from "chai";
 import { EventLog } from "ethers"; // Import EventLog, Contract is not needed if token is any
 import { ethers } from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
 import { MinimalEscrowFactory } from "../typechain-types"; // Adjust if your typechain output is different
 
 describe("MinimalEscrowFactory", function () {
@@ -38,9 +39,14 @@ describe("MinimalEscrowFactory", function () {
 
       const orderHash = ethers.randomBytes(32);
       const hashlock = ethers.randomBytes(32);
-      const srcCancellationTimestamp = Math.floor(Date.now() / 1000) + 3600;
+      const srcCancellationTimestamp = (await time.latest()) + 3600;
 
+      // The factory checks the whole sequence, so the source stages must be
+      // set too and cancel after the destination does
       let packedTimelocks = 0n;
+      [400, 500, 600, 700].forEach((delay, stage) => {
+        packedTimelocks |= BigInt(delay) << (BigInt(stage) * 32n);
+      });
       const dstWithdrawalDelay = 100;
       const dstPublicWithdrawalDelay = 200;
       const dstCancellationDelay = 300;
@@ -94,4 +100,84 @@ describe("MinimalEscrowFactory", function () {
       );
     });
   });
+
+  // The escrows take sha256(secret), or HASH160 left-aligned in bytes32, so the
+  // same secret opens the Bitcoin HTLC
+  describe("withdraw hashlocks", function () {
+    const amount = ethers.parseEther("1");
+    const safetyDeposit = ethers.parseEther("0.1");
+    const secret = ethers.hexlify(ethers.randomBytes(32));
+
+    async function createNativeDstEscrow(hashlock: string) {
+      let packedTimelocks = 0n;
+      [100, 200, 300, 400, 10, 20, 30].forEach((delay, stage) => {
+        packedTimelocks |= BigInt(delay) << (BigInt(stage) * 32n);
+      });
+      const immutables = {
+        orderHash: ethers.hexlify(ethers.randomBytes(32)),
+        hashlock: hashlock,
+        maker: maker.address,
+        taker: taker.address,
+        token: ethers.ZeroAddress,
+        amount: amount,
+        safetyDeposit: safetyDeposit,
+        timelocks: packedTimelocks,
+      };
+
+      const srcCancellationTimestamp = (await time.latest()) + 3600;
+      const tx = await factory
+        .connect(taker)
+        .createDstEscrow(immutables, srcCancellationTimestamp, {
+          value: amount + safetyDeposit,
+        });
+      const receipt = await tx.wait();
+      const block = await ethers.provider.getBlock(receipt!.blockNumber);
+      const eventLog = receipt?.logs?.find(
+        (log) => log instanceof EventLog && log.eventName === "DstEscrowCreated"
+      ) as EventLog;
+
+      // The factory stamps the deployment time into the top 32 bits of the timelocks
+      const deployed = {
+        ...immutables,
+        timelocks: packedTimelocks | (BigInt(block!.timestamp) << 224n),
+      };
+      const escrow = await ethers.getContractAt(
+        "MinimalEscrowDst",
+        eventLog.args.escrow
+      );
+      await time.increase(10);
+      return { escrow, immutables: deployed };
+    }
+
+    it("should withdraw with the secret of a sha256 hashlock", async function () {
+      const { escrow, immutables } = await createNativeDstEscrow(
+        ethers.sha256(secret)
+      );
+
+      const tx = escrow.connect(taker).withdraw(secret, immutables);
+      await expect(tx).to.emit(escrow, "EscrowWithdrawal").withArgs(secret);
+      await expect(tx).to.changeEtherBalance(maker, amount);
+    });
+
+    it("should withdraw with the secret of a hash160 hashlock", async function () {
+      const hash160 = ethers.ripemd160(ethers.sha256(secret));
+      const { escrow, immutables } = await createNativeDstEscrow(
+        ethers.zeroPadBytes(hash160, 32)
+      );
+
+      const tx = escrow.connect(taker).withdraw(secret, immutables);
+      await expect(tx).to.emit(escrow, "EscrowWithdrawal").withArgs(secret);
+      await expect(tx).to.changeEtherBalance(maker, amount);
+    });
+
+    it("should reject the secret of a keccak256 hashlock", async function () {
+      const { escrow, immutables } = await createNativeDstEscrow(
+        ethers.keccak256(secret)
+      );
+
+      await expect(
+        escrow.connect(taker).withdraw(secret, immutables)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSecret");
+    });
+  });
 });
@@ -1,5 +1,6 @@
 import { BitcoinSDKCoordinator } from '../src/bitcoin-sdk-coordinator.js'
 import { KeyGenerator } from '../scripts/generate-keys.js'
+import { NetworkError, RateLimitError } from '../src/errors.js'
 
 console.log('🚀 Bitcoin SDK HTLC Demo')
 console.log('========================\n')
@@ -7,12 +8,14 @@ console.log('========================\n')
 async function runDemo() {
   const coordinator = new BitcoinSDKCoordinator('testnet')
   
-  // Generate or load keys from environment
-  let userPrivateKey = process.env.BTC_PRIVATE_KEY
+  // Generate or load keys from the keystore or environment
+  let userPrivateKey = process.env.KEYSTORE
+    ? coordinator.loadPrivateKey(process.env.KEYSTORE, process.env.KEYSTORE_PASSPHRASE)
+    : process.env.BTC_PRIVATE_KEY
   let resolverPrivateKey
   
   if (!userPrivateKey) {
-    console.log('🔑 No BTC_PRIVATE_KEY found, generating new keys...')
+    console.log('🔑 No KEYSTORE or BTC_PRIVATE_KEY found, generating new keys...')
     const generator = new KeyGenerator()
     const keySet = generator.generateTestKeySet()
     
@@ -25,7 +28,7 @@ async function runDemo() {
     console.log('   User:', keySet.bitcoin.addresses.bech32)
     console.log('')
   } else {
-    console.log('✅ Using BTC_PRIVATE_KEY from environment')
+    console.log(`✅ Using the BTC key from ${process.env.KEYSTORE || 'BTC_PRIVATE_KEY'}`)
     const generator = new KeyGenerator()
     resolverPrivateKey = generator.generateBitcoinKey().privateKey
   }
@@ -61,7 +64,17 @@ async function runDemo() {
 
     // Check HTLC status
     console.log('🔍 Checking HTLC status...')
-    const status = await coordinator.monitorHTLC(btcToEthSwap)
+    let status
+    try {
+      status = await coordinator.monitorHTLC(btcToEthSwap)
+    } catch (error) {
+      if (error instanceof NetworkError || error instanceof RateLimitError) {
+        // Unknown is not the same as unfunded: do not tell the user to send coins
+        console.log('🔌 Could not reach the Bitcoin provider, HTLC status unknown:', error.message)
+        return
+      }
+      throw error
+    }
     
     console.log('📊 HTLC Status:')
     console.log('   Funded:', status.funded ? '✅' : '❌')
@@ -128,7 +141,6 @@ async function demoETHtoBTC() {
   try {
     // Generate user's public key (in real scenario, this would be provided)
     const userKeyPair = await coordinator.htlc.generateKeyPair()
-    const resolverPrivateKey = process.env.BTC_PRIVATE_KEY || 'mock_private_key'
     
     const ethToBtcSwap = await coordinator.setupETHtoBTC(
       userKeyPair.publicKey,
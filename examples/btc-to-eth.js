@@ -44,18 +44,21 @@ console.log('🔓 Example Redeem Transaction:')
 const mockFundingTxId = '0'.repeat(64)
 const mockFundingVout = 0
 const mockFundingValue = 100000 // 0.001 BTC
-const mockClaimAddress = 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4' // Example testnet address
+const mockClaimAddress = bitcoin.payments.p2wpkh({ pubkey: resolverKey.publicKey, network }).address
 
 try {
-  const redeemTx = coordinator.createRedeemTransaction(
+  // The swap config only holds the resolver's public key, so the resolver signs a PSBT
+  const psbt = coordinator.createRedeemPsbt(
     swapConfig,
     mockFundingTxId,
     mockFundingVout,
     mockFundingValue,
     mockClaimAddress,
-    secret,
     1000
   )
+  psbt.signInput(0, resolverKey)
+
+  const redeemTx = coordinator.finalizeRedeemPsbt(psbt, swapConfig, secret)
   console.log('✅ Redeem TX (hex):', redeemTx.slice(0, 100) + '...')
 } catch (error) {
   console.log('⚠️  Redeem TX creation (requires real funding):', error.message)
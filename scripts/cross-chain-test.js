@@ -3,9 +3,12 @@ import { ECPairFactory } from 'ecpair'
 import * as ecc from 'tiny-secp256k1'
 import { ethers } from 'ethers'
 import { SwapCoordinator } from '../src/swap-coordinator.js'
+import { Hashlock } from '../src/hashlock.js'
+import { EscrowClient, buildImmutables, packTimelocks } from '../src/evm-escrow.js'
 import fs from 'fs'
 import path from 'path'
 import { loadTestConfig, checkDeploymentStatus } from './load-contracts.js'
+import { loadKeys } from '../src/keystore.js'
 
 // Initialize ECC
 bitcoin.initEccLib(ecc)
@@ -25,6 +28,7 @@ class CrossChainSwapTester {
     
     // Will be set from environment or user input
     this.btcPrivateKey = null
+    this.hdWallet = null // HDWallet of keystores with a mnemonic: every HTLC gets its own child key
     this.ethPrivateKey = null
     this.ethProvider = null
     this.ethSigner = null
@@ -70,6 +74,15 @@ class CrossChainSwapTester {
     console.log('')
   }
 
+  /**
+   * BTC key of one swap's HTLC: a fresh child key with an HD wallet, the loaded key otherwise
+   * @param {Buffer} secretHash - Hash of the swap secret
+   * @returns {bitcoin.ECPair} Key pair
+   */
+  swapKey(secretHash) {
+    return this.hdWallet ? this.hdWallet.deriveSwapKey(secretHash).key : this.btcPrivateKey
+  }
+
   async setupBTCtoETHSwap() {
     console.log('🔄 Setting up BTC → ETH Atomic Swap')
     console.log('=====================================\n')
@@ -89,7 +102,7 @@ class CrossChainSwapTester {
     // Setup Bitcoin HTLC (User locks BTC)
     const resolverPubKey = ECPair.makeRandom({ network: this.btcNetwork }).publicKey // In real scenario, this would be the resolver's actual pubkey
     const btcSwapConfig = this.swapCoordinator.setupBTCtoETH(
-      this.btcPrivateKey,
+      this.swapKey(secretHash),
       resolverPubKey,
       secretHash,
       2 // 2 hour timeout
@@ -103,6 +116,7 @@ class CrossChainSwapTester {
     
     // Setup Ethereum escrow (Resolver locks ETH)
     const ethSwapConfig = await this.setupEthereumEscrow(secretHash, 'destination')
+    Hashlock.assertCompatible(btcSwapConfig.script, ethSwapConfig.immutables.hashlock)
     
     console.log('📍 Ethereum Escrow:')
     console.log('   Address:', ethSwapConfig.address)
@@ -145,10 +159,11 @@ class CrossChainSwapTester {
     
     // Setup Bitcoin HTLC (Resolver locks BTC)
     const btcSwapConfig = this.swapCoordinator.setupETHtoBTC(
-      this.btcPrivateKey.publicKey,
+      this.swapKey(secretHash).publicKey,
       ECPair.makeRandom({ network: this.btcNetwork }), // In real scenario, this would be the resolver's actual key
       secretHash,
-      2 // 2 hour timeout
+      2, // 2 hour timeout
+      { evmHashlock: ethSwapConfig.immutables.hashlock }
     )
     
     console.log('📍 Bitcoin HTLC:')
@@ -166,43 +181,24 @@ class CrossChainSwapTester {
   }
 
   async setupEthereumEscrow(secretHash, type) {
-    // Load factory contract
-    const factoryABI = [
-      "function createSrcEscrow((bytes32,bytes32,address,address,address,uint256,uint256,uint256)) external payable",
-      "function createDstEscrow((bytes32,bytes32,address,address,address,uint256,uint256,uint256), uint256) external payable",
-      "function addressOfEscrowSrc((bytes32,bytes32,address,address,address,uint256,uint256,uint256)) external view returns (address)",
-      "function addressOfEscrowDst((bytes32,bytes32,address,address,address,uint256,uint256,uint256)) external view returns (address)"
-    ]
-    
-    const factory = new ethers.Contract(this.config.contracts.factoryAddress, factoryABI, this.ethSigner)
-    
-    // Pack timelocks
-    const timeouts = this.config.timeouts
-    let packedTimelocks = BigInt(0)
-    packedTimelocks |= BigInt(timeouts.srcWithdrawal)
-    packedTimelocks |= BigInt(timeouts.srcPublicWithdrawal) << BigInt(32)
-    packedTimelocks |= BigInt(timeouts.srcCancellation) << BigInt(64)
-    packedTimelocks |= BigInt(timeouts.srcPublicCancellation) << BigInt(96)
-    packedTimelocks |= BigInt(timeouts.dstWithdrawal) << BigInt(128)
-    packedTimelocks |= BigInt(timeouts.dstPublicWithdrawal) << BigInt(160)
-    packedTimelocks |= BigInt(timeouts.dstCancellation) << BigInt(192)
-    
-    const immutables = {
+    const client = new EscrowClient(this.config.contracts.factoryAddress, this.ethSigner)
+
+    const immutables = buildImmutables({
       orderHash: ethers.keccak256(ethers.toUtf8Bytes(`swap_${Date.now()}`)),
-      hashlock: '0x' + secretHash.toString('hex'),
+      hashlock: new Hashlock().toEvmHashlock(secretHash),
       maker: this.ethSigner.address,
       taker: this.ethSigner.address, // In real scenario, this would be different
       token: ethers.ZeroAddress, // ETH
       amount: ethers.parseEther(this.config.amounts.swapAmount),
       safetyDeposit: ethers.parseEther(this.config.amounts.safetyDeposit),
-      timelocks: packedTimelocks.toString()
-    }
+      timelocks: packTimelocks(this.config.timeouts)
+    })
     
     let escrowAddress
     if (type === 'source') {
-      escrowAddress = await factory.addressOfEscrowSrc(immutables)
+      escrowAddress = await client.addressOfEscrowSrc(immutables)
     } else {
-      escrowAddress = await factory.addressOfEscrowDst(immutables)
+      escrowAddress = await client.addressOfEscrowDst(immutables)
     }
     
     return {
@@ -210,7 +206,7 @@ class CrossChainSwapTester {
       immutables,
       token: immutables.token,
       amount: immutables.amount,
-      factory
+      client
     }
   }
 
@@ -229,13 +225,13 @@ class CrossChainSwapTester {
       case 'fund-eth':
         console.log('📤 Fund Ethereum Escrow')
         try {
-          const totalValue = swapData.ethSwapConfig.amount + swapData.ethSwapConfig.immutables.safetyDeposit
-          const tx = await swapData.ethSwapConfig.factory.createSrcEscrow(
-            swapData.ethSwapConfig.immutables,
-            { value: totalValue }
+          const { escrow, immutables, receipt } = await swapData.ethSwapConfig.client.createSrcEscrow(
+            swapData.ethSwapConfig.immutables
           )
-          console.log('   Transaction:', tx.hash)
-          await tx.wait()
+          swapData.ethSwapConfig.address = escrow
+          swapData.ethSwapConfig.immutables = immutables
+          console.log('   Transaction:', receipt.hash)
+          console.log('   Escrow:', escrow)
           console.log('   ✅ Ethereum escrow funded')
         } catch (error) {
           console.log('   ❌ Error:', error.message)
@@ -288,25 +284,25 @@ async function runTest() {
   console.log('🚀 Cross-Chain Atomic Swap Tester')
   console.log('==================================\n')
   
-  // These would come from environment variables or user input
-  const BTC_SEED = process.env.BTC_PRIVATE_KEY // 32-byte hex string
-  const ETH_SEED = process.env.ETH_PRIVATE_KEY // 32-byte hex string  
+  // Keys come from the keystore in KEYSTORE, or from BTC_PRIVATE_KEY / ETH_PRIVATE_KEY
+  const { btcKey, ethWallet, wallet } = loadKeys()
   const INFURA_KEY = process.env.INFURA_KEY
   
-  if (!BTC_SEED || !ETH_SEED || !INFURA_KEY) {
+  if (!btcKey || !ethWallet || !INFURA_KEY) {
     console.log('❌ Missing required environment variables:')
-    console.log('   BTC_PRIVATE_KEY - Bitcoin private key (32-byte hex)')
-    console.log('   ETH_PRIVATE_KEY - Ethereum private key (32-byte hex)')
+    console.log('   KEYSTORE - Keystore from npm run generate-keys')
+    console.log('   KEYSTORE_PASSPHRASE - Its passphrase')
     console.log('   INFURA_KEY - Infura API key for Sepolia')
     console.log('\nExample:')
-    console.log('   export BTC_PRIVATE_KEY="your_btc_private_key_hex"')
-    console.log('   export ETH_PRIVATE_KEY="your_eth_private_key_hex"')
+    console.log('   export KEYSTORE="keys/test-keys-2024-01-01.keystore.json"')
+    console.log('   export KEYSTORE_PASSPHRASE="your_passphrase"')
     console.log('   export INFURA_KEY="your_infura_key"')
     return
   }
   
   try {
-    await tester.initialize(BTC_SEED, ETH_SEED, INFURA_KEY)
+    await tester.initialize(btcKey.privateKey.toString('hex'), ethWallet.privateKey, INFURA_KEY)
+    tester.hdWallet = wallet
     
     // Example: BTC → ETH swap
     const swapData = await tester.setupBTCtoETHSwap()
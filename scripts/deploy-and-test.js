@@ -1,24 +1,25 @@
 import { ethers } from 'ethers'
 import fs from 'fs'
 import { CrossChainSwapTester } from './cross-chain-test.js'
+import { loadKeys } from '../src/keystore.js'
 
 async function deployAndTest() {
   console.log('🚀 Deploy Contracts and Run Cross-Chain Test')
   console.log('==============================================\n')
   
   const RPC_URL = process.env.SEPOLIA_RPC_URL || `https://sepolia.infura.io/v3/${process.env.INFURA_KEY}`
-  const ETH_PRIVATE_KEY = process.env.ETH_PRIVATE_KEY
+  const { ethWallet } = loadKeys()
   
-  if (!RPC_URL || !ETH_PRIVATE_KEY) {
+  if (!RPC_URL || !ethWallet) {
     console.log('❌ Missing environment variables:')
-    console.log('   ETH_PRIVATE_KEY - Ethereum private key')
+    console.log('   KEYSTORE and KEYSTORE_PASSPHRASE - Encrypted keys (or ETH_PRIVATE_KEY)')
     console.log('   SEPOLIA_RPC_URL - Sepolia RPC endpoint (or INFURA_KEY)')
     return
   }
   
   // Setup provider and signer
   const provider = new ethers.JsonRpcProvider(RPC_URL)
-  const signer = new ethers.Wallet(ETH_PRIVATE_KEY, provider)
+  const signer = ethWallet.connect(provider)
   
   console.log('📡 Connected to Sepolia')
   console.log('   Address:', signer.address)
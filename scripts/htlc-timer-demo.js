@@ -3,14 +3,17 @@ import * as bitcoin from 'bitcoinjs-lib'
 import * as ecc from 'tiny-secp256k1'
 import { ECPairFactory } from 'ecpair'
 import { SwapCoordinator } from '../src/swap-coordinator.js'
+import { OUTPUT_TYPES } from '../src/htlc.js'
 import { BitcoinRPC } from '../src/bitcoin-rpc.js'
+import { NetworkError, RateLimitError, TransactionRejectedError } from '../src/errors.js'
+import { loadKeys } from '../src/keystore.js'
 
 bitcoin.initEccLib(ecc)
 const ECPair = ECPairFactory(ecc)
 
 const network = bitcoin.networks.testnet
-const coordinator = new SwapCoordinator(network)
 const rpc = new BitcoinRPC(process.env.BTC_RPC || 'https://mempool.space/testnet/api')
+const coordinator = new SwapCoordinator(network, { rpc })
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -23,28 +26,38 @@ let fundingValue = 10000
 async function main() {
   console.log('\uD83D\uDD2E BTC HTLC Timelock Demo\n')
 
-  const userKey = ECPair.makeRandom({ network })
-  const resolverKey = ECPair.makeRandom({ network })
+  // With a KEYSTORE (from scripts/generate-keys.js) or BTC_PRIVATE_KEY the demo funds the HTLC from that wallet
+  const { btcKey: walletKey, wallet } = loadKeys({ network })
   const { secret, hash: secretHash } = coordinator.htlc.generateSecret()
+  // Keystores with a mnemonic give the HTLC a fresh child key instead of the wallet key
+  const userKey = wallet ? wallet.deriveSwapKey(secretHash).key : walletKey || ECPair.makeRandom({ network })
+  const resolverKey = ECPair.makeRandom({ network })
 
   const lockSeconds = 30
-  const swap = coordinator.setupBTCtoETH(userKey, resolverKey, secretHash, lockSeconds / 3600)
+  // Fund the P2SH-wrapped address so wallets without P2WSH support can pay it
+  const swap = coordinator.setupBTCtoETH(userKey, resolverKey, secretHash, lockSeconds / 3600, {
+    outputType: OUTPUT_TYPES.P2SH_P2WSH
+  })
 
-  console.log('\uD83D\uDD10 HTLC Address:', swap.p2shAddress)
-  console.log('🔗 Explorer:', `https://mempool.space/testnet/address/${swap.p2shAddress}`)
+  console.log('\uD83D\uDD10 HTLC Address:', swap.address)
+  console.log('🔗 Explorer:', `https://mempool.space/testnet/address/${swap.address}`)
   console.log('\uD83D\uDD11 Secret Hash :', secretHash.toString('hex'))
   console.log('\uD83D\uDDDD Secret      :', secret.toString('hex'))
   console.log('\u23F0 Timeout     :', lockSeconds, 'seconds from now\n')
 
-  fundingTxId = await new Promise(res => {
-    rl.question('Enter funding TXID (or press enter for example): ', ans => res(ans.trim() || 'fundingtxid'))
-  })
-  fundingVout = await new Promise(res => {
-    rl.question('Funding output index [0]: ', ans => res(ans.trim() ? parseInt(ans.trim()) : 0))
-  })
-  fundingValue = await new Promise(res => {
-    rl.question('Funding amount in satoshis [10000]: ', ans => res(ans.trim() ? parseInt(ans.trim()) : 10000))
-  })
+  if (walletKey) {
+    await fundFromWallet(swap, walletKey)
+  } else {
+    fundingTxId = await new Promise(res => {
+      rl.question('Enter funding TXID (or press enter for example): ', ans => res(ans.trim() || 'fundingtxid'))
+    })
+    fundingVout = await new Promise(res => {
+      rl.question('Funding output index [0]: ', ans => res(ans.trim() ? parseInt(ans.trim()) : 0))
+    })
+    fundingValue = await new Promise(res => {
+      rl.question('Funding amount in satoshis [10000]: ', ans => res(ans.trim() ? parseInt(ans.trim()) : 10000))
+    })
+  }
   const endTime = Date.now() + lockSeconds * 1000
   console.log('\u23F3 Waiting for timelock... type "claim" to claim early')
   rl.prompt()
@@ -73,6 +86,33 @@ async function main() {
   })
 }
 
+async function fundFromWallet(swap, walletKey) {
+  const walletAddress = bitcoin.payments.p2wpkh({ pubkey: walletKey.publicKey, network }).address
+  console.log('\uD83D\uDC5B Funding from wallet:', walletAddress)
+
+  const funding = await coordinator.createFundingTransaction(swap, walletKey, {
+    amount: fundingValue,
+    fee: { feeRate: 'medium' }
+  })
+  console.log(`\u2705 Funding TX: ${funding.txid} (fee ${funding.fee} sats, change ${funding.change} sats)`)
+
+  const broadcast = await new Promise(res => {
+    rl.question('Broadcast funding transaction to testnet? [y/N]: ', ans => res(ans.trim().toLowerCase() === 'y'))
+  })
+  if (broadcast) {
+    try {
+      console.log('\uD83D\uDE80 Broadcast TXID:', await rpc.broadcastTransaction(funding.txHex))
+    } catch (err) {
+      reportBroadcastError(err)
+      throw err
+    }
+  }
+
+  fundingTxId = funding.fundingTxId
+  fundingVout = funding.fundingVout
+  fundingValue = funding.fundingValue
+}
+
 async function claimFunds(secret, swap) {
   const destKey = ECPair.makeRandom({ network })
   const destAddr = bitcoin.payments.p2wpkh({ pubkey: destKey.publicKey, network }).address
@@ -95,13 +135,31 @@ async function claimFunds(secret, swap) {
       const txid = await rpc.broadcastTransaction(tx)
       console.log('\uD83D\uDE80 Broadcast TXID:', txid)
     } catch (err) {
-      console.log('\u274C Broadcast failed:', err.message)
+      reportBroadcastError(err)
     }
   }
   console.log('\uD83D\uDCB5 Claimed to address:', destAddr)
   askReturn()
 }
 
+function reportBroadcastError(err) {
+  if (err instanceof TransactionRejectedError) {
+    if (err.nonFinal) {
+      console.log('\u23F3 Rejected: the timelock has not expired yet')
+    } else if (err.inputsSpent) {
+      console.log('\uD83D\uDEAB Rejected: the inputs are already spent')
+    } else {
+      console.log('\u274C Rejected by the mempool:', err.rejectReason)
+    }
+  } else if (err instanceof RateLimitError) {
+    console.log('\uD83D\uDC22 Rate limited by', err.provider, '- not broadcast, try again later')
+  } else if (err instanceof NetworkError) {
+    console.log('\uD83D\uDD0C Provider unreachable - not broadcast:', err.message)
+  } else {
+    console.log('\u274C Broadcast failed:', err.message)
+  }
+}
+
 function askReturn() {
   rl.question('\n\u27A1\uFE0F When finished testing, send the BTC back to your wallet: ', () => {
     console.log('Thanks for trying the demo!')
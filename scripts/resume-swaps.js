@@ -0,0 +1,55 @@
+import * as bitcoin from 'bitcoinjs-lib'
+import * as ecc from 'tiny-secp256k1'
+import { ethers } from 'ethers'
+import { SwapCoordinator } from '../src/swap-coordinator.js'
+import { BitcoinRPC } from '../src/bitcoin-rpc.js'
+import { EscrowClient } from '../src/evm-escrow.js'
+import { SwapJournal } from '../src/swap-journal.js'
+import { SwapRunner } from '../src/swap-runner.js'
+import { loadKeys } from '../src/keystore.js'
+import { loadTestConfig } from './load-contracts.js'
+
+bitcoin.initEccLib(ecc)
+
+// Reloads the unfinished swaps of the journal and keeps claiming or refunding them until all are done
+async function main() {
+  const passphrase = process.env.SWAP_JOURNAL_PASSPHRASE
+  const network = bitcoin.networks.testnet
+  const { btcKey, ethWallet, wallet } = loadKeys({ network })
+  if (!passphrase || !btcKey || !ethWallet) {
+    throw new Error('Set SWAP_JOURNAL_PASSPHRASE, and KEYSTORE with KEYSTORE_PASSPHRASE (or BTC_PRIVATE_KEY and ETH_PRIVATE_KEY)')
+  }
+
+  const config = loadTestConfig()
+  const provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL || config.networks.ethereum.rpcUrl)
+  const signer = ethWallet.connect(provider)
+
+  const journal = new SwapJournal(process.env.SWAP_JOURNAL_DIR || 'swaps', { passphrase })
+  const runner = new SwapRunner(journal, {
+    coordinator: new SwapCoordinator(network, { rpc: new BitcoinRPC(process.env.BTC_RPC || 'https://mempool.space/testnet/api') }),
+    escrowClient: new EscrowClient(config.contracts.factoryAddress, signer),
+    getKey: (pubkey, terms) => pubkey.equals(btcKey.publicKey) ? btcKey : wallet && wallet.getKey(pubkey, terms),
+    intervalMs: Number(process.env.SWAP_POLL_MS || 30000)
+  })
+
+  runner.on('resumed', (id, swap) => console.log(`🔁 Resumed ${id} (${swap.direction}, ${swap.role}) in state ${swap.state}`))
+  runner.on('state', (id, state) => console.log(`➡️  ${id}: ${state}`))
+  runner.on('error', (error, id) => console.log(`⚠️  ${id}: ${error.message}`))
+  runner.on('finished', (id, state) => {
+    console.log(`🏁 ${id} finished: ${state}`)
+    if (runner.swaps.size === 0) {
+      runner.stop()
+    }
+  })
+
+  runner.start()
+  if (runner.swaps.size === 0) {
+    console.log('No pending swaps in', journal.dir)
+    runner.stop()
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message)
+  process.exit(1)
+})
@@ -1,14 +1,124 @@
-import fetch from 'node-fetch'
+import { createProvider } from './bitcoin-providers.js'
+import {
+  BitcoinRPCError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  TransactionRejectedError
+} from './errors.js'
+
+// When every provider fails, the most telling failure is reported: a mempool
+// rejection or a client error says more than one provider being unreachable
+const ERROR_PRECEDENCE = [TransactionRejectedError, BitcoinRPCError, NotFoundError, RateLimitError, NetworkError]
+const precedence = error => ERROR_PRECEDENCE.findIndex(type => error.constructor === type)
+
+// Wallet calls that move coins or mine blocks: a request that timed out may still
+// have gone through, so they are sent once, to the first provider that has them.
+// The second set holds their bitcoind names, for the `call` passthrough.
+const NON_IDEMPOTENT_METHODS = new Set(['sendToAddress', 'generateToAddress'])
+const NON_IDEMPOTENT_RPC_METHODS = new Set([
+  'sendtoaddress', 'sendmany', 'send', 'sendall', 'generatetoaddress', 'generatetodescriptor', 'generateblock'
+])
+
+// Socket and fetch failures a custom adapter may let through
+const TRANSPORT_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'
+])
+const isTransportError = error => TRANSPORT_ERROR_CODES.has(error.code) ||
+  String(error.code).startsWith('UND_ERR_') ||
+  ['AbortError', 'TimeoutError'].includes(error.name) ||
+  (error instanceof TypeError && error.message === 'fetch failed')
 
 /**
- * Simple Bitcoin testnet RPC client using public APIs
+ * Bitcoin RPC client over one or more provider adapters (Esplora, BlockCypher,
+ * bitcoind). Each call tries the providers in priority order, retrying
+ * transient failures with exponential backoff. Every method throws a
+ * BitcoinRPCError subclass (see errors.js) when no provider succeeds.
  */
 export class BitcoinRPC {
-  constructor(rpcUrl = 'https://blockstream.info/testnet/api') {
-    this.rpcUrl = rpcUrl.replace(/\/$/, '') // Remove trailing slash
-    this.isBlockstream = rpcUrl.includes('blockstream.info')
-    this.isMempool = rpcUrl.includes('mempool.space')
-    this.isBlockcypher = rpcUrl.includes('blockcypher.com')
+  /**
+   * @param {string|Array} rpcUrl - Provider URL, or providers in priority order as URLs,
+   *   `{ url, ...options }` entries or adapter objects
+   * @param {Object} options - Client and provider options
+   * @param {number} options.retries - Retries per provider for network, rate-limit and 5xx errors (default 2)
+   * @param {number} options.retryDelayMs - First backoff delay, doubled on each retry (default 500)
+   * @param {Function} options.sleep - ms => Promise, for tests
+   * @param {string} options.backend - Adapter for a URL that cannot be recognized, see createProvider
+   * @param {string} options.username - bitcoind RPC user, see BitcoindProvider for the other node options
+   */
+  constructor(rpcUrl = 'https://blockstream.info/testnet/api', options = {}) {
+    const { retries = 2, retryDelayMs = 500, sleep, ...providerOptions } = options
+
+    this.providers = (Array.isArray(rpcUrl) ? rpcUrl : [rpcUrl]).map(entry => {
+      if (typeof entry === 'string') {
+        return createProvider(entry, providerOptions)
+      }
+      if (entry.url && !entry.name) {
+        const { url, ...entryOptions } = entry
+        return createProvider(url, entryOptions)
+      }
+      return entry
+    })
+    if (this.providers.length === 0) {
+      throw new BitcoinRPCError('BitcoinRPC needs at least one provider')
+    }
+
+    this.rpcUrl = this.providers[0].url
+    this.retries = retries
+    this.retryDelayMs = retryDelayMs
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)))
+  }
+
+  /**
+   * Run a provider method with retries and failover. Non-idempotent wallet calls
+   * are tried once, on the first provider that supports them. Errors that are
+   * neither BitcoinRPCErrors nor transport failures are bugs and thrown as they are.
+   * @param {string} method - Provider method name
+   * @param {...*} args - Method arguments
+   * @returns {Promise<*>} Result of the first provider that succeeds
+   */
+  async request(method, ...args) {
+    const supported = this.providers.filter(provider => typeof provider[method] === 'function')
+    if (supported.length === 0) {
+      throw new BitcoinRPCError(`${method} is not supported by any configured provider (${this.providers.map(p => p.name).join(', ')})`)
+    }
+    const once = NON_IDEMPOTENT_METHODS.has(method) || (method === 'call' && NON_IDEMPOTENT_RPC_METHODS.has(args[0]))
+    const providers = once ? supported.slice(0, 1) : supported
+    const retries = once ? 0 : this.retries
+
+    const errors = []
+    for (const provider of providers) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await provider[method](...args)
+        } catch (thrown) {
+          if (!(thrown instanceof BitcoinRPCError) && !isTransportError(thrown)) {
+            throw thrown
+          }
+          // Custom adapters may let socket errors through; count them as transient
+          const error = thrown instanceof BitcoinRPCError
+            ? thrown
+            : new NetworkError(thrown.message, { cause: thrown })
+          error.provider = error.provider || provider.name
+          if (attempt >= retries || !error.retryable) {
+            errors.push(error)
+            break
+          }
+          const backoff = this.retryDelayMs * 2 ** attempt
+          await this.sleep(Math.max(backoff, error.retryAfterMs || 0))
+        }
+      }
+    }
+
+    if (errors.length === 1) {
+      throw errors[0]
+    }
+    const primary = errors.reduce((best, error) => (precedence(error) < precedence(best) ? error : best))
+    const ErrorType = primary.constructor
+    throw new ErrorType(
+      `${method} failed on every provider: ${errors.map(error => `${error.provider}: ${error.message}`).join('; ')}`,
+      { ...primary, errors, cause: primary }
+    )
   }
 
   /**
@@ -17,68 +127,16 @@ export class BitcoinRPC {
    * @returns {Promise<Object>} Balance information
    */
   async getAddressBalance(address) {
-    try {
-      if (this.isBlockstream || this.isMempool) {
-        const response = await fetch(`${this.rpcUrl}/address/${address}`)
-        const data = await response.json()
-        
-        return {
-          confirmed: data.chain_stats?.funded_txo_sum || 0,
-          unconfirmed: data.mempool_stats?.funded_txo_sum || 0,
-          total: (data.chain_stats?.funded_txo_sum || 0) + (data.mempool_stats?.funded_txo_sum || 0)
-        }
-      } else if (this.isBlockcypher) {
-        const response = await fetch(`${this.rpcUrl}/addrs/${address}/balance`)
-        const data = await response.json()
-        
-        return {
-          confirmed: data.balance || 0,
-          unconfirmed: data.unconfirmed_balance || 0,
-          total: (data.balance || 0) + (data.unconfirmed_balance || 0)
-        }
-      }
-      
-      throw new Error('Unsupported RPC provider')
-    } catch (error) {
-      console.error('Error fetching balance:', error.message)
-      return { confirmed: 0, unconfirmed: 0, total: 0, error: error.message }
-    }
+    return await this.request('getAddressBalance', address)
   }
 
   /**
-   * Get address UTXOs
+   * Get address UTXOs; throws when the lookup fails, so an empty array always means an empty address
    * @param {string} address - Bitcoin address
    * @returns {Promise<Array>} Array of UTXOs
    */
   async getAddressUtxos(address) {
-    try {
-      if (this.isBlockstream || this.isMempool) {
-        const response = await fetch(`${this.rpcUrl}/address/${address}/utxo`)
-        const utxos = await response.json()
-        
-        return utxos.map(utxo => ({
-          txid: utxo.txid,
-          vout: utxo.vout,
-          value: utxo.value,
-          confirmed: utxo.status?.confirmed || false
-        }))
-      } else if (this.isBlockcypher) {
-        const response = await fetch(`${this.rpcUrl}/addrs/${address}?unspentOnly=true`)
-        const data = await response.json()
-        
-        return (data.txrefs || []).map(utxo => ({
-          txid: utxo.tx_hash,
-          vout: utxo.tx_output_n,
-          value: utxo.value,
-          confirmed: utxo.confirmations > 0
-        }))
-      }
-      
-      throw new Error('Unsupported RPC provider')
-    } catch (error) {
-      console.error('Error fetching UTXOs:', error.message)
-      return []
-    }
+    return await this.request('getAddressUtxos', address)
   }
 
   /**
@@ -87,20 +145,26 @@ export class BitcoinRPC {
    * @returns {Promise<Object>} Transaction details
    */
   async getTransaction(txid) {
-    try {
-      if (this.isBlockstream || this.isMempool) {
-        const response = await fetch(`${this.rpcUrl}/tx/${txid}`)
-        return await response.json()
-      } else if (this.isBlockcypher) {
-        const response = await fetch(`${this.rpcUrl}/txs/${txid}`)
-        return await response.json()
-      }
-      
-      throw new Error('Unsupported RPC provider')
-    } catch (error) {
-      console.error('Error fetching transaction:', error.message)
-      return null
-    }
+    return await this.request('getTransaction', txid)
+  }
+
+  /**
+   * Get the raw hex of a transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<string>} Transaction hex
+   */
+  async getTransactionHex(txid) {
+    return await this.request('getTransactionHex', txid)
+  }
+
+  /**
+   * Find the transaction spending an output
+   * @param {string} txid - Transaction ID of the output
+   * @param {number} vout - Output index
+   * @returns {Promise<Object>} `{ spent: false }`, or `{ spent: true, txid, vin, confirmed }`
+   */
+  async getOutspend(txid, vout) {
+    return await this.request('getOutspend', txid, vout)
   }
 
   /**
@@ -109,35 +173,7 @@ export class BitcoinRPC {
    * @returns {Promise<string>} Transaction ID
    */
   async broadcastTransaction(txHex) {
-    try {
-      if (this.isBlockstream || this.isMempool) {
-        const response = await fetch(`${this.rpcUrl}/tx`, {
-          method: 'POST',
-          body: txHex,
-          headers: { 'Content-Type': 'text/plain' }
-        })
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${await response.text()}`)
-        }
-        
-        return await response.text()
-      } else if (this.isBlockcypher) {
-        const response = await fetch(`${this.rpcUrl}/txs/push`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ tx: txHex })
-        })
-        
-        const data = await response.json()
-        return data.tx?.hash
-      }
-      
-      throw new Error('Unsupported RPC provider')
-    } catch (error) {
-      console.error('Error broadcasting transaction:', error.message)
-      throw error
-    }
+    return await this.request('broadcastTransaction', txHex)
   }
 
   /**
@@ -145,44 +181,17 @@ export class BitcoinRPC {
    * @returns {Promise<Object>} Fee estimates in sat/vB
    */
   async getFeeEstimates() {
-    try {
-      if (this.isBlockstream || this.isMempool) {
-        const response = await fetch(`${this.rpcUrl}/fee-estimates`)
-        const fees = await response.json()
-        
-        return {
-          fast: fees['1'] || 10,    // 1 block
-          medium: fees['6'] || 5,   // 6 blocks  
-          slow: fees['144'] || 1    // 144 blocks (1 day)
-        }
-      } else if (this.isBlockcypher) {
-        // BlockCypher doesn't have fee estimates, use defaults
-        return {
-          fast: 10,
-          medium: 5,
-          slow: 1
-        }
-      }
-      
-      throw new Error('Unsupported RPC provider')
-    } catch (error) {
-      console.error('Error fetching fees:', error.message)
-      return { fast: 10, medium: 5, slow: 1 }
-    }
+    return await this.request('getFeeEstimates')
   }
 
   /**
-   * Check if address has any transactions
+   * Check if address has any transactions (bitcoind only sees unspent outputs)
    * @param {string} address - Bitcoin address
    * @returns {Promise<boolean>} True if address has transactions
    */
   async hasTransactions(address) {
-    try {
-      const balance = await this.getAddressBalance(address)
-      return balance.total > 0 || balance.error === undefined
-    } catch (error) {
-      return false
-    }
+    const balance = await this.getAddressBalance(address)
+    return balance.txCount > 0
   }
 
   /**
@@ -199,21 +208,93 @@ export class BitcoinRPC {
    * @returns {Promise<number>} Current block height
    */
   async getBlockHeight() {
-    try {
-      if (this.isBlockstream || this.isMempool) {
-        const response = await fetch(`${this.rpcUrl}/blocks/tip/height`)
-        return parseInt(await response.text())
-      } else if (this.isBlockcypher) {
-        const response = await fetch(`${this.rpcUrl}`)
-        const data = await response.json()
-        return data.height
-      }
-      
-      throw new Error('Unsupported RPC provider')
-    } catch (error) {
-      console.error('Error fetching block height:', error.message)
-      return 0
-    }
+    return await this.request('getBlockHeight')
+  }
+
+  /**
+   * Call a bitcoind JSON-RPC method; methods that send coins or mine are sent once, as sendToAddress is
+   * @param {string} method - RPC method, e.g. 'getblockcount'
+   * @param {Array} params - Positional parameters
+   * @param {Object} options - `{ wallet: true }` sends the call to the configured wallet
+   * @returns {Promise<*>} The method's result
+   */
+  async call(method, params = [], options = {}) {
+    return await this.request('call', method, params, options)
+  }
+
+  /**
+   * Fetch a transaction from bitcoind; needs txindex=1 for confirmed transactions outside the wallet
+   * @param {string} txid - Transaction ID
+   * @param {boolean} verbose - Decode the transaction instead of returning hex
+   * @returns {Promise<Object|string>} Decoded transaction or hex
+   */
+  async getRawTransaction(txid, verbose = false) {
+    return await this.request('getRawTransaction', txid, verbose)
+  }
+
+  /**
+   * bitcoind fee estimate for confirmation within a number of blocks
+   * @param {number} blocks - Confirmation target in blocks
+   * @returns {Promise<Object>} `{ feerate, blocks }` with feerate in BTC/kvB, or `{ errors }`
+   */
+  async estimateSmartFee(blocks) {
+    return await this.request('estimateSmartFee', blocks)
+  }
+
+  /**
+   * Scan the bitcoind UTXO set for outputs paying to an address
+   * @param {string} address - Bitcoin address
+   * @returns {Promise<Object>} `{ unspents, total_amount, height }` with amounts in BTC
+   */
+  async scanTxOutSet(address) {
+    return await this.request('scanTxOutSet', address)
+  }
+
+  /**
+   * New address from the bitcoind wallet
+   * @param {string} label - Address label
+   * @param {string} addressType - 'bech32', 'bech32m', 'p2sh-segwit' or 'legacy'
+   * @returns {Promise<string>} Address
+   */
+  async getNewAddress(label, addressType) {
+    return await this.request('getNewAddress', label, addressType)
+  }
+
+  /**
+   * Pay an address from the bitcoind wallet, e.g. to fund an HTLC on regtest
+   * @param {string} address - Destination address
+   * @param {number} satoshis - Amount in satoshis
+   * @returns {Promise<string>} Transaction ID
+   */
+  async sendToAddress(address, satoshis) {
+    return await this.request('sendToAddress', address, satoshis)
+  }
+
+  /**
+   * Spendable balance of the bitcoind wallet
+   * @returns {Promise<number>} Balance in satoshis
+   */
+  async getWalletBalance() {
+    return await this.request('getWalletBalance')
+  }
+
+  /**
+   * UTXOs of the bitcoind wallet
+   * @param {number} minConfirmations - Minimum confirmations
+   * @returns {Promise<Array>} Array of UTXOs
+   */
+  async listUnspent(minConfirmations) {
+    return await this.request('listUnspent', minConfirmations)
+  }
+
+  /**
+   * Mine blocks on regtest
+   * @param {number} blocks - Number of blocks
+   * @param {string} address - Address receiving the block rewards
+   * @returns {Promise<Array<string>>} Block hashes
+   */
+  async generateToAddress(blocks, address) {
+    return await this.request('generateToAddress', blocks, address)
   }
 }
 
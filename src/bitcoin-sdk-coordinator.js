@@ -1,4 +1,14 @@
+import * as bitcoinjs from 'bitcoinjs-lib'
 import { BitcoinSDKHTLC } from './bitcoin-sdk-htlc.js'
+import { BitcoinHTLC, CURRENT_SCRIPT_VERSION } from './htlc.js'
+import { Timelock } from './timelock.js'
+import { FeeEngine, MAX_ECDSA_SIGNATURE_SIZE } from './fees.js'
+import { summarizeFunding } from './funding.js'
+import { loadKeystore } from './keystore.js'
+
+// bitcoin-sdk-js names networks by string; bitcoinjs calls mainnet "bitcoin"
+const toBitcoinjsNetwork = network => bitcoinjs.networks[network === 'mainnet' ? 'bitcoin' : network]
+
 
 /**
  * High-level coordinator for Bitcoin SDK HTLC swaps
@@ -7,6 +17,69 @@ export class BitcoinSDKCoordinator {
   constructor(network = 'testnet') {
     this.network = network
     this.htlc = new BitcoinSDKHTLC(network)
+    this.template = new BitcoinHTLC(toBitcoinjsNetwork(network))
+    this.fees = new FeeEngine(this.htlc.rpc)
+  }
+
+  /**
+   * Unlock the BTC key of an encrypted keystore, see src/keystore.js
+   * @param {string} file - Keystore file, e.g. keys/resolver.keystore.json
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {string} Private key (hex), as the setup methods take it
+   */
+  loadPrivateKey(file, passphrase) {
+    return loadKeystore(file, passphrase).btcKey.privateKey.toString('hex')
+  }
+
+  /**
+   * Check an HTLC built by bitcoin-sdk-js against the bitcoinjs BitcoinHTLC,
+   * so both implementations redeem and refund the same output
+   * @param {string} htlcScript - HTLC script (hex)
+   * @param {string} address - P2WSH address of the script
+   * @param {string} redeemerPublicKey - Public key of the redeemer (hex)
+   * @param {string} refunderPublicKey - Public key of the refunder (hex)
+   * @param {string} secretHash - Hash of the secret (hex)
+   * @param {Timelock} timelock - Refund timelock
+   * @param {number} scriptVersion - Template version, see SCRIPT_VERSIONS
+   */
+  assertHTLC(htlcScript, address, redeemerPublicKey, refunderPublicKey, secretHash, timelock, scriptVersion) {
+    const network = toBitcoinjsNetwork(this.network)
+    const expected = this.template.createHTLCScript(
+      Buffer.from(redeemerPublicKey, 'hex'),
+      Buffer.from(refunderPublicKey, 'hex'),
+      Buffer.from(secretHash, 'hex'),
+      timelock,
+      { scriptVersion }
+    )
+    if (htlcScript !== expected.toString('hex')) {
+      throw new Error('bitcoin-sdk-js built an HTLC script that differs from BitcoinHTLC; refusing to use it')
+    }
+
+    const expectedAddress = bitcoinjs.payments.p2wsh({ redeem: { output: expected }, network }).address
+    if (address !== expectedAddress) {
+      throw new Error(`HTLC address ${address} does not match the P2WSH address ${expectedAddress} of its script`)
+    }
+  }
+
+  /**
+   * Private key of the party signing a branch, checked against the key the HTLC script expects
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {string} Private key (hex)
+   */
+  getSigningKey(swapConfig, branch) {
+    const party = branch === 'redeem' ? swapConfig.redeemer : swapConfig.refunder
+    const privateKey = party === 'resolver' ? swapConfig.resolverPrivateKey : swapConfig.userPrivateKey
+    if (!privateKey) {
+      throw new Error(`The ${branch} is signed by the ${party}, but the swap config has no ${party} private key`)
+    }
+
+    const { redeemerPubKey, refunderPubKey } = this.template.parseHTLCScript(swapConfig.htlcScript)
+    const expected = (branch === 'redeem' ? redeemerPubKey : refunderPubKey).toString('hex')
+    if (this.htlc.getPublicKey(privateKey) !== expected) {
+      throw new Error(`The ${party} private key does not match the ${branch} key ${expected} of the HTLC script`)
+    }
+    return privateKey
   }
 
   /**
@@ -14,34 +87,43 @@ export class BitcoinSDKCoordinator {
    * @param {string} userPrivateKey - User's private key (hex)
    * @param {string} resolverPublicKey - Resolver's public key
    * @param {string} secretHash - Hash of the secret
-   * @param {number} timeoutHours - Timeout in hours
+   * @param {number} timeoutHours - Timeout in hours, used when no timelock is given
+   * @param {Object} options - Swap options
+   * @param {Timelock|Object} options.timelock - Refund timelock `{ type, value }`, see TIMELOCK_TYPES
+   * @param {number} options.scriptVersion - HTLC template version, see SCRIPT_VERSIONS (default CURRENT_SCRIPT_VERSION)
+   * @param {number} options.amount - Agreed swap amount in satoshis, checked against the funding
    * @returns {Promise<Object>} Swap configuration
    */
-  async setupBTCtoETH(userPrivateKey, resolverPublicKey, secretHash, timeoutHours = 24) {
-    const locktime = Math.floor(Date.now() / 1000) + (timeoutHours * 3600)
-    
-    // Generate user's public key from private key
-    const userKeyPair = await this.htlc.generateKeyPair()
-    // Note: In real implementation, derive public key from private key
+  async setupBTCtoETH(userPrivateKey, resolverPublicKey, secretHash, timeoutHours = 24, options = {}) {
+    const timelock = options.timelock ? Timelock.from(options.timelock) : Timelock.fromTimeoutHours(timeoutHours)
+    const scriptVersion = options.scriptVersion || CURRENT_SCRIPT_VERSION
     
+    const userPublicKey = this.htlc.getPublicKey(userPrivateKey)
+
     // Create HTLC script: resolver can claim with secret, user can refund after timeout
     const htlcScript = await this.htlc.createHTLCScript(
       resolverPublicKey, // redeemer (resolver claims with secret)
-      userKeyPair.publicKey, // refunder (user gets refund after timeout)
+      userPublicKey, // refunder (user gets refund after timeout)
       secretHash,
-      locktime
+      timelock,
+      { scriptVersion }
     )
 
     const address = await this.htlc.getHTLCAddress(htlcScript)
+    this.assertHTLC(htlcScript, address, resolverPublicKey, userPublicKey, secretHash, timelock, scriptVersion)
 
     return {
       direction: 'BTC->ETH',
       address,
       htlcScript,
-      locktime,
+      locktime: timelock.locktime,
+      timelock: timelock.toJSON(),
+      scriptVersion,
+      amount: options.amount,
       redeemer: 'resolver',
       refunder: 'user',
       userPrivateKey,
+      userPublicKey,
       resolverPublicKey,
       secretHash
     }
@@ -52,34 +134,43 @@ export class BitcoinSDKCoordinator {
    * @param {string} userPublicKey - User's public key
    * @param {string} resolverPrivateKey - Resolver's private key (hex)
    * @param {string} secretHash - Hash of the secret
-   * @param {number} timeoutHours - Timeout in hours
+   * @param {number} timeoutHours - Timeout in hours, used when no timelock is given
+   * @param {Object} options - Swap options
+   * @param {Timelock|Object} options.timelock - Refund timelock `{ type, value }`, see TIMELOCK_TYPES
+   * @param {number} options.scriptVersion - HTLC template version, see SCRIPT_VERSIONS (default CURRENT_SCRIPT_VERSION)
+   * @param {number} options.amount - Agreed swap amount in satoshis, checked against the funding
    * @returns {Promise<Object>} Swap configuration
    */
-  async setupETHtoBTC(userPublicKey, resolverPrivateKey, secretHash, timeoutHours = 24) {
-    const locktime = Math.floor(Date.now() / 1000) + (timeoutHours * 3600)
-    
-    // Generate resolver's public key from private key
-    const resolverKeyPair = await this.htlc.generateKeyPair()
-    // Note: In real implementation, derive public key from private key
+  async setupETHtoBTC(userPublicKey, resolverPrivateKey, secretHash, timeoutHours = 24, options = {}) {
+    const timelock = options.timelock ? Timelock.from(options.timelock) : Timelock.fromTimeoutHours(timeoutHours)
+    const scriptVersion = options.scriptVersion || CURRENT_SCRIPT_VERSION
     
+    const resolverPublicKey = this.htlc.getPublicKey(resolverPrivateKey)
+
     // Create HTLC script: user can claim with secret, resolver can refund after timeout
     const htlcScript = await this.htlc.createHTLCScript(
       userPublicKey, // redeemer (user claims with secret)
-      resolverKeyPair.publicKey, // refunder (resolver gets refund after timeout)
+      resolverPublicKey, // refunder (resolver gets refund after timeout)
       secretHash,
-      locktime
+      timelock,
+      { scriptVersion }
     )
 
     const address = await this.htlc.getHTLCAddress(htlcScript)
+    this.assertHTLC(htlcScript, address, userPublicKey, resolverPublicKey, secretHash, timelock, scriptVersion)
 
     return {
       direction: 'ETH->BTC',
       address,
       htlcScript,
-      locktime,
+      locktime: timelock.locktime,
+      timelock: timelock.toJSON(),
+      scriptVersion,
+      amount: options.amount,
       redeemer: 'user',
       refunder: 'resolver',
       userPublicKey,
+      resolverPublicKey,
       resolverPrivateKey,
       secretHash
     }
@@ -93,13 +184,13 @@ export class BitcoinSDKCoordinator {
    * @param {number} fundingValue - Funding value in satoshis
    * @param {string} claimAddress - Address to send claimed funds
    * @param {string} secretHex - The secret (hex string)
-   * @param {number} fee - Fee in satoshis
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
    * @returns {Promise<string>} Signed transaction hex
    */
   async createRedeemTransaction(swapConfig, fundingTxId, fundingVout, fundingValue, claimAddress, secretHex, fee = 1000) {
-    const privateKey = swapConfig.redeemer === 'resolver' 
-      ? swapConfig.resolverPrivateKey 
-      : swapConfig.userPrivateKey
+    const privateKey = this.getSigningKey(swapConfig, 'redeem')
+    this.template.assertPreimage(Buffer.from(secretHex, 'hex'), Buffer.from(swapConfig.htlcScript, 'hex'))
+    const quote = await this.quoteSpendFee(swapConfig, 'redeem', fundingValue, claimAddress, fee, secretHex)
 
     return await this.htlc.createRedeemTransaction({
       htlcScript: swapConfig.htlcScript,
@@ -107,8 +198,7 @@ export class BitcoinSDKCoordinator {
       outputIndex: fundingVout,
       value: fundingValue,
       toAddress: claimAddress,
-      fee,
-      locktime: swapConfig.locktime,
+      fee: quote.fee,
       privateKey,
       secretHex,
       executeIf: true
@@ -122,13 +212,13 @@ export class BitcoinSDKCoordinator {
    * @param {number} fundingVout - Funding output index
    * @param {number} fundingValue - Funding value in satoshis
    * @param {string} refundAddress - Address to send refunded funds
-   * @param {number} fee - Fee in satoshis
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
    * @returns {Promise<string>} Signed transaction hex
    */
   async createRefundTransaction(swapConfig, fundingTxId, fundingVout, fundingValue, refundAddress, fee = 1000) {
-    const privateKey = swapConfig.refunder === 'user' 
-      ? swapConfig.userPrivateKey 
-      : swapConfig.resolverPrivateKey
+    const privateKey = this.getSigningKey(swapConfig, 'refund')
+    const timelock = Timelock.from(swapConfig.timelock || swapConfig.locktime)
+    const quote = await this.quoteSpendFee(swapConfig, 'refund', fundingValue, refundAddress, fee)
 
     return await this.htlc.createRefundTransaction({
       htlcScript: swapConfig.htlcScript,
@@ -136,8 +226,100 @@ export class BitcoinSDKCoordinator {
       outputIndex: fundingVout,
       value: fundingValue,
       toAddress: refundAddress,
-      fee,
-      locktime: swapConfig.locktime,
+      fee: quote.fee,
+      locktime: timelock.locktime,
+      sequence: timelock.sequence,
+      privateKey,
+      executeIf: false
+    })
+  }
+
+  /**
+   * Work out the fee of a redeem or refund from the size of its witness path,
+   * refusing outputs below the dust limit
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {string} toAddress - Destination address
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
+   * @param {string} secretHex - The secret (hex string), for redeems
+   * @param {number} inputCount - Number of HTLC UTXOs spent together
+   * @returns {Promise<Object>} vsize, feeRate (effective sat/vB), fee, outputValue and dustLimit
+   */
+  async quoteSpendFee(swapConfig, branch, fundingValue, toAddress, fee = 1000, secretHex, inputCount = 1) {
+    const script = Buffer.from(swapConfig.htlcScript, 'hex')
+    const signature = Buffer.alloc(MAX_ECDSA_SIGNATURE_SIZE)
+    const witness = branch === 'redeem'
+      ? [secretHex ? Buffer.from(secretHex, 'hex') : Buffer.alloc(32), signature, Buffer.from([1]), script]
+      : [signature, Buffer.alloc(0), script]
+    const outputScript = bitcoinjs.address.toOutputScript(toAddress, toBitcoinjsNetwork(this.network))
+
+    return this.fees.quote({
+      vsize: FeeEngine.estimateVsize({ inputs: Array(inputCount).fill({ witness }), outputs: [outputScript] }),
+      inputValue: fundingValue,
+      outputScript,
+      fee: typeof fee === 'number' ? fee : { feeRate: await this.fees.getFeeRate(fee.feeRate) }
+    })
+  }
+
+  /**
+   * Look up every UTXO paying to the HTLC address and compare it with the agreed amount
+   * @param {Object} swapConfig - Swap configuration
+   * @param {number} expectedAmount - Agreed swap amount in satoshis (default swapConfig.amount)
+   * @returns {Promise<Object>} UTXOs, total, confirmed and unconfirmed sums, and warnings
+   */
+  async getFunding(swapConfig, expectedAmount = swapConfig.amount) {
+    const utxos = await this.htlc.rpc.getAddressUtxos(swapConfig.address)
+    return summarizeFunding(utxos, expectedAmount)
+  }
+
+  /**
+   * Claim several UTXOs of the HTLC in one transaction
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Array<Object>} utxos - `{ txid, vout, value }` paying to the HTLC
+   * @param {string} claimAddress - Address to send claimed funds
+   * @param {string} secretHex - The secret (hex string)
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
+   * @returns {Promise<string>} Signed transaction hex
+   */
+  async createRedeemTransactionFromUtxos(swapConfig, utxos, claimAddress, secretHex, fee = 1000) {
+    const privateKey = this.getSigningKey(swapConfig, 'redeem')
+    this.template.assertPreimage(Buffer.from(secretHex, 'hex'), Buffer.from(swapConfig.htlcScript, 'hex'))
+    const totalValue = utxos.reduce((sum, utxo) => sum + utxo.value, 0)
+    const quote = await this.quoteSpendFee(swapConfig, 'redeem', totalValue, claimAddress, fee, secretHex, utxos.length)
+
+    return await this.htlc.createRedeemTransaction({
+      htlcScript: swapConfig.htlcScript,
+      inputs: utxos.map(utxo => ({ txId: utxo.txid, outputIndex: utxo.vout, value: utxo.value })),
+      toAddress: claimAddress,
+      fee: quote.fee,
+      privateKey,
+      secretHex,
+      executeIf: true
+    })
+  }
+
+  /**
+   * Refund several UTXOs of the HTLC in one transaction
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Array<Object>} utxos - `{ txid, vout, value }` paying to the HTLC
+   * @param {string} refundAddress - Address to send refunded funds
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
+   * @returns {Promise<string>} Signed transaction hex
+   */
+  async createRefundTransactionFromUtxos(swapConfig, utxos, refundAddress, fee = 1000) {
+    const privateKey = this.getSigningKey(swapConfig, 'refund')
+    const timelock = Timelock.from(swapConfig.timelock || swapConfig.locktime)
+    const totalValue = utxos.reduce((sum, utxo) => sum + utxo.value, 0)
+    const quote = await this.quoteSpendFee(swapConfig, 'refund', totalValue, refundAddress, fee, undefined, utxos.length)
+
+    return await this.htlc.createRefundTransaction({
+      htlcScript: swapConfig.htlcScript,
+      inputs: utxos.map(utxo => ({ txId: utxo.txid, outputIndex: utxo.vout, value: utxo.value })),
+      toAddress: refundAddress,
+      fee: quote.fee,
+      locktime: timelock.locktime,
+      sequence: timelock.sequence,
       privateKey,
       executeIf: false
     })
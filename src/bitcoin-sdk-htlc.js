@@ -1,6 +1,17 @@
 import * as bitcoin from 'bitcoin-sdk-js'
-import createKeccakHash from 'keccak'
+import * as ecc from 'tiny-secp256k1'
 import { BitcoinRPC } from './bitcoin-rpc.js'
+import { Hashlock, HASHLOCK_MODES } from './hashlock.js'
+import { CURRENT_SCRIPT_VERSION, SCRIPT_VERSIONS } from './htlc.js'
+import { SECRET_LENGTH } from './secret.js'
+import { Timelock } from './timelock.js'
+
+// bitcoin-sdk-js passes scripts and data around as hex strings
+const toHexSecret = ({ secret, hash, hashlock }) => ({
+  secret: secret.toString('hex'),
+  hash: hash.toString('hex'),
+  hashlock
+})
 
 /**
  * Bitcoin HTLC implementation using bitcoin-sdk-js
@@ -25,29 +36,65 @@ export class BitcoinSDKHTLC {
   }
 
   /**
-   * Create HTLC script for atomic swaps
-   * @param {string} pubkey1 - Public key of the redeemer (who reveals secret)
-   * @param {string} pubkey2 - Public key of the refunder (who gets refund after timeout)
-   * @param {string} secretHash - Hash of the secret (hex string)
-   * @param {number} locktime - Unix timestamp for timeout
+   * Compressed public key of a private key
+   * @param {string} privateKey - Private key (hex)
+   * @returns {string} 33-byte compressed public key (hex)
+   */
+  getPublicKey(privateKey) {
+    const key = Buffer.from(String(privateKey), 'hex')
+    if (key.length !== 32 || !ecc.isPrivate(key)) {
+      throw new Error('Private key must be 32 bytes of hex in the secp256k1 range')
+    }
+    return Buffer.from(ecc.pointFromScalar(key, true)).toString('hex')
+  }
+
+  /**
+   * Create HTLC script for atomic swaps, opcode for opcode the script of the
+   * bitcoinjs BitcoinHTLC so both implementations lock to the same address
+   * @param {string} redeemerPubKey - Public key of the redeemer (who reveals secret)
+   * @param {string} refunderPubKey - Public key of the refunder (who gets refund after timeout)
+   * @param {string} secretHash - SHA256 (32 bytes) or HASH160 (20 bytes) hash of the secret (hex string)
+   * @param {Timelock|Object|number} locktime - Refund timelock, or a bare nLockTime (timestamp or block height)
+   * @param {Object} options - Script options
+   * @param {string} options.hashlock - Hashlock mode, see HASHLOCK_MODES
+   * @param {number} options.scriptVersion - Template version, see SCRIPT_VERSIONS (default CURRENT_SCRIPT_VERSION)
    * @returns {Promise<string>} HTLC script
    */
-  async createHTLCScript(pubkey1, pubkey2, secretHash, locktime) {
-    const lockHex = await bitcoin.encode.scriptNum(locktime)
-    const lockPush = locktime <= 16 ? '' : await bitcoin.data.pushData(lockHex)
+  async createHTLCScript(redeemerPubKey, refunderPubKey, secretHash, locktime, options = {}) {
+    const hashlock = new Hashlock(options.hashlock || HASHLOCK_MODES.SHA256)
+    hashlock.assertHashLength(Buffer.from(secretHash, 'hex'))
+    const hashOpcode = hashlock.mode === HASHLOCK_MODES.HASH160 ? bitcoin.Opcode.OP_HASH160 : bitcoin.Opcode.OP_SHA256
+    const push = async data => (await bitcoin.data.pushData(data)) + data
+    const scriptVersion = options.scriptVersion || CURRENT_SCRIPT_VERSION
+    if (!Object.values(SCRIPT_VERSIONS).includes(scriptVersion)) {
+      throw new Error(`Unsupported HTLC script version ${scriptVersion}: use one of ${Object.values(SCRIPT_VERSIONS).join(', ')}`)
+    }
+    const sizeCheck = scriptVersion === SCRIPT_VERSIONS.V1
+      ? ''
+      : bitcoin.Opcode.OP_SIZE + (await push(await bitcoin.encode.scriptNum(SECRET_LENGTH))) + bitcoin.Opcode.OP_EQUALVERIFY
+
+    const timelock = Timelock.from(locktime)
+    const lockHex = await bitcoin.encode.scriptNum(timelock.scriptNumber)
+    const lockPush = timelock.scriptNumber <= 16 ? '' : await bitcoin.data.pushData(lockHex)
+    const lockOpcode = timelock.isRelative
+      ? bitcoin.Opcode.OP_CHECKSEQUENCEVERIFY
+      : bitcoin.Opcode.OP_CHECKLOCKTIMEVERIFY
     const timeLockScript =
-      lockPush + lockHex + bitcoin.Opcode.OP_CHECKLOCKTIMEVERIFY + bitcoin.Opcode.OP_DROP
+      lockPush + lockHex + lockOpcode + bitcoin.Opcode.OP_DROP
 
+    // Same opcodes as BitcoinHTLC.createHTLCScript in src/htlc.js
     const HTLC = bitcoin.Opcode.OP_IF +
-      timeLockScript +
-      (await bitcoin.data.pushData(pubkey1)) +
-      pubkey1 +
+      (await push(redeemerPubKey)) +
+      bitcoin.Opcode.OP_CHECKSIGVERIFY +
+      sizeCheck +
+      hashOpcode +
+      (await push(secretHash)) +
+      bitcoin.Opcode.OP_EQUAL +
       bitcoin.Opcode.OP_ELSE +
-      (await bitcoin.script.generateHashLockScript(secretHash)) +
-      (await bitcoin.data.pushData(pubkey2)) +
-      pubkey2 +
-      bitcoin.Opcode.OP_ENDIF +
-      bitcoin.Opcode.OP_CHECKSIG
+      timeLockScript +
+      (await push(refunderPubKey)) +
+      bitcoin.Opcode.OP_CHECKSIG +
+      bitcoin.Opcode.OP_ENDIF
 
     return HTLC
   }
@@ -63,7 +110,8 @@ export class BitcoinSDKHTLC {
 
   /**
    * Create and sign HTLC redeem transaction (claim with secret)
-   * @param {Object} config - Transaction configuration
+   * @param {Object} config - Transaction configuration; `inputs: [{ txId, outputIndex, value }]`
+   *   spends several UTXOs of the HTLC at once instead of `txId`, `outputIndex` and `value`
    * @returns {Promise<string>} Signed transaction hex
    */
   async createRedeemTransaction(config) {
@@ -72,27 +120,33 @@ export class BitcoinSDKHTLC {
       txId,
       outputIndex,
       value,
+      inputs = [{ txId, outputIndex, value }],
       toAddress,
       fee,
       locktime,
+      sequence,
       privateKey,
       secretHex,
       executeIf = true
     } = config
 
     const tx = new bitcoin.Transaction()
-
-    // Add input (UTXO from HTLC address)
-    await tx.addInput({
-      txHash: txId,
-      index: outputIndex,
-      value: value
-    })
+    const totalValue = inputs.reduce((sum, input) => sum + input.value, 0)
+
+    // Add inputs (UTXOs from HTLC address); refunds of CSV timelocks carry the BIP68 delay
+    for (const input of inputs) {
+      await tx.addInput({
+        txHash: input.txId,
+        index: input.outputIndex,
+        value: input.value,
+        ...(sequence !== undefined ? { sequence } : {})
+      })
+    }
 
     // Add output (destination address)
     await tx.addOutput({
       address: toAddress,
-      value: value - fee
+      value: totalValue - fee
     })
 
     // Set locktime if provided
@@ -100,28 +154,29 @@ export class BitcoinSDKHTLC {
       await tx.setLocktime(locktime)
     }
 
-    // Sign input with appropriate script sig
-    if (executeIf) {
-      // Execute OP_IF branch (claim with secret)
-      await tx.signInputByScriptSig([
-        await bitcoin.crypto.sign(
-          await tx.getInputHashToSign(htlcScript, 0),
-          privateKey
-        ),
-        secretHex, // reveal secret
-        '01', // execute OP_IF
-        htlcScript // redeem script
-      ], 0)
-    } else {
-      // Execute OP_ELSE branch (refund after timeout)
-      await tx.signInputByScriptSig([
-        await bitcoin.crypto.sign(
-          await tx.getInputHashToSign(htlcScript, 0),
-          privateKey
-        ),
-        '', // execute OP_ELSE
-        htlcScript // redeem script
-      ], 0)
+    // Sign every input with appropriate script sig
+    for (let index = 0; index < inputs.length; index++) {
+      const signature = await bitcoin.crypto.sign(
+        await tx.getInputHashToSign(htlcScript, index),
+        privateKey
+      )
+
+      if (executeIf) {
+        // Execute OP_IF branch (claim with secret): the signature is checked first, then the secret
+        await tx.signInputByScriptSig([
+          secretHex, // reveal secret
+          signature,
+          '01', // execute OP_IF
+          htlcScript // redeem script
+        ], index)
+      } else {
+        // Execute OP_ELSE branch (refund after timeout)
+        await tx.signInputByScriptSig([
+          signature,
+          '', // execute OP_ELSE
+          htlcScript // redeem script
+        ], index)
+      }
     }
 
     return await tx.getSignedHex()
@@ -140,17 +195,23 @@ export class BitcoinSDKHTLC {
   }
 
   /**
-   * Generate random secret and its hash
-   * @returns {Object} Secret and hash
+   * Generate a random 32-byte secret and its hash, see src/secret.js
+   * @param {string} mode - Hashlock mode, see HASHLOCK_MODES
+   * @returns {Object} Secret, script hash and EVM hashlock (hex strings)
    */
-  generateSecret() {
-    const secret = Buffer.from(Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15))
-    const hash = createKeccakHash('keccak256').update(secret.toString('hex'), 'hex').digest('hex')
+  generateSecret(mode = HASHLOCK_MODES.SHA256) {
+    return toHexSecret(new Hashlock(mode).generateSecret())
+  }
 
-    return {
-      secret: secret.toString('hex'),
-      hash
-    }
+  /**
+   * Derive the secret of a swap from a seed, so it can be recovered
+   * @param {Buffer} seed - At least 32 bytes of secret seed
+   * @param {number} index - Swap index
+   * @param {string} mode - Hashlock mode, see HASHLOCK_MODES
+   * @returns {Object} Secret, script hash and EVM hashlock (hex strings)
+   */
+  deriveSecret(seed, index, mode = HASHLOCK_MODES.SHA256) {
+    return toHexSecret(new Hashlock(mode).deriveSecret(seed, index))
   }
 
   /**
@@ -0,0 +1,708 @@
+import { EventEmitter } from 'events'
+import { Hashlock } from './hashlock.js'
+import { HTLCWatcher } from './htlc-watcher.js'
+import { TransactionRejectedError } from './errors.js'
+import { TIMELOCK_TYPES } from './timelock.js'
+import { setDeployedAt, timelockStart, unpackTimelocks } from './evm-escrow.js'
+
+/**
+ * States of a cross-chain swap. The two funding states come in the order the
+ * legs are locked: the secret holder (the user) locks first, the resolver second.
+ */
+export const SWAP_STATES = {
+  NEGOTIATED: 'negotiated',
+  BTC_FUNDED: 'btc-funded',
+  EVM_ESCROW_CREATED: 'evm-escrow-created',
+  SECRET_REVEALED: 'secret-revealed',
+  BOTH_CLAIMED: 'both-claimed',
+  REFUNDED: 'refunded'
+}
+
+const STATE_ORDER = {
+  'BTC->ETH': [
+    SWAP_STATES.NEGOTIATED,
+    SWAP_STATES.BTC_FUNDED,
+    SWAP_STATES.EVM_ESCROW_CREATED,
+    SWAP_STATES.SECRET_REVEALED,
+    SWAP_STATES.BOTH_CLAIMED
+  ],
+  'ETH->BTC': [
+    SWAP_STATES.NEGOTIATED,
+    SWAP_STATES.EVM_ESCROW_CREATED,
+    SWAP_STATES.BTC_FUNDED,
+    SWAP_STATES.SECRET_REVEALED,
+    SWAP_STATES.BOTH_CLAIMED
+  ]
+}
+
+const FINAL_STATES = [SWAP_STATES.BOTH_CLAIMED, SWAP_STATES.REFUNDED]
+
+// Escrow stages of each side; the source escrow also has a public cancellation stage
+const EVM_STAGES = {
+  src: {
+    withdrawal: 'srcWithdrawal',
+    publicWithdrawal: 'srcPublicWithdrawal',
+    cancellation: 'srcCancellation',
+    publicCancellation: 'srcPublicCancellation'
+  },
+  dst: {
+    withdrawal: 'dstWithdrawal',
+    publicWithdrawal: 'dstPublicWithdrawal',
+    cancellation: 'dstCancellation'
+  }
+}
+
+/**
+ * Follows one swap across its Bitcoin HTLC and its EVM escrow and drives the
+ * transactions of one party.
+ *
+ * The user holds the secret and locks first: BTC in the HTLC for BTC->ETH
+ * (the escrow is then a destination escrow), ETH in a source escrow for
+ * ETH->BTC. The resolver locks the other leg. The user claims the resolver's
+ * leg, revealing the secret, and the resolver claims the user's leg with it.
+ * So the leg the user locks must stay claimable for `safetyMargin` seconds
+ * after the other leg can no longer be claimed:
+ * - BTC->ETH: BTC refund time >= escrow DstCancellation + safetyMargin
+ * - ETH->BTC: escrow SrcCancellation >= BTC refund time + safetyMargin
+ * The resolver refuses to lock its leg once that no longer holds, and each
+ * party takes its own leg back when the counterparty stalls.
+ *
+ * Events:
+ * - 'state' (state, entry) - the swap moved to a new state
+ * - 'secret' (secret, chain) - the secret was revealed on 'btc' or 'evm', or handed over 'offchain'
+ * - 'stalled' (reason) - the next step is unsafe or the counterparty misbehaved
+ * - 'error' (error) - a step failed while running, or a BTC output could not be checked; the next round tries again
+ */
+export class CrossChainSwap extends EventEmitter {
+  /**
+   * @param {SwapCoordinator} coordinator - Coordinator with an `rpc` client
+   * @param {EscrowClient} escrowClient - Escrow client signing for this party
+   * @param {Object} swapConfig - Bitcoin leg from setupBTCtoETH or setupETHtoBTC; must hold
+   *   the key of `role` (userKey or resolverKey) to claim or refund
+   * @param {Object} options - Swap options
+   * @param {string} options.role - 'user' or 'resolver'
+   * @param {Object} options.immutables - Agreed escrow immutables, see buildImmutables
+   * @param {Buffer} options.secret - The secret, for the user
+   * @param {ECPair} options.btcWallet - P2WPKH wallet locking the BTC leg, for its funder
+   * @param {string} options.btcAddress - Address receiving BTC claims and refunds
+   * @param {number|Object} options.btcFee - Fee of BTC transactions (default `{ feeRate: 'medium' }`)
+   * @param {number} options.safetyMargin - Seconds between the two legs' deadlines (default 3600)
+   * @param {number} options.btcRefundTime - Unix time the HTLC can be refunded
+   *   (default the timestamp timelock of the swap config)
+   * @param {boolean} options.requireConfirmedFunding - Only lock the second leg against confirmed BTC (default true)
+   * @param {number} options.fromBlock - First EVM block to search for escrow events (default 0)
+   * @param {Function} options.now - Clock returning Unix seconds (default Date.now)
+   */
+  constructor(coordinator, escrowClient, swapConfig, options = {}) {
+    super()
+    if (!STATE_ORDER[swapConfig.direction]) {
+      throw new Error(`Unsupported swap direction "${swapConfig.direction}"`)
+    }
+    if (!['user', 'resolver'].includes(options.role)) {
+      throw new Error(`Swap role must be 'user' or 'resolver', got ${options.role}`)
+    }
+    if (!options.immutables) {
+      throw new Error('CrossChainSwap needs the agreed escrow immutables')
+    }
+
+    this.coordinator = coordinator
+    this.escrowClient = escrowClient
+    this.swapConfig = swapConfig
+    this.direction = swapConfig.direction
+    this.role = options.role
+    this.evmSide = this.direction === 'BTC->ETH' ? 'dst' : 'src'
+    this.fundsBtc = swapConfig.refunder === this.role
+
+    const redeemScript = coordinator.getSpendScript(swapConfig, 'redeem')
+    Hashlock.assertCompatible(redeemScript, options.immutables.hashlock)
+    const { hashlock, hash } = Hashlock.fromScript(redeemScript)
+    this.hashlock = hashlock
+    this.hash = hash
+    if (options.secret && !hashlock.verifySecret(options.secret, hash)) {
+      throw new Error('Secret does not match the hashlock of the swap')
+    }
+
+    this.secret = options.secret || null
+    this.btcWallet = options.btcWallet || null
+    this.btcAddress = options.btcAddress || null
+    this.btcFee = options.btcFee || { feeRate: 'medium' }
+    this.safetyMargin = options.safetyMargin ?? 3600
+    const timelock = coordinator.getTimelock(swapConfig)
+    if (options.btcRefundTime === undefined && timelock.type !== TIMELOCK_TYPES.TIMESTAMP) {
+      throw new Error(`Cannot tell the wall-clock refund time of a ${timelock.type} timelock; pass options.btcRefundTime`)
+    }
+    this.btcRefundTime = options.btcRefundTime ?? timelock.value
+    this.requireConfirmedFunding = options.requireConfirmedFunding ?? true
+    this.fromBlock = options.fromBlock ?? 0
+    this.now = options.now || (() => Math.floor(Date.now() / 1000))
+
+    this.state = SWAP_STATES.NEGOTIATED
+    this.history = [{ state: this.state, at: this.now() }]
+    this.revealedOn = null
+    this.stalled = null
+    this.btc = { status: 'pending', funding: null, txid: null }
+    this.evm = { status: 'pending', escrow: null, immutables: options.immutables, txHash: null }
+
+    this.watcher = new HTLCWatcher(coordinator, swapConfig)
+    this.watcher.on('secret', secret => this.learnSecret(secret, 'btc'))
+    this.watcher.on('redeemed', spend => {
+      this.btc.status = 'claimed'
+      this.btc.txid = spend.txid
+    })
+    this.watcher.on('refunded', spend => {
+      this.btc.status = 'refunded'
+      this.btc.txid = spend.txid
+    })
+    this.watcher.on('error', error => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error)
+      }
+    })
+  }
+
+  /**
+   * Whether the swap reached both-claimed or refunded
+   * @returns {boolean} True once nothing is left to do
+   */
+  get isFinal() {
+    return FINAL_STATES.includes(this.state)
+  }
+
+  /**
+   * Move to a new state, enforcing the order of the swap's direction
+   * @param {string} state - One of SWAP_STATES
+   * @param {Object} detail - Extra information for the history entry
+   */
+  transition(state, detail) {
+    const order = STATE_ORDER[this.direction]
+    const allowed = state === SWAP_STATES.REFUNDED
+      ? !this.isFinal
+      : order.indexOf(state) === order.indexOf(this.state) + 1
+    if (!allowed) {
+      throw new Error(`Invalid ${this.direction} swap transition from ${this.state} to ${state}`)
+    }
+
+    const entry = { state, at: this.now(), ...(detail && { detail }) }
+    this.state = state
+    this.history.push(entry)
+    this.emit('state', state, entry)
+  }
+
+  /**
+   * Record the secret once it appears on either chain
+   * @param {Buffer} secret - The secret
+   * @param {string} chain - 'btc' or 'evm', or 'offchain' when the user hands it over
+   */
+  learnSecret(secret, chain) {
+    if (this.revealedOn) {
+      return
+    }
+    if (!this.hashlock.verifySecret(secret, this.hash)) {
+      throw new Error(`Secret revealed on ${chain} does not match the hashlock of the swap`)
+    }
+    this.secret = secret
+    this.revealedOn = chain
+    this.emit('secret', secret, chain)
+  }
+
+  /**
+   * Unix time an escrow stage starts
+   * @param {string} stage - Key of EVM_STAGES, e.g. 'cancellation'
+   * @param {number} deployedAt - Deployment timestamp (default the escrow's)
+   * @returns {number} Unix time
+   */
+  evmTime(stage, deployedAt) {
+    const timelocks = deployedAt === undefined
+      ? this.evm.immutables.timelocks
+      : setDeployedAt(this.evm.immutables.timelocks, deployedAt)
+    return timelockStart(timelocks, EVM_STAGES[this.evmSide][stage])
+  }
+
+  /**
+   * Check that the leg locked second expires safely before the leg locked first
+   * @param {number} deployedAt - Deployment timestamp of the escrow, or the expected one
+   * @returns {string|null} Why the order is broken, or null
+   */
+  getTimelockOrderViolation(deployedAt) {
+    const cancellation = this.evmTime('cancellation', deployedAt)
+    const stage = EVM_STAGES[this.evmSide].cancellation
+
+    if (this.evmSide === 'dst' && this.btcRefundTime < cancellation + this.safetyMargin) {
+      return `BTC refund time ${this.btcRefundTime} must be at least ${this.safetyMargin}s after the escrow ` +
+        `${stage} at ${cancellation}, or the user could claim ETH too late for the resolver to claim BTC`
+    }
+    if (this.evmSide === 'src' && cancellation < this.btcRefundTime + this.safetyMargin) {
+      return `Escrow ${stage} at ${cancellation} must be at least ${this.safetyMargin}s after the BTC refund ` +
+        `time ${this.btcRefundTime}, or the user could claim BTC too late for the resolver to claim ETH`
+    }
+    return null
+  }
+
+  /**
+   * Throw unless the leg locked second expires safely before the leg locked first
+   * @param {number} deployedAt - Deployment timestamp of the escrow, or the expected one
+   */
+  assertTimelockOrder(deployedAt) {
+    const violation = this.getTimelockOrderViolation(deployedAt)
+    if (violation) {
+      throw new Error(violation)
+    }
+  }
+
+  /**
+   * Deployment time the order is checked against before locking a leg: the
+   * escrow's own once it exists, otherwise the escrow is assumed to be created now
+   * @returns {number|undefined} Deployment timestamp, undefined for the escrow's own
+   */
+  getPlannedDeployment() {
+    return this.evm.status === 'pending' ? this.now() : undefined
+  }
+
+  /**
+   * Lock the BTC leg from btcWallet and broadcast it
+   * @returns {Promise<Object>} Funding transaction, see SwapCoordinator.createFundingTransaction
+   */
+  async fundBtc() {
+    if (!this.fundsBtc) {
+      throw new Error(`The ${this.role} does not fund the BTC leg of a ${this.direction} swap`)
+    }
+    if (this.btc.status !== 'pending') {
+      throw new Error(`BTC leg is already ${this.btc.status}`)
+    }
+    if (!this.btcWallet) {
+      throw new Error('Funding the BTC leg needs options.btcWallet')
+    }
+    if (this.direction === 'ETH->BTC' && this.evm.status !== 'created') {
+      throw new Error('Fund the BTC leg only after the user created the source escrow')
+    }
+    this.assertTimelockOrder(this.getPlannedDeployment())
+
+    const funding = await this.coordinator.createFundingTransaction(this.swapConfig, this.btcWallet, { fee: this.btcFee })
+    await this.coordinator.rpc.broadcastTransaction(funding.txHex)
+    this.btc.status = 'funded'
+    this.btc.funding = funding
+    this.watcher.watchOutpoint(funding.fundingTxId, funding.fundingVout, funding.fundingValue)
+    this.updateState()
+    return funding
+  }
+
+  /**
+   * Create the escrow leg with the agreed immutables
+   * @returns {Promise<Object>} `{ escrow, immutables, receipt }`
+   */
+  async createEvmEscrow() {
+    if (this.fundsBtc) {
+      throw new Error(`The ${this.role} does not create the escrow of a ${this.direction} swap`)
+    }
+    if (this.evm.status !== 'pending') {
+      throw new Error(`Escrow is already ${this.evm.status}`)
+    }
+    if (this.direction === 'BTC->ETH' && this.btc.status !== 'funded') {
+      throw new Error('Create the destination escrow only after the user funded the BTC leg')
+    }
+    this.assertTimelockOrder(this.getPlannedDeployment())
+
+    const created = this.evmSide === 'src'
+      ? await this.escrowClient.createSrcEscrow(this.evm.immutables)
+      : await this.escrowClient.createDstEscrow(this.evm.immutables, this.btcRefundTime)
+    this.evm = { status: 'created', escrow: created.escrow, immutables: created.immutables, txHash: created.receipt.hash }
+    this.updateState()
+    return created
+  }
+
+  /**
+   * Claim the BTC leg with the secret and broadcast it
+   * @returns {Promise<string>} Transaction ID
+   */
+  async claimBtc() {
+    if (this.fundsBtc) {
+      throw new Error(`The ${this.role} funded the BTC leg and cannot claim it`)
+    }
+    if (!this.secret) {
+      throw new Error('Claiming the BTC leg needs the secret')
+    }
+    if (this.now() >= this.btcRefundTime) {
+      throw new Error(`BTC refund time ${this.btcRefundTime} has passed; claiming would race the refund`)
+    }
+
+    const { txHex } = await this.coordinator.createFundedRedeemTransaction(this.swapConfig, this.requireBtcAddress(), this.secret, this.btcFee)
+    const txid = await this.coordinator.rpc.broadcastTransaction(txHex)
+    this.btc.status = 'claimed'
+    this.btc.txid = txid
+    this.learnSecret(this.secret, 'btc')
+    this.updateState()
+    return txid
+  }
+
+  /**
+   * Refund the BTC leg after its timelock and broadcast it
+   * @returns {Promise<string>} Transaction ID
+   */
+  async refundBtc() {
+    if (!this.fundsBtc) {
+      throw new Error(`The ${this.role} did not fund the BTC leg and cannot refund it`)
+    }
+
+    const { txHex } = await this.coordinator.createFundedRefundTransaction(this.swapConfig, this.requireBtcAddress(), this.btcFee)
+    const txid = await this.coordinator.rpc.broadcastTransaction(txHex)
+    this.btc.status = 'refunded'
+    this.btc.txid = txid
+    this.updateState()
+    return txid
+  }
+
+  /**
+   * Withdraw from the escrow with the secret
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async claimEvm() {
+    if (!this.fundsBtc) {
+      throw new Error(`The ${this.role} created the escrow and cannot claim it`)
+    }
+    if (!this.secret) {
+      throw new Error('Claiming the escrow needs the secret')
+    }
+
+    const method = await this.getEvmMethod('claim')
+    if (!method) {
+      throw new Error(`No withdrawal stage of escrow ${this.evm.escrow} is open to this party at ${this.now()}`)
+    }
+    const secret = '0x' + this.secret.toString('hex')
+    const receipt = await this.escrowClient[method](this.evm.escrow, secret, this.evm.immutables)
+    this.evm.status = 'claimed'
+    this.evm.txHash = receipt.hash
+    this.learnSecret(this.secret, 'evm')
+    this.updateState()
+    return receipt
+  }
+
+  /**
+   * Cancel the escrow after its cancellation stage starts
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async refundEvm() {
+    const method = await this.getEvmMethod('refund')
+    if (!method) {
+      throw new Error(`No cancellation stage of escrow ${this.evm.escrow} is open to this party at ${this.now()}`)
+    }
+    const receipt = await this.escrowClient[method](this.evm.escrow, this.evm.immutables)
+    this.evm.status = 'cancelled'
+    this.evm.txHash = receipt.hash
+    this.updateState()
+    return receipt
+  }
+
+  /**
+   * Escrow method this party may call now to claim or refund
+   * @param {string} action - 'claim' or 'refund'
+   * @returns {Promise<string|null>} EscrowClient method, or null outside every stage open to this party
+   */
+  async getEvmMethod(action) {
+    if (this.evm.status !== 'created') {
+      return null
+    }
+
+    const now = this.now()
+    const stages = EVM_STAGES[this.evmSide]
+    const isTaker = (await this.escrowClient.getAddress()) === this.evm.immutables.taker
+    const cancellation = this.evmTime('cancellation')
+
+    if (action === 'claim') {
+      if (now >= cancellation) {
+        return null
+      }
+      if (isTaker && now >= this.evmTime('withdrawal')) {
+        return 'withdraw'
+      }
+      return now >= this.evmTime('publicWithdrawal') ? 'publicWithdraw' : null
+    }
+
+    if (stages.publicCancellation && now >= this.evmTime('publicCancellation')) {
+      return 'publicCancel'
+    }
+    return isTaker && now >= cancellation ? 'cancel' : null
+  }
+
+  /**
+   * Look at both chains and record funding, escrow creation, claims and refunds
+   */
+  async refresh() {
+    if (this.btc.status === 'pending') {
+      const funding = await this.coordinator.getFunding(this.swapConfig)
+      const locked = this.requireConfirmedFunding ? funding.confirmed : funding.total
+      for (const utxo of funding.utxos) {
+        this.watcher.watchOutpoint(utxo.txid, utxo.vout, utxo.value)
+      }
+      if (locked > 0 && (this.swapConfig.amount === undefined || locked >= this.swapConfig.amount)) {
+        this.btc.status = 'funded'
+        this.btc.funding = funding
+      }
+    }
+    if (this.btc.status !== 'pending') {
+      await this.watcher.poll()
+    }
+
+    if (this.evm.status === 'pending') {
+      await this.findCounterpartyEscrow()
+    }
+    if (this.evm.status === 'created') {
+      const { status, secret, txHash } = await this.escrowClient.getEscrowStatus(this.evm.escrow, this.fromBlock)
+      if (status === 'withdrawn') {
+        this.evm.status = 'claimed'
+        this.evm.txHash = txHash
+        this.learnSecret(Buffer.from(secret.slice(2), 'hex'), 'evm')
+      } else if (status === 'cancelled') {
+        this.evm.status = 'cancelled'
+        this.evm.txHash = txHash
+      }
+    }
+
+    this.updateState()
+  }
+
+  /**
+   * Look for the escrow the counterparty created and check it holds the agreed immutables
+   */
+  async findCounterpartyEscrow() {
+    const found = await this.escrowClient.findEscrow(this.evmSide, this.evm.immutables.hashlock, this.fromBlock)
+    if (!found) {
+      return
+    }
+
+    const immutables = { ...this.evm.immutables, timelocks: setDeployedAt(this.evm.immutables.timelocks, found.deployedAt) }
+    const expected = this.evmSide === 'src'
+      ? await this.escrowClient.addressOfEscrowSrc(immutables)
+      : await this.escrowClient.addressOfEscrowDst(immutables)
+    if (expected.toLowerCase() !== found.escrow.toLowerCase()) {
+      this.stall(`Escrow ${found.escrow} for this hashlock does not hold the agreed immutables`)
+      return
+    }
+
+    this.evm = { status: 'created', escrow: found.escrow, immutables, txHash: found.txHash }
+  }
+
+  /**
+   * Advance the state machine as far as the legs allow
+   */
+  updateState() {
+    const btcLocked = this.btc.status !== 'pending'
+    const evmLocked = this.evm.status !== 'pending'
+    const reached = {
+      [SWAP_STATES.BTC_FUNDED]: btcLocked,
+      [SWAP_STATES.EVM_ESCROW_CREATED]: evmLocked,
+      [SWAP_STATES.SECRET_REVEALED]: Boolean(this.revealedOn),
+      [SWAP_STATES.BOTH_CLAIMED]: this.btc.status === 'claimed' && this.evm.status === 'claimed'
+    }
+
+    const order = STATE_ORDER[this.direction]
+    let next = order[order.indexOf(this.state) + 1]
+    while (next && reached[next]) {
+      this.transition(next)
+      next = order[order.indexOf(this.state) + 1]
+    }
+
+    // Refunded once a leg went back to its funder and no leg is left open
+    const refunded = this.btc.status === 'refunded' || this.evm.status === 'cancelled'
+    const open = this.btc.status === 'funded' || this.evm.status === 'created'
+    if (!this.isFinal && refunded && !open) {
+      this.transition(SWAP_STATES.REFUNDED, { btc: this.btc.status, evm: this.evm.status })
+    }
+  }
+
+  /**
+   * Report why the swap cannot go on as planned, once per reason
+   * @param {string} reason - Explanation
+   */
+  stall(reason) {
+    if (this.stalled !== reason) {
+      this.stalled = reason
+      this.emit('stalled', reason)
+    }
+  }
+
+  /**
+   * Refresh both legs, then take every step that is this party's turn:
+   * lock its leg, claim the other leg, or take its own leg back after the timeout
+   * @returns {Promise<string>} State after this round
+   */
+  async advance() {
+    await this.refresh()
+    if (this.isFinal) {
+      return this.state
+    }
+
+    const now = this.now()
+    const ownStatus = this.fundsBtc ? this.btc.status : this.evm.status
+    const otherLocked = this.fundsBtc ? this.evm.status === 'created' : this.btc.status === 'funded'
+
+    // Lock our leg: the user first, the resolver once the user's leg is locked and the order still holds
+    if (ownStatus === 'pending' && (this.role === 'user' ? this.state === SWAP_STATES.NEGOTIATED : otherLocked)) {
+      const violation = this.getTimelockOrderViolation(this.getPlannedDeployment())
+      if (violation) {
+        this.stall(violation)
+      } else if (this.fundsBtc) {
+        await this.fundBtc()
+      } else {
+        await this.createEvmEscrow()
+      }
+    }
+
+    // Claim the other leg once we know the secret
+    if (this.secret && otherLocked) {
+      if (this.fundsBtc && await this.getEvmMethod('claim')) {
+        await this.claimEvm()
+      } else if (!this.fundsBtc && now < this.btcRefundTime) {
+        await this.claimBtc()
+      }
+    }
+
+    // Take our leg back once it timed out unclaimed
+    if (this.fundsBtc && this.btc.status === 'funded' && now >= this.btcRefundTime) {
+      await this.tryRefundBtc()
+    } else if (!this.fundsBtc && this.evm.status === 'created' && await this.getEvmMethod('refund')) {
+      await this.refundEvm()
+    }
+
+    return this.state
+  }
+
+  /**
+   * Refund the BTC leg, waiting for the next round while the refund is not final yet
+   * (median-time-past trails the wall clock)
+   */
+  async tryRefundBtc() {
+    try {
+      await this.refundBtc()
+    } catch (error) {
+      if (!(error instanceof TransactionRejectedError && error.nonFinal)) {
+        throw error
+      }
+    }
+  }
+
+  /**
+   * Call advance every intervalMs until the swap is final; failed rounds are retried,
+   * and emitted as 'error' when someone listens for it
+   * @param {Object} options - Run options
+   * @param {number} options.intervalMs - Time between rounds (default 30s)
+   * @param {Function} options.sleep - async (ms) => void between rounds (default setTimeout)
+   * @returns {Promise<string>} Final state
+   */
+  async run(options = {}) {
+    const { intervalMs = 30000, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = options
+
+    while (!this.isFinal) {
+      try {
+        await this.advance()
+      } catch (error) {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error)
+        }
+      }
+      if (!this.isFinal) {
+        await sleep(intervalMs)
+      }
+    }
+    return this.state
+  }
+
+  /**
+   * JSON-safe record of the swap for the swap journal; the secret and private keys are left out
+   * @returns {Object} Terms, options, state, history and both legs
+   */
+  toRecord() {
+    return {
+      version: 1,
+      direction: this.direction,
+      role: this.role,
+      state: this.state,
+      history: this.history,
+      revealedOn: this.revealedOn,
+      stalled: this.stalled,
+      safetyMargin: this.safetyMargin,
+      requireConfirmedFunding: this.requireConfirmedFunding,
+      btc: {
+        terms: this.coordinator.exportSwapConfig(this.swapConfig),
+        status: this.btc.status,
+        txid: this.btc.txid,
+        refundTime: this.btcRefundTime,
+        outpoints: [...this.watcher.outpoints.values()].map(({ txid, vout, value }) => ({ txid, vout, value })),
+        address: this.btcAddress,
+        walletPubKey: this.btcWallet ? this.btcWallet.publicKey.toString('hex') : null,
+        fee: this.btcFee
+      },
+      evm: {
+        side: this.evmSide,
+        escrow: this.evm.escrow,
+        status: this.evm.status,
+        txHash: this.evm.txHash,
+        fromBlock: this.fromBlock,
+        immutables: {
+          ...this.evm.immutables,
+          amount: this.evm.immutables.amount.toString(),
+          safetyDeposit: this.evm.immutables.safetyDeposit.toString(),
+          timelocks: this.evm.immutables.timelocks.toString()
+        },
+        timelocks: unpackTimelocks(this.evm.immutables.timelocks)
+      }
+    }
+  }
+
+  /**
+   * Rebuild a swap from a journal record and carry on where it stopped
+   * @param {SwapCoordinator} coordinator - Coordinator with an `rpc` client
+   * @param {EscrowClient} escrowClient - Escrow client signing for this party
+   * @param {Object} record - Output of toRecord
+   * @param {Object} options - Restore options
+   * @param {Function} options.getKey - (pubkey, terms) => ECPair or null, for the keys this party holds, e.g. HDWallet#getKey
+   * @param {Buffer} options.secret - The decrypted secret, if the record has one
+   * @param {Function} options.now - Clock returning Unix seconds
+   * @returns {CrossChainSwap} Swap
+   */
+  static fromRecord(coordinator, escrowClient, record, options = {}) {
+    const getKey = options.getKey || (() => null)
+    const swapConfig = coordinator.importSwapConfig(record.btc.terms, getKey)
+    const immutables = {
+      ...record.evm.immutables,
+      amount: BigInt(record.evm.immutables.amount),
+      safetyDeposit: BigInt(record.evm.immutables.safetyDeposit),
+      timelocks: BigInt(record.evm.immutables.timelocks)
+    }
+
+    const swap = new CrossChainSwap(coordinator, escrowClient, swapConfig, {
+      role: record.role,
+      immutables,
+      secret: options.secret || undefined,
+      btcWallet: record.btc.walletPubKey ? getKey(Buffer.from(record.btc.walletPubKey, 'hex'), record.btc.terms) : undefined,
+      btcAddress: record.btc.address,
+      btcFee: record.btc.fee,
+      safetyMargin: record.safetyMargin,
+      btcRefundTime: record.btc.refundTime,
+      requireConfirmedFunding: record.requireConfirmedFunding,
+      fromBlock: record.evm.fromBlock,
+      now: options.now
+    })
+
+    swap.state = record.state
+    swap.history = record.history
+    swap.revealedOn = record.revealedOn
+    swap.stalled = record.stalled
+    swap.btc = { status: record.btc.status, funding: null, txid: record.btc.txid }
+    swap.evm = { status: record.evm.status, escrow: record.evm.escrow, immutables, txHash: record.evm.txHash }
+    for (const { txid, vout, value } of record.btc.outpoints) {
+      swap.watcher.watchOutpoint(txid, vout, value)
+    }
+    return swap
+  }
+
+  /**
+   * Address for BTC claims and refunds
+   * @returns {string} options.btcAddress
+   */
+  requireBtcAddress() {
+    if (!this.btcAddress) {
+      throw new Error('Claiming or refunding the BTC leg needs options.btcAddress')
+    }
+    return this.btcAddress
+  }
+}
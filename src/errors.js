@@ -0,0 +1,116 @@
+/**
+ * Base class of every error thrown by BitcoinRPC and its provider adapters.
+ * Swap logic should branch on the subclass instead of parsing messages.
+ */
+export class BitcoinRPCError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.provider - Name of the provider that failed
+   * @param {number} details.status - HTTP status, if any
+   * @param {number} details.code - bitcoind JSON-RPC error code, if any
+   * @param {Array<Error>} details.errors - Errors of every provider, when all of them failed
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined)
+    this.name = this.constructor.name
+    this.provider = details.provider || null
+    this.status = details.status || null
+    this.code = details.code || null
+    this.errors = details.errors || []
+  }
+
+  /**
+   * Whether the same call may succeed if tried again later
+   * @returns {boolean} True for transient failures
+   */
+  get retryable() {
+    return false
+  }
+}
+
+/**
+ * The provider could not be reached or answered with a server error
+ */
+export class NetworkError extends BitcoinRPCError {
+  get retryable() {
+    return true
+  }
+}
+
+/**
+ * The transaction, address or block does not exist on this provider (yet)
+ */
+export class NotFoundError extends BitcoinRPCError {}
+
+/**
+ * The provider throttled the client
+ */
+export class RateLimitError extends BitcoinRPCError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - See BitcoinRPCError, plus `retryAfterMs` from the Retry-After header
+   */
+  constructor(message, details = {}) {
+    super(message, details)
+    this.retryAfterMs = details.retryAfterMs || null
+  }
+
+  get retryable() {
+    return true
+  }
+}
+
+/**
+ * The node refused a broadcast transaction; `rejectReason` holds the mempool's
+ * reason, e.g. 'non-final', 'bad-txns-inputs-missingorspent' or 'min relay fee not met'
+ */
+export class TransactionRejectedError extends BitcoinRPCError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - See BitcoinRPCError, plus `rejectReason`
+   */
+  constructor(message, details = {}) {
+    super(message, details)
+    this.rejectReason = details.rejectReason || message
+  }
+
+  /**
+   * Whether the inputs are already spent, e.g. the HTLC was claimed or refunded by another transaction
+   * @returns {boolean} True for missing or spent inputs
+   */
+  get inputsSpent() {
+    return /missingorspent|missing-inputs|txn-mempool-conflict|already in (block ?)?chain/i.test(this.rejectReason)
+  }
+
+  /**
+   * Whether the transaction is not final yet: its locktime or relative timelock has not passed
+   * @returns {boolean} True for non-final transactions
+   */
+  get nonFinal() {
+    return /non-final|non-BIP68-final/i.test(this.rejectReason)
+  }
+}
+
+/**
+ * An escrow factory or escrow call reverted; `errorName` and `args` hold the
+ * decoded custom error, e.g. 'InvalidTime' or 'InvalidSecret'
+ */
+export class EscrowError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.errorName - Custom error name, null if the revert could not be decoded
+   * @param {Array} details.args - Custom error arguments
+   * @param {string} details.action - Contract method that reverted
+   * @param {Error} details.cause - Underlying ethers error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined)
+    this.name = this.constructor.name
+    this.errorName = details.errorName || null
+    this.args = details.args || []
+    this.action = details.action || null
+  }
+}
@@ -0,0 +1,571 @@
+import { ethers } from 'ethers'
+import { EscrowError } from './errors.js'
+
+/**
+ * Timelock stages in `TimelocksLib.Stage` order. Stage i is stored as a uint32
+ * offset in seconds at bits [32i, 32i + 32) of the packed `Timelocks`; the
+ * deployment timestamp sits in the top 32 bits and is set by the factory.
+ */
+export const TIMELOCK_STAGES = [
+  'srcWithdrawal',
+  'srcPublicWithdrawal',
+  'srcCancellation',
+  'srcPublicCancellation',
+  'dstWithdrawal',
+  'dstPublicWithdrawal',
+  'dstCancellation'
+]
+
+const DEPLOYED_AT_OFFSET = 224n
+const UINT32_MAX = 0xffffffffn
+const DEPLOYED_AT_MASK = UINT32_MAX << DEPLOYED_AT_OFFSET
+
+// maker, taker and token are 1inch `Address` values, a user-defined uint256 type, so the
+// selectors of every function taking the struct use uint256
+const IMMUTABLES = '(bytes32 orderHash, bytes32 hashlock, uint256 maker, uint256 taker, uint256 token, uint256 amount, uint256 safetyDeposit, uint256 timelocks)'
+
+const ERRORS_ABI = [
+  // IBaseEscrow
+  'error InvalidCaller()',
+  'error InvalidImmutables()',
+  'error InvalidSecret()',
+  'error InvalidTime()',
+  'error NativeTokenSendingFailure()',
+  // MinimalEscrowFactory
+  'error InsufficientEscrowBalance()',
+  'error InvalidCreationTime()',
+  // SafeERC20 (1inch) and Clones (OpenZeppelin 5)
+  'error SafeTransferFailed()',
+  'error SafeTransferFromFailed()',
+  'error FailedDeployment()',
+  'error InsufficientBalance(uint256 balance, uint256 needed)'
+]
+
+export const FACTORY_ABI = [
+  `function createSrcEscrow(${IMMUTABLES} immutables) payable`,
+  `function createDstEscrow(${IMMUTABLES} dstImmutables, uint256 srcCancellationTimestamp) payable`,
+  `function addressOfEscrowSrc(${IMMUTABLES} immutables) view returns (address)`,
+  `function addressOfEscrowDst(${IMMUTABLES} immutables) view returns (address)`,
+  'function ESCROW_SRC_IMPLEMENTATION() view returns (address)',
+  'function ESCROW_DST_IMPLEMENTATION() view returns (address)',
+  'event SrcEscrowCreated(address escrow, bytes32 hashlock, address maker, address taker)',
+  'event DstEscrowCreated(address escrow, bytes32 hashlock, uint256 taker)',
+  ...ERRORS_ABI
+]
+
+// Union of MinimalEscrowSrc and MinimalEscrowDst; withdrawTo and publicCancel exist on the source escrow only
+export const ESCROW_ABI = [
+  `function withdraw(bytes32 secret, ${IMMUTABLES} immutables)`,
+  `function withdrawTo(bytes32 secret, address target, ${IMMUTABLES} immutables)`,
+  `function claim(bytes32 secret, ${IMMUTABLES} immutables)`,
+  `function publicWithdraw(bytes32 secret, ${IMMUTABLES} immutables)`,
+  `function cancel(${IMMUTABLES} immutables)`,
+  `function publicCancel(${IMMUTABLES} immutables)`,
+  `function rescueFunds(address token, uint256 amount, ${IMMUTABLES} immutables)`,
+  'function RESCUE_DELAY() view returns (uint256)',
+  'function FACTORY() view returns (address)',
+  'event EscrowWithdrawal(bytes32 secret)',
+  'event EscrowCancelled()',
+  'event FundsRescued(address token, uint256 amount)',
+  ...ERRORS_ABI
+]
+
+const ERRORS_INTERFACE = new ethers.Interface(ERRORS_ABI)
+
+const ERROR_HINTS = {
+  InvalidCaller: 'only the taker may call this outside the public periods',
+  InvalidImmutables: 'the immutables do not hash to this escrow; check every field and the deployment timestamp',
+  InvalidSecret: 'the secret does not match the hashlock',
+  InvalidTime: 'the call is outside its timelock window',
+  NativeTokenSendingFailure: 'the recipient rejected the native token transfer',
+  InsufficientEscrowBalance: 'msg.value must be the safety deposit, plus the amount for native token escrows',
+  InvalidCreationTime: 'the timelocks are out of order, or the destination cancellation starts after the source cancellation',
+  SafeTransferFailed: 'the token transfer failed',
+  SafeTransferFromFailed: 'the token transfer into the escrow failed; check the balance and the allowance to the factory',
+  FailedDeployment: 'an escrow with these immutables already exists',
+  InsufficientBalance: 'the factory cannot fund the escrow clone'
+}
+
+/**
+ * Pack timelock offsets into the uint256 `Timelocks` of the escrows
+ * @param {Object} timelocks - Seconds from deployment to the start of each stage, keyed by TIMELOCK_STAGES
+ * @param {number|bigint} deployedAt - Deployment timestamp, 0 before the factory sets it
+ * @returns {bigint} Packed timelocks
+ */
+export function packTimelocks(timelocks, deployedAt = 0) {
+  let packed = 0n
+  TIMELOCK_STAGES.forEach((stage, i) => {
+    const offset = BigInt(timelocks[stage] ?? 0)
+    if (offset < 0n || offset > UINT32_MAX) {
+      throw new Error(`Timelock ${stage} must be a uint32 number of seconds, got ${timelocks[stage]}`)
+    }
+    packed |= offset << BigInt(32 * i)
+  })
+  return setDeployedAt(packed, deployedAt)
+}
+
+/**
+ * Split packed `Timelocks` back into offsets and the deployment timestamp
+ * @param {bigint|string|number} packed - Packed timelocks
+ * @returns {Object} Offset in seconds of each stage, plus `deployedAt`
+ */
+export function unpackTimelocks(packed) {
+  const value = BigInt(packed)
+  const timelocks = {}
+  TIMELOCK_STAGES.forEach((stage, i) => {
+    timelocks[stage] = Number((value >> BigInt(32 * i)) & UINT32_MAX)
+  })
+  timelocks.deployedAt = Number(value >> DEPLOYED_AT_OFFSET)
+  return timelocks
+}
+
+/**
+ * Set the deployment timestamp, as `TimelocksLib.setDeployedAt` does
+ * @param {bigint|string|number} packed - Packed timelocks
+ * @param {number|bigint} deployedAt - Deployment timestamp
+ * @returns {bigint} Packed timelocks
+ */
+export function setDeployedAt(packed, deployedAt) {
+  const timestamp = BigInt(deployedAt)
+  if (timestamp < 0n || timestamp > UINT32_MAX) {
+    throw new Error(`Deployment timestamp must fit in a uint32, got ${deployedAt}`)
+  }
+  return (BigInt(packed) & ~DEPLOYED_AT_MASK) | (timestamp << DEPLOYED_AT_OFFSET)
+}
+
+/**
+ * Unix time a stage starts, as `TimelocksLib.get` computes it
+ * @param {bigint|string|number} packed - Packed timelocks with the deployment timestamp set
+ * @param {string} stage - One of TIMELOCK_STAGES
+ * @returns {number} Unix timestamp
+ */
+export function timelockStart(packed, stage) {
+  const index = TIMELOCK_STAGES.indexOf(stage)
+  if (index === -1) {
+    throw new Error(`Unknown timelock stage "${stage}": use one of ${TIMELOCK_STAGES.join(', ')}`)
+  }
+  const value = BigInt(packed)
+  return Number((value >> DEPLOYED_AT_OFFSET) + ((value >> BigInt(32 * index)) & UINT32_MAX))
+}
+
+/**
+ * Unix time funds can be rescued from, as `TimelocksLib.rescueStart` computes it
+ * @param {bigint|string|number} packed - Packed timelocks with the deployment timestamp set
+ * @param {number|bigint} rescueDelay - RESCUE_DELAY of the escrow
+ * @returns {number} Unix timestamp
+ */
+export function rescueStart(packed, rescueDelay) {
+  return Number(BigInt(rescueDelay) + (BigInt(packed) >> DEPLOYED_AT_OFFSET))
+}
+
+/**
+ * Throw unless the stages are in the order `MinimalEscrowFactory._validateTimelockSequence` requires
+ * @param {bigint|string|number|Object} timelocks - Packed timelocks or offsets keyed by TIMELOCK_STAGES
+ */
+export function assertTimelockSequence(timelocks) {
+  const offsets = typeof timelocks === 'object' ? timelocks : unpackTimelocks(timelocks)
+  const order = [
+    ['srcWithdrawal', 'srcPublicWithdrawal'],
+    ['srcPublicWithdrawal', 'srcCancellation'],
+    ['srcCancellation', 'srcPublicCancellation'],
+    ['dstWithdrawal', 'dstPublicWithdrawal'],
+    ['dstPublicWithdrawal', 'dstCancellation'],
+    ['dstCancellation', 'srcCancellation']
+  ]
+
+  for (const [earlier, later] of order) {
+    if (Number(offsets[earlier] ?? 0) >= Number(offsets[later] ?? 0)) {
+      throw new Error(`Timelock ${earlier} (${offsets[earlier]}s) must start before ${later} (${offsets[later]}s)`)
+    }
+  }
+}
+
+/**
+ * Build the `IBaseEscrow.Immutables` struct of an escrow
+ * @param {Object} params - Escrow parameters
+ * @param {string} params.orderHash - bytes32 order identifier (default random)
+ * @param {string|Buffer} params.hashlock - bytes32 hashlock, see Hashlock.toEvmHashlock
+ * @param {string} params.maker - Maker address
+ * @param {string} params.taker - Taker address
+ * @param {string} params.token - ERC20 token address (default native token)
+ * @param {bigint|string|number} params.amount - Amount in the token's base units
+ * @param {bigint|string|number} params.safetyDeposit - Native token safety deposit in wei
+ * @param {bigint|string|number|Object} params.timelocks - Packed timelocks or offsets keyed by TIMELOCK_STAGES
+ * @param {number} params.deployedAt - Deployment timestamp, once the escrow exists
+ * @returns {Object} Immutables with checksummed addresses and bigint numbers
+ */
+export function buildImmutables(params) {
+  const hashlock = ethers.hexlify(params.hashlock)
+  if (ethers.dataLength(hashlock) !== 32) {
+    throw new Error('Hashlock must be 32 bytes; convert Bitcoin hashes with Hashlock.toEvmHashlock')
+  }
+
+  let timelocks = typeof params.timelocks === 'object'
+    ? packTimelocks(params.timelocks)
+    : BigInt(params.timelocks)
+  if (params.deployedAt !== undefined) {
+    timelocks = setDeployedAt(timelocks, params.deployedAt)
+  }
+
+  return {
+    orderHash: ethers.hexlify(params.orderHash || ethers.randomBytes(32)),
+    hashlock,
+    maker: ethers.getAddress(params.maker),
+    taker: ethers.getAddress(params.taker),
+    token: ethers.getAddress(params.token || ethers.ZeroAddress),
+    amount: BigInt(params.amount),
+    safetyDeposit: BigInt(params.safetyDeposit),
+    timelocks
+  }
+}
+
+/**
+ * Immutables as the contracts take them, with the addresses as uint256
+ * @param {Object} immutables - Immutables from buildImmutables
+ * @returns {Object} Struct to pass to the factory and escrows
+ */
+export function encodeImmutables(immutables) {
+  return {
+    orderHash: immutables.orderHash,
+    hashlock: immutables.hashlock,
+    maker: BigInt(ethers.getAddress(immutables.maker)),
+    taker: BigInt(ethers.getAddress(immutables.taker)),
+    token: BigInt(ethers.getAddress(immutables.token)),
+    amount: BigInt(immutables.amount),
+    safetyDeposit: BigInt(immutables.safetyDeposit),
+    timelocks: BigInt(immutables.timelocks)
+  }
+}
+
+/**
+ * Hash immutables as `ImmutablesLib.hash` does; the factory uses it as the CREATE2 salt
+ * @param {Object} immutables - Immutables
+ * @returns {string} bytes32 hash
+ */
+export function hashImmutables(immutables) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode([IMMUTABLES], [encodeImmutables(immutables)]))
+}
+
+/**
+ * msg.value the factory requires to create an escrow
+ * @param {Object} immutables - Immutables
+ * @returns {bigint} Safety deposit, plus the amount for native token escrows
+ */
+export function escrowValue(immutables) {
+  const deposit = BigInt(immutables.safetyDeposit)
+  return immutables.token === ethers.ZeroAddress ? deposit + BigInt(immutables.amount) : deposit
+}
+
+/**
+ * Find the revert data in an ethers error, however deeply the provider nested it
+ * @param {Error} error - Error thrown by a contract call
+ * @returns {string|null} 0x-prefixed revert data
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) {
+    return null
+  }
+  if (typeof error.data === 'string' && /^0x[0-9a-f]{8}/i.test(error.data)) {
+    return error.data
+  }
+  for (const key of ['data', 'error', 'info', 'cause']) {
+    const data = findRevertData(error[key], depth + 1)
+    if (data) {
+      return data
+    }
+  }
+  return null
+}
+
+/**
+ * Decode the custom error of a reverted escrow or factory call
+ * @param {Error|string} error - Error thrown by ethers, or raw revert data
+ * @returns {Object|null} `{ name, args, selector }`, or null if there is no known custom error
+ */
+export function decodeEscrowError(error) {
+  const data = typeof error === 'string' ? error : findRevertData(error)
+  if (!data) {
+    return null
+  }
+
+  try {
+    const parsed = ERRORS_INTERFACE.parseError(data)
+    return parsed && { name: parsed.name, args: [...parsed.args], selector: parsed.selector }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Turn a reverted call into an EscrowError naming the custom error
+ * @param {Error} error - Error thrown by ethers
+ * @param {string} action - Contract method that was called
+ * @returns {Error} EscrowError, or the original error if it is not a revert
+ */
+export function toEscrowError(error, action) {
+  const decoded = decodeEscrowError(error)
+  if (decoded) {
+    return new EscrowError(`${action} reverted with ${decoded.name}: ${ERROR_HINTS[decoded.name]}`, {
+      errorName: decoded.name,
+      args: decoded.args,
+      action,
+      cause: error
+    })
+  }
+  if (error && error.code === 'CALL_EXCEPTION') {
+    return new EscrowError(`${action} reverted: ${error.shortMessage || error.message}`, { action, cause: error })
+  }
+  return error
+}
+
+const toBytes32 = (value, what) => {
+  const hex = ethers.hexlify(value)
+  if (ethers.dataLength(hex) !== 32) {
+    throw new Error(`${what} must be 32 bytes, got ${ethers.dataLength(hex)}`)
+  }
+  return hex
+}
+
+/**
+ * Client for MinimalEscrowFactory and the escrows it deploys. Every
+ * transaction waits for its receipt; reverts are thrown as EscrowError.
+ */
+export class EscrowClient {
+  /**
+   * @param {string} factoryAddress - MinimalEscrowFactory address
+   * @param {ethers.ContractRunner} runner - Signer for transactions, or a provider for reads only
+   */
+  constructor(factoryAddress, runner) {
+    this.runner = runner
+    this.factory = new ethers.Contract(factoryAddress, FACTORY_ABI, runner)
+  }
+
+  /**
+   * Escrow contract at an address
+   * @param {string} address - Escrow address
+   * @returns {ethers.Contract} Escrow contract
+   */
+  escrow(address) {
+    return new ethers.Contract(address, ESCROW_ABI, this.runner)
+  }
+
+  /**
+   * Address of the signer this client sends transactions from
+   * @returns {Promise<string>} Checksummed address
+   */
+  async getAddress() {
+    return ethers.getAddress(await this.runner.getAddress())
+  }
+
+  /**
+   * Send a transaction and wait for it to be mined
+   * @param {ethers.Contract} contract - Factory or escrow
+   * @param {string} method - Contract method
+   * @param {Array} args - Method arguments
+   * @param {Object} overrides - Transaction overrides, e.g. `{ value }`
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async send(contract, method, args, overrides = {}) {
+    try {
+      const tx = await contract[method](...args, overrides)
+      return await tx.wait()
+    } catch (error) {
+      throw toEscrowError(error, method)
+    }
+  }
+
+  /**
+   * Address of a source escrow. The factory hashes the immutables with the
+   * deployment timestamp set, so this only matches once `deployedAt` is known.
+   * @param {Object} immutables - Immutables
+   * @returns {Promise<string>} Escrow address
+   */
+  async addressOfEscrowSrc(immutables) {
+    return this.factory.addressOfEscrowSrc(encodeImmutables(immutables))
+  }
+
+  /**
+   * Address of a destination escrow; see addressOfEscrowSrc about `deployedAt`
+   * @param {Object} immutables - Immutables
+   * @returns {Promise<string>} Escrow address
+   */
+  async addressOfEscrowDst(immutables) {
+    return this.factory.addressOfEscrowDst(encodeImmutables(immutables))
+  }
+
+  /**
+   * Create a source escrow, sending the safety deposit (and the amount for native tokens).
+   * ERC20 escrows need an allowance of `amount` to the factory first.
+   * @param {Object} immutables - Immutables without deployedAt
+   * @returns {Promise<Object>} `{ escrow, immutables, receipt }`; immutables carry the deployment timestamp
+   */
+  async createSrcEscrow(immutables) {
+    const receipt = await this.send(this.factory, 'createSrcEscrow', [encodeImmutables(immutables)], { value: escrowValue(immutables) })
+    return this.created(receipt, 'SrcEscrowCreated', immutables)
+  }
+
+  /**
+   * Create a destination escrow, sending the safety deposit (and the amount for native tokens)
+   * @param {Object} immutables - Immutables without deployedAt
+   * @param {number|bigint} srcCancellationTimestamp - Start of the source escrow's cancellation stage
+   * @returns {Promise<Object>} `{ escrow, immutables, receipt }`; immutables carry the deployment timestamp
+   */
+  async createDstEscrow(immutables, srcCancellationTimestamp) {
+    assertTimelockSequence(immutables.timelocks)
+    const receipt = await this.send(
+      this.factory,
+      'createDstEscrow',
+      [encodeImmutables(immutables), BigInt(srcCancellationTimestamp)],
+      { value: escrowValue(immutables) }
+    )
+    return this.created(receipt, 'DstEscrowCreated', immutables)
+  }
+
+  /**
+   * Read the escrow address from a creation receipt and stamp the immutables with the block time
+   * @param {ethers.TransactionReceipt} receipt - Creation receipt
+   * @param {string} eventName - SrcEscrowCreated or DstEscrowCreated
+   * @param {Object} immutables - Immutables sent to the factory
+   * @returns {Promise<Object>} `{ escrow, immutables, receipt }`
+   */
+  async created(receipt, eventName, immutables) {
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return this.factory.interface.parseLog(log)
+        } catch {
+          return null
+        }
+      })
+      .find(parsed => parsed && parsed.name === eventName)
+    if (!event) {
+      throw new Error(`Transaction ${receipt.hash} did not emit ${eventName}`)
+    }
+
+    const block = await receipt.getBlock()
+    return {
+      escrow: event.args.escrow,
+      immutables: { ...immutables, timelocks: setDeployedAt(immutables.timelocks, block.timestamp) },
+      receipt
+    }
+  }
+
+  /**
+   * Find an escrow the factory created for a hashlock, e.g. the counterparty's leg
+   * @param {string} side - 'src' or 'dst'
+   * @param {string} hashlock - bytes32 hashlock of the swap
+   * @param {number} fromBlock - First block to search (default 0)
+   * @returns {Promise<Object|null>} `{ escrow, deployedAt, txHash, blockNumber }` of the first match
+   */
+  async findEscrow(side, hashlock, fromBlock = 0) {
+    const eventName = side === 'src' ? 'SrcEscrowCreated' : 'DstEscrowCreated'
+    const events = await this.factory.queryFilter(eventName, fromBlock)
+    const event = events.find(e => e.args.hashlock.toLowerCase() === ethers.hexlify(hashlock).toLowerCase())
+    if (!event) {
+      return null
+    }
+
+    const block = await event.getBlock()
+    return { escrow: event.args.escrow, deployedAt: block.timestamp, txHash: event.transactionHash, blockNumber: event.blockNumber }
+  }
+
+  /**
+   * Tell whether an escrow was withdrawn, revealing the secret, or cancelled
+   * @param {string} escrowAddress - Escrow address
+   * @param {number} fromBlock - First block to search (default 0)
+   * @returns {Promise<Object>} `{ status, secret, txHash }` with status 'open', 'withdrawn' or 'cancelled'
+   */
+  async getEscrowStatus(escrowAddress, fromBlock = 0) {
+    const escrow = this.escrow(escrowAddress)
+    const [withdrawal] = await escrow.queryFilter('EscrowWithdrawal', fromBlock)
+    if (withdrawal) {
+      return { status: 'withdrawn', secret: withdrawal.args.secret, txHash: withdrawal.transactionHash }
+    }
+
+    const [cancellation] = await escrow.queryFilter('EscrowCancelled', fromBlock)
+    if (cancellation) {
+      return { status: 'cancelled', secret: null, txHash: cancellation.transactionHash }
+    }
+
+    return { status: 'open', secret: null, txHash: null }
+  }
+
+  /**
+   * Withdraw with the secret during the private withdrawal stage (taker only).
+   * The source escrow pays the taker, the destination escrow pays the maker.
+   * @param {string} escrowAddress - Escrow address
+   * @param {string|Buffer} secret - 32-byte secret
+   * @param {Object} immutables - Immutables with deployedAt
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async withdraw(escrowAddress, secret, immutables) {
+    return this.send(this.escrow(escrowAddress), 'withdraw', [toBytes32(secret, 'Secret'), encodeImmutables(immutables)])
+  }
+
+  /**
+   * Withdraw from a source escrow to another address (taker only)
+   * @param {string} escrowAddress - Source escrow address
+   * @param {string|Buffer} secret - 32-byte secret
+   * @param {string} target - Recipient of the tokens
+   * @param {Object} immutables - Immutables with deployedAt
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async withdrawTo(escrowAddress, secret, target, immutables) {
+    return this.send(this.escrow(escrowAddress), 'withdrawTo', [toBytes32(secret, 'Secret'), ethers.getAddress(target), encodeImmutables(immutables)])
+  }
+
+  /**
+   * Alias of withdraw on the escrows
+   * @param {string} escrowAddress - Escrow address
+   * @param {string|Buffer} secret - 32-byte secret
+   * @param {Object} immutables - Immutables with deployedAt
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async claim(escrowAddress, secret, immutables) {
+    return this.send(this.escrow(escrowAddress), 'claim', [toBytes32(secret, 'Secret'), encodeImmutables(immutables)])
+  }
+
+  /**
+   * Withdraw with the secret during the public withdrawal stage (anyone)
+   * @param {string} escrowAddress - Escrow address
+   * @param {string|Buffer} secret - 32-byte secret
+   * @param {Object} immutables - Immutables with deployedAt
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async publicWithdraw(escrowAddress, secret, immutables) {
+    return this.send(this.escrow(escrowAddress), 'publicWithdraw', [toBytes32(secret, 'Secret'), encodeImmutables(immutables)])
+  }
+
+  /**
+   * Cancel during the cancellation stage (taker only). The source escrow
+   * refunds the maker, the destination escrow refunds the taker.
+   * @param {string} escrowAddress - Escrow address
+   * @param {Object} immutables - Immutables with deployedAt
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async cancel(escrowAddress, immutables) {
+    return this.send(this.escrow(escrowAddress), 'cancel', [encodeImmutables(immutables)])
+  }
+
+  /**
+   * Cancel a source escrow during the public cancellation stage (anyone)
+   * @param {string} escrowAddress - Source escrow address
+   * @param {Object} immutables - Immutables with deployedAt
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async publicCancel(escrowAddress, immutables) {
+    return this.send(this.escrow(escrowAddress), 'publicCancel', [encodeImmutables(immutables)])
+  }
+
+  /**
+   * Recover tokens left in an escrow after its rescue delay (taker only)
+   * @param {string} escrowAddress - Escrow address
+   * @param {string} token - Token to rescue, ZeroAddress for the native token
+   * @param {bigint|string|number} amount - Amount to rescue
+   * @param {Object} immutables - Immutables with deployedAt
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async rescueFunds(escrowAddress, token, amount, immutables) {
+    return this.send(this.escrow(escrowAddress), 'rescueFunds', [ethers.getAddress(token), BigInt(amount), encodeImmutables(immutables)])
+  }
+}
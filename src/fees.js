@@ -0,0 +1,139 @@
+/**
+ * Fee targets served by BitcoinRPC.getFeeEstimates
+ */
+export const FEE_TARGETS = {
+  FAST: 'fast',     // next block
+  MEDIUM: 'medium', // about an hour
+  SLOW: 'slow'      // about a day
+}
+
+// Largest DER signature (two 33-byte integers) plus the sighash byte
+export const MAX_ECDSA_SIGNATURE_SIZE = 73
+// BIP340 signature with SIGHASH_DEFAULT, which omits the sighash byte
+export const SCHNORR_SIGNATURE_SIZE = 64
+
+// Bitcoin Core's dust relay fee and the input sizes it assumes for spending an output
+const DUST_RELAY_FEE_RATE = 3
+const WITNESS_SPEND_SIZE = 67 // 32 + 4 + 1 + 107 / 4 + 4
+const LEGACY_SPEND_SIZE = 148 // 32 + 4 + 1 + 107 + 4
+
+const varIntSize = n => (n < 0xfd ? 1 : n <= 0xffff ? 3 : n <= 0xffffffff ? 5 : 9)
+const pushedSize = item => varIntSize(item.length) + item.length
+
+/**
+ * Fee rates, transaction sizes and dust limits for HTLC spends
+ */
+export class FeeEngine {
+  /**
+   * @param {BitcoinRPC} rpc - Optional client whose getFeeEstimates resolves fee targets
+   */
+  constructor(rpc = null) {
+    this.rpc = rpc
+  }
+
+  /**
+   * Resolve a sat/vB rate or a fee target to a sat/vB rate
+   * @param {number|string} feeRate - sat/vB rate, or a target from FEE_TARGETS
+   * @returns {Promise<number>} Fee rate in sat/vB
+   */
+  async getFeeRate(feeRate) {
+    if (typeof feeRate === 'number') {
+      return FeeEngine.assertFeeRate(feeRate)
+    }
+    if (!Object.values(FEE_TARGETS).includes(feeRate)) {
+      throw new Error(`Unknown fee target "${feeRate}": use a sat/vB number or one of ${Object.values(FEE_TARGETS).join(', ')}`)
+    }
+    if (!this.rpc) {
+      throw new Error(`Fee target "${feeRate}" needs an RPC client with getFeeEstimates`)
+    }
+
+    const estimates = await this.rpc.getFeeEstimates()
+    return FeeEngine.assertFeeRate(estimates[feeRate])
+  }
+
+  /**
+   * Work out the fee and output value of a single-output spend
+   * @param {Object} params - Quote parameters
+   * @param {number} params.vsize - Virtual size of the spend
+   * @param {number} params.inputValue - Total value of the inputs in satoshis
+   * @param {Buffer} params.outputScript - Script of the output
+   * @param {number|Object} params.fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {Object} vsize, feeRate (effective sat/vB), fee, outputValue and dustLimit
+   */
+  quote({ vsize, inputValue, outputScript, fee }) {
+    const absoluteFee = typeof fee === 'number'
+      ? fee
+      : Math.ceil(vsize * FeeEngine.assertFeeRate(fee && fee.feeRate))
+
+    if (!Number.isInteger(absoluteFee) || absoluteFee < 0) {
+      throw new Error(`Fee must be a non-negative integer number of satoshis, got ${absoluteFee}`)
+    }
+
+    const outputValue = inputValue - absoluteFee
+    const dustLimit = FeeEngine.getDustLimit(outputScript)
+    if (outputValue < dustLimit) {
+      throw new Error(
+        `Output of ${outputValue} sats after a ${absoluteFee} sat fee is below the dust limit of ${dustLimit} sats`
+      )
+    }
+
+    return {
+      vsize,
+      feeRate: absoluteFee / vsize,
+      fee: absoluteFee,
+      outputValue,
+      dustLimit
+    }
+  }
+
+  /**
+   * Virtual size of a transaction from its scripts and witness stacks
+   * @param {Object} shape - Transaction shape
+   * @param {Array<Object>} shape.inputs - `{ scriptSig, witness }` per input, both optional
+   * @param {Array<Buffer>} shape.outputs - Output scripts
+   * @returns {number} Virtual size in vbytes
+   */
+  static estimateVsize({ inputs, outputs }) {
+    let baseSize = 4 + varIntSize(inputs.length) + varIntSize(outputs.length) + 4
+    let witnessSize = 0
+
+    for (const { scriptSig = Buffer.alloc(0), witness = [] } of inputs) {
+      baseSize += 32 + 4 + pushedSize(scriptSig) + 4
+      witnessSize += varIntSize(witness.length) + witness.reduce((size, item) => size + pushedSize(item), 0)
+    }
+    for (const script of outputs) {
+      baseSize += 8 + pushedSize(script)
+    }
+
+    const hasWitness = inputs.some(input => input.witness && input.witness.length > 0)
+    const weight = baseSize * 4 + (hasWitness ? 2 + witnessSize : 0)
+    return Math.ceil(weight / 4)
+  }
+
+  /**
+   * Smallest value an output can carry and still be relayed (Bitcoin Core's dust rule)
+   * @param {Buffer} outputScript - Output script
+   * @returns {number} Dust limit in satoshis
+   */
+  static getDustLimit(outputScript) {
+    const isWitnessProgram = outputScript.length >= 4 && outputScript.length <= 42 &&
+      (outputScript[0] === 0x00 || (outputScript[0] >= 0x51 && outputScript[0] <= 0x60)) &&
+      outputScript[1] === outputScript.length - 2
+    const outputSize = 8 + pushedSize(outputScript)
+    const spendSize = isWitnessProgram ? WITNESS_SPEND_SIZE : LEGACY_SPEND_SIZE
+
+    return (outputSize + spendSize) * DUST_RELAY_FEE_RATE
+  }
+
+  /**
+   * Throw unless the fee rate is a positive number
+   * @param {number} feeRate - Fee rate in sat/vB
+   * @returns {number} The fee rate
+   */
+  static assertFeeRate(feeRate) {
+    if (typeof feeRate !== 'number' || !Number.isFinite(feeRate) || feeRate <= 0) {
+      throw new Error(`Fee rate must be a positive number of sat/vB, got ${feeRate}`)
+    }
+    return feeRate
+  }
+}
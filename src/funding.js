@@ -0,0 +1,52 @@
+/**
+ * Summarize the UTXOs funding an HTLC address against the agreed swap amount
+ * @param {Array<Object>} utxos - `{ txid, vout, value, confirmed }` from BitcoinRPC.getAddressUtxos
+ * @param {number} expectedAmount - Agreed swap amount in satoshis, if known
+ * @returns {Object} UTXOs, total, confirmed and unconfirmed sums, and warnings
+ */
+export function summarizeFunding(utxos, expectedAmount) {
+  const total = utxos.reduce((sum, utxo) => sum + utxo.value, 0)
+  const confirmed = utxos.filter(utxo => utxo.confirmed).reduce((sum, utxo) => sum + utxo.value, 0)
+  const unconfirmed = total - confirmed
+  const warnings = []
+
+  if (unconfirmed > 0) {
+    const count = utxos.filter(utxo => !utxo.confirmed).length
+    warnings.push(`${count} of ${utxos.length} funding UTXOs (${unconfirmed} sats) are unconfirmed and can still be double-spent`)
+  }
+  if (expectedAmount !== undefined && total < expectedAmount) {
+    warnings.push(`HTLC holds ${total} sats, less than the agreed ${expectedAmount} sats (partial funding)`)
+  }
+  if (expectedAmount !== undefined && total > expectedAmount) {
+    warnings.push(`HTLC holds ${total} sats, more than the agreed ${expectedAmount} sats (overfunded)`)
+  }
+
+  return { utxos, total, confirmed, unconfirmed, expectedAmount, warnings }
+}
+
+/**
+ * Pick wallet UTXOs, largest first, until they cover an amount plus the fee of spending them
+ * @param {Array<Object>} utxos - `{ txid, vout, value }` candidates
+ * @param {number} amount - Amount to cover in satoshis
+ * @param {Function} feeFor - inputCount => fee in satoshis of a transaction with that many inputs
+ * @returns {Array<Object>} Selected UTXOs
+ */
+export function selectUtxos(utxos, amount, feeFor) {
+  const candidates = [...utxos].sort((a, b) => b.value - a.value)
+  const selected = []
+  let total = 0
+
+  for (const utxo of candidates) {
+    selected.push(utxo)
+    total += utxo.value
+    if (total >= amount + feeFor(selected.length)) {
+      return selected
+    }
+  }
+
+  const available = candidates.reduce((sum, utxo) => sum + utxo.value, 0)
+  throw new Error(
+    `Insufficient funds: wallet has ${available} sats in ${candidates.length} UTXOs, ` +
+    `needs ${amount} sats plus ${feeFor(Math.max(candidates.length, 1))} sats in fees`
+  )
+}
@@ -0,0 +1,153 @@
+import * as bitcoin from 'bitcoinjs-lib'
+import { SECRET_LENGTH, deriveSecret, generateSecret } from './secret.js'
+
+/**
+ * Hash algorithms that both Bitcoin script and the EVM escrows can verify.
+ * Keccak256 is deliberately absent: Bitcoin script has no opcode for it.
+ */
+export const HASHLOCK_MODES = {
+  SHA256: 'sha256',
+  HASH160: 'hash160'
+}
+
+const MODE_PARAMS = {
+  [HASHLOCK_MODES.SHA256]: {
+    opcode: bitcoin.opcodes.OP_SHA256,
+    hashLength: 32,
+    digest: secret => bitcoin.crypto.sha256(secret)
+  },
+  [HASHLOCK_MODES.HASH160]: {
+    opcode: bitcoin.opcodes.OP_HASH160,
+    hashLength: 20,
+    digest: secret => bitcoin.crypto.hash160(secret)
+  }
+}
+
+/**
+ * Hashlock algorithm shared by the Bitcoin HTLC and the EVM escrow of one swap
+ */
+export class Hashlock {
+  constructor(mode = HASHLOCK_MODES.SHA256) {
+    if (!MODE_PARAMS[mode]) {
+      throw new Error(
+        `Unsupported hashlock mode "${mode}": use one of ${Object.values(HASHLOCK_MODES).join(', ')} ` +
+        '(Bitcoin script cannot verify keccak256)'
+      )
+    }
+
+    this.mode = mode
+    this.opcode = MODE_PARAMS[mode].opcode
+    this.hashLength = MODE_PARAMS[mode].hashLength
+  }
+
+  /**
+   * Hash a secret the way the Bitcoin script does
+   * @param {Buffer} secret - The secret
+   * @returns {Buffer} 32-byte SHA256 or 20-byte HASH160 digest
+   */
+  hash(secret) {
+    return MODE_PARAMS[this.mode].digest(secret)
+  }
+
+  /**
+   * Generate a random 32-byte secret (the EVM escrows take a bytes32) and its hashes
+   * @returns {Object} Secret, Bitcoin script hash and EVM hashlock
+   */
+  generateSecret() {
+    return this.fromSecret(generateSecret())
+  }
+
+  /**
+   * Derive the secret of a swap from a seed, see deriveSecret in src/secret.js
+   * @param {Buffer} seed - At least 32 bytes of secret seed
+   * @param {number} index - Swap index
+   * @returns {Object} Secret, Bitcoin script hash and EVM hashlock
+   */
+  deriveSecret(seed, index) {
+    return this.fromSecret(deriveSecret(seed, index))
+  }
+
+  /**
+   * Hashes of a known secret
+   * @param {Buffer} secret - The secret
+   * @returns {Object} Secret, Bitcoin script hash and EVM hashlock
+   */
+  fromSecret(secret) {
+    const hash = this.hash(secret)
+    return { secret, hash, hashlock: this.toEvmHashlock(hash) }
+  }
+
+  /**
+   * Verify secret matches hash; the HTLC scripts only take 32-byte secrets
+   * @param {Buffer} secret - The secret
+   * @param {Buffer} hash - The Bitcoin script hash to verify against
+   * @returns {boolean} True if valid
+   */
+  verifySecret(secret, hash) {
+    return secret.length === SECRET_LENGTH && this.hash(secret).equals(hash)
+  }
+
+  /**
+   * Convert a Bitcoin script hash to the `Immutables.hashlock` the escrows check.
+   * HASH160 digests are left-aligned, matching `bytes32(ripemd160(...))` in Solidity.
+   * @param {Buffer} hash - The Bitcoin script hash
+   * @returns {string} 0x-prefixed bytes32
+   */
+  toEvmHashlock(hash) {
+    this.assertHashLength(hash)
+    return '0x' + Buffer.concat([hash, Buffer.alloc(32 - hash.length)]).toString('hex')
+  }
+
+  /**
+   * Throw unless the hash has the digest length of this mode
+   * @param {Buffer} hash - The Bitcoin script hash
+   */
+  assertHashLength(hash) {
+    if (!Buffer.isBuffer(hash) || hash.length !== this.hashLength) {
+      throw new Error(`Secret hash must be ${this.hashLength} bytes for ${this.mode} hashlocks`)
+    }
+  }
+
+  /**
+   * Find the hashlock an HTLC script checks
+   * @param {Buffer} script - HTLC script
+   * @returns {Object} Hashlock instance and the hash it locks to
+   */
+  static fromScript(script) {
+    const chunks = bitcoin.script.decompile(script) || []
+
+    for (let i = 0; i < chunks.length - 1; i++) {
+      const mode = Object.keys(MODE_PARAMS).find(m => MODE_PARAMS[m].opcode === chunks[i])
+      const hash = chunks[i + 1]
+
+      if (mode && Buffer.isBuffer(hash) && hash.length === MODE_PARAMS[mode].hashLength) {
+        return { hashlock: new Hashlock(mode), hash }
+      }
+    }
+
+    throw new Error('Script does not contain a SHA256 or HASH160 hashlock')
+  }
+
+  /**
+   * Check that the secret opening the Bitcoin HTLC also opens the EVM escrow
+   * @param {Buffer} script - HTLC script
+   * @param {string|Buffer} evmHashlock - `Immutables.hashlock` of the escrow
+   * @returns {Hashlock} The hashlock both legs share
+   */
+  static assertCompatible(script, evmHashlock) {
+    const { hashlock, hash } = Hashlock.fromScript(script)
+    const expected = hashlock.toEvmHashlock(hash)
+    const actual = Buffer.isBuffer(evmHashlock)
+      ? '0x' + evmHashlock.toString('hex')
+      : '0x' + String(evmHashlock).replace(/^0x/, '').toLowerCase()
+
+    if (actual !== expected) {
+      throw new Error(
+        `Hashlock mismatch: the BTC script expects ${hashlock.mode} hashlock ${expected} ` +
+        `but the EVM escrow uses ${actual}; no secret can open both legs`
+      )
+    }
+
+    return hashlock
+  }
+}
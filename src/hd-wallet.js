@@ -0,0 +1,159 @@
+import * as bitcoin from 'bitcoinjs-lib'
+import { ECPairFactory } from 'ecpair'
+import * as ecc from 'tiny-secp256k1'
+import { ethers } from 'ethers'
+import { Hashlock, HASHLOCK_MODES } from './hashlock.js'
+
+const ECPair = ECPairFactory(ecc)
+
+// BIP44 coin types: every Bitcoin test network derives under coin type 1
+const BTC_COIN_TYPE = network => (network === bitcoin.networks.bitcoin ? 0 : 1)
+const ETH_COIN_TYPE = 60
+
+// HTLC keys live in their own BIP84 account so they never mix with receive addresses
+export const SWAP_ACCOUNT = 1
+
+/**
+ * BIP39 mnemonic wallet deriving BIP84 keys for BTC, BIP44 keys for ETH and a
+ * fresh child key for every swap. Any BIP39/BIP84 wallet recovers the BTC and
+ * ETH receive keys from the mnemonic.
+ */
+export class HDWallet {
+  /**
+   * @param {string} mnemonic - BIP39 mnemonic (English)
+   * @param {Object} options - Wallet options
+   * @param {string} options.passphrase - Optional BIP39 passphrase
+   * @param {Object} options.network - bitcoinjs network (default testnet)
+   */
+  constructor(mnemonic, options = {}) {
+    const phrase = mnemonic.trim().split(/\s+/).join(' ')
+    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+      throw new Error('Invalid BIP39 mnemonic: unknown word or bad checksum')
+    }
+
+    this.mnemonic = ethers.Mnemonic.fromPhrase(phrase, options.passphrase || '')
+    this.network = options.network || bitcoin.networks.testnet
+    this.root = ethers.HDNodeWallet.fromSeed(this.mnemonic.computeSeed())
+  }
+
+  /**
+   * Create a wallet with a new random mnemonic
+   * @param {Object} options - Wallet options, see constructor
+   * @param {number} options.words - Mnemonic length, 12, 15, 18, 21 or 24 (default 24)
+   * @returns {HDWallet} Wallet
+   */
+  static generate(options = {}) {
+    const words = options.words || 24
+    if (![12, 15, 18, 21, 24].includes(words)) {
+      throw new Error(`A BIP39 mnemonic has 12, 15, 18, 21 or 24 words, not ${words}`)
+    }
+    return HDWallet.fromEntropy(ethers.randomBytes(words / 3 * 4), options)
+  }
+
+  /**
+   * Restore a wallet from BIP39 entropy, as stored in a keystore
+   * @param {Buffer} entropy - 16 to 32 bytes of entropy
+   * @param {Object} options - Wallet options, see constructor
+   * @returns {HDWallet} Wallet
+   */
+  static fromEntropy(entropy, options = {}) {
+    return new HDWallet(ethers.Mnemonic.entropyToPhrase(entropy), options)
+  }
+
+  /**
+   * BIP39 entropy of the mnemonic
+   * @returns {Buffer} Entropy
+   */
+  get entropy() {
+    return Buffer.from(ethers.getBytes(this.mnemonic.entropy))
+  }
+
+  /**
+   * BIP84 path of a BTC key
+   * @param {number} index - Address index
+   * @param {Object} options - Path options
+   * @param {number} options.account - Account (default 0)
+   * @param {number} options.change - 0 for receive, 1 for change addresses
+   * @returns {string} Derivation path
+   */
+  btcPath(index = 0, options = {}) {
+    return `m/84'/${BTC_COIN_TYPE(this.network)}'/${options.account || 0}'/${options.change || 0}/${index}`
+  }
+
+  /**
+   * BIP44 path of an ETH key
+   * @param {number} index - Address index
+   * @returns {string} Derivation path
+   */
+  ethPath(index = 0) {
+    return `m/44'/${ETH_COIN_TYPE}'/0'/0/${index}`
+  }
+
+  /**
+   * BTC key pair at a path
+   * @param {string} path - Derivation path
+   * @returns {bitcoin.ECPair} Key pair on the wallet's network
+   */
+  deriveKey(path) {
+    const node = this.root.derivePath(path)
+    return ECPair.fromPrivateKey(Buffer.from(ethers.getBytes(node.privateKey)), { network: this.network })
+  }
+
+  /**
+   * BIP84 BTC key and its native segwit address
+   * @param {number} index - Address index
+   * @param {Object} options - Path options, see btcPath
+   * @returns {Object} `{ key, address, path }`
+   */
+  deriveBtcKey(index = 0, options = {}) {
+    const path = this.btcPath(index, options)
+    const key = this.deriveKey(path)
+    const { address } = bitcoin.payments.p2wpkh({ pubkey: key.publicKey, network: this.network })
+    return { key, address, path }
+  }
+
+  /**
+   * BIP44 ETH wallet
+   * @param {number} index - Address index
+   * @returns {ethers.HDNodeWallet} Wallet at m/44'/60'/0'/0/index
+   */
+  deriveEthWallet(index = 0) {
+    return this.root.derivePath(this.ethPath(index))
+  }
+
+  /**
+   * Fresh HTLC key for one swap, at an index taken from the swap's secret hash
+   * so it is found again from the swap terms alone, without a counter
+   * @param {Buffer} secretHash - Hash of the swap secret
+   * @returns {Object} `{ key, path }`
+   */
+  deriveSwapKey(secretHash) {
+    const index = secretHash.readUInt32BE(0) & 0x7fffffff
+    const path = this.btcPath(index, { account: SWAP_ACCOUNT })
+    return { key: this.deriveKey(path), path }
+  }
+
+  /**
+   * Secret of the swap at an index, recoverable from the mnemonic alone
+   * @param {number} index - Swap index
+   * @param {string} mode - Hashlock mode, see HASHLOCK_MODES
+   * @returns {Object} Secret, script hash and EVM hashlock
+   */
+  deriveSecret(index, mode = HASHLOCK_MODES.SHA256) {
+    return new Hashlock(mode).deriveSecret(Buffer.from(ethers.getBytes(this.mnemonic.computeSeed())), index)
+  }
+
+  /**
+   * Key lookup for importSwapConfig and SwapRunner: the swap key of the terms or the first receive key
+   * @param {Buffer} pubkey - Public key to find
+   * @param {Object} terms - Exported swap terms with `secretHash`
+   * @returns {bitcoin.ECPair|null} Key pair, null if this wallet does not hold it
+   */
+  getKey(pubkey, terms) {
+    const candidates = [this.deriveBtcKey(0).key]
+    if (terms && terms.secretHash) {
+      candidates.push(this.deriveSwapKey(Buffer.from(terms.secretHash, 'hex')).key)
+    }
+    return candidates.find(key => key.publicKey.equals(pubkey)) || null
+  }
+}
@@ -0,0 +1,233 @@
+import { EventEmitter } from 'events'
+import * as bitcoin from 'bitcoinjs-lib'
+import { Hashlock } from './hashlock.js'
+
+const outpointKey = (txid, vout) => `${txid}:${vout}`
+
+/**
+ * Watches an HTLC address through BitcoinRPC and reports how each funding
+ * output is spent. A redeem reveals the secret in its witness; the watcher
+ * emits it as soon as the redeem reaches the mempool, so the other leg of the
+ * swap can be claimed right away.
+ *
+ * Events:
+ * - 'funded' (utxo) - a new output `{ txid, vout, value, confirmed }` pays to the HTLC
+ * - 'secret' (secret, spend) - the first redeem seen; `spend.evmSecret` is the 0x-prefixed preimage
+ * - 'redeemed' (spend) / 'refunded' (spend) - an output was spent, or its spend was replaced
+ * - 'confirmed' (spend) - a spend confirmed
+ * - 'error' (error) - a poll, or the check of one output, failed; polling goes on
+ *
+ * A spend is `{ txid, vin, fundingTxId, fundingVout, branch, secret, evmSecret, confirmed }`.
+ */
+export class HTLCWatcher extends EventEmitter {
+  /**
+   * @param {SwapCoordinator} coordinator - Coordinator that set up the swap
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Object} options - Watcher options
+   * @param {BitcoinRPC} options.rpc - Client with getAddressUtxos, getOutspend and getTransactionHex (default coordinator.rpc)
+   * @param {number} options.intervalMs - Time between polls (default 30s)
+   * @param {Array<Object>} options.outpoints - Known funding outputs `{ txid, vout, value }`, e.g. already spent ones
+   */
+  constructor(coordinator, swapConfig, options = {}) {
+    super()
+    this.coordinator = coordinator
+    this.swapConfig = swapConfig
+    this.rpc = options.rpc || coordinator.rpc
+    if (!this.rpc) {
+      throw new Error('HTLCWatcher needs an RPC client: pass options.rpc or give the coordinator one')
+    }
+
+    this.intervalMs = options.intervalMs ?? 30000
+    this.outpoints = new Map()
+    this.secret = null
+    this.timer = null
+    const { hashlock, hash } = Hashlock.fromScript(coordinator.getSpendScript(swapConfig, 'redeem'))
+    this.hashlock = hashlock
+    this.hash = hash
+
+    for (const { txid, vout, value } of options.outpoints || []) {
+      this.watchOutpoint(txid, vout, value)
+    }
+  }
+
+  /**
+   * Watch a funding output even if it no longer shows up at the HTLC address
+   * @param {string} txid - Funding transaction ID
+   * @param {number} vout - Funding output index
+   * @param {number} value - Funding value in satoshis, if known
+   */
+  watchOutpoint(txid, vout, value) {
+    const key = outpointKey(txid, vout)
+    if (!this.outpoints.has(key)) {
+      this.outpoints.set(key, { txid, vout, value, spend: null })
+    }
+  }
+
+  /**
+   * Look for new funding and for spends of every watched output once. An output
+   * that fails to check is reported as 'error' and the others are still checked.
+   * @returns {Promise<Array<Object>>} Watched outputs with their spends
+   */
+  async poll() {
+    const utxos = await this.rpc.getAddressUtxos(this.swapConfig.address)
+    const unspent = new Set(utxos.map(utxo => outpointKey(utxo.txid, utxo.vout)))
+
+    for (const utxo of utxos) {
+      if (!this.outpoints.has(outpointKey(utxo.txid, utxo.vout))) {
+        this.watchOutpoint(utxo.txid, utxo.vout, utxo.value)
+        this.emit('funded', utxo)
+      }
+    }
+
+    for (const [key, outpoint] of this.outpoints) {
+      if (unspent.has(key) || (outpoint.spend && outpoint.spend.confirmed)) {
+        continue
+      }
+
+      try {
+        await this.checkOutpoint(outpoint)
+      } catch (error) {
+        this.reportError(error)
+      }
+    }
+
+    return [...this.outpoints.values()]
+  }
+
+  /**
+   * Look for a spend of one watched output, or for its confirmation
+   * @param {Object} outpoint - Watched output
+   */
+  async checkOutpoint(outpoint) {
+    const outspend = await this.rpc.getOutspend(outpoint.txid, outpoint.vout)
+    if (!outspend.spent) {
+      return
+    }
+
+    if (outpoint.spend && outpoint.spend.txid === outspend.txid) {
+      if (outspend.confirmed) {
+        outpoint.spend.confirmed = true
+        this.emit('confirmed', outpoint.spend)
+      }
+      return
+    }
+
+    // First sighting, or the spend was replaced (RBF)
+    outpoint.spend = await this.decodeSpend(outpoint, outspend)
+    this.reportSpend(outpoint.spend)
+  }
+
+  /**
+   * Fetch a spending transaction and decode the HTLC input
+   * @param {Object} outpoint - Watched output
+   * @param {Object} outspend - Result of getOutspend
+   * @returns {Promise<Object>} Spend
+   */
+  async decodeSpend(outpoint, outspend) {
+    const tx = bitcoin.Transaction.fromHex(await this.rpc.getTransactionHex(outspend.txid))
+    const vin = tx.ins.findIndex(input =>
+      Buffer.from(input.hash).reverse().toString('hex') === outpoint.txid && input.index === outpoint.vout
+    )
+    if (vin === -1) {
+      throw new Error(`Transaction ${outspend.txid} does not spend ${outpoint.txid}:${outpoint.vout}`)
+    }
+
+    const { branch, secret } = this.coordinator.decodeSpendWitness(this.swapConfig, tx.ins[vin].witness)
+    if (secret && !this.hashlock.verifySecret(secret, this.hash)) {
+      throw new Error(`Redeem ${outspend.txid} reveals a secret that does not match the hashlock`)
+    }
+
+    return {
+      txid: outspend.txid,
+      vin,
+      fundingTxId: outpoint.txid,
+      fundingVout: outpoint.vout,
+      branch,
+      secret,
+      evmSecret: secret ? '0x' + secret.toString('hex') : undefined,
+      confirmed: Boolean(outspend.confirmed)
+    }
+  }
+
+  /**
+   * Emit the events of a newly seen spend
+   * @param {Object} spend - Spend
+   */
+  reportSpend(spend) {
+    if (spend.branch === 'redeem' && !this.secret) {
+      this.secret = spend.secret
+      this.emit('secret', spend.secret, spend)
+    }
+    this.emit(spend.branch === 'redeem' ? 'redeemed' : 'refunded', spend)
+    if (spend.confirmed) {
+      this.emit('confirmed', spend)
+    }
+  }
+
+  /**
+   * Emit an error for the listeners of 'error'; without any, it is dropped
+   * rather than thrown, so polling carries on
+   * @param {Error} error - Failure of a poll or of one output
+   */
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error)
+    }
+  }
+
+  /**
+   * Poll every intervalMs until stop() is called. Failed polls are emitted as
+   * 'error' when someone listens for it, and polling carries on either way.
+   * @returns {HTLCWatcher} This watcher
+   */
+  start() {
+    if (this.timer) {
+      return this
+    }
+
+    const tick = async () => {
+      try {
+        await this.poll()
+      } catch (error) {
+        this.reportError(error)
+      } finally {
+        if (this.timer) {
+          this.timer = setTimeout(tick, this.intervalMs)
+        }
+      }
+    }
+    this.timer = setTimeout(tick, 0)
+    return this
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Resolve with the secret once a redeem reveals it; reject if the HTLC is refunded first
+   * @returns {Promise<Buffer>} The secret
+   */
+  waitForSecret() {
+    if (this.secret) {
+      return Promise.resolve(this.secret)
+    }
+
+    return new Promise((resolve, reject) => {
+      const onSecret = secret => {
+        this.off('refunded', onRefund)
+        resolve(secret)
+      }
+      const onRefund = spend => {
+        this.off('secret', onSecret)
+        reject(new Error(`HTLC refunded in ${spend.txid} before the secret was revealed`))
+      }
+      this.once('secret', onSecret)
+      this.once('refunded', onRefund)
+    })
+  }
+}
@@ -1,11 +1,94 @@
 import * as bitcoin from 'bitcoinjs-lib'
 import * as ecc from 'tiny-secp256k1'
-import { randomBytes } from 'crypto'
-import createKeccakHash from 'keccak'
+import { Hashlock, HASHLOCK_MODES } from './hashlock.js'
+import { SECRET_LENGTH, assertSecret } from './secret.js'
+import { Timelock, SEQUENCE_RBF } from './timelock.js'
+import { aggregatePubkeys } from './musig.js'
 
 // Initialize ECC library
 bitcoin.initEccLib(ecc)
 
+/**
+ * Output types an HTLC script can be funded with
+ */
+export const OUTPUT_TYPES = {
+  P2WSH: 'p2wsh',
+  P2SH_P2WSH: 'p2sh-p2wsh',
+  P2TR: 'p2tr'
+}
+
+/**
+ * Internal keys for Taproot HTLCs
+ */
+export const TAPROOT_INTERNAL_KEYS = {
+  NUMS: 'nums',   // provably unspendable, script path only
+  MUSIG: 'musig'  // MuSig2 aggregate of redeemer and refunder
+}
+
+/**
+ * HTLC script templates. Version 2 checks `OP_SIZE 32 OP_EQUALVERIFY` before
+ * hashing the preimage, matching the `bytes32` secret of the EVM escrows;
+ * version 1 scripts hash any preimage and stay spendable for swaps funded before.
+ */
+export const SCRIPT_VERSIONS = {
+  V1: 1, // no preimage size check
+  V2: 2  // OP_SIZE 32 OP_EQUALVERIFY
+}
+
+export const CURRENT_SCRIPT_VERSION = SCRIPT_VERSIONS.V2
+
+const preimageSizeCheck = version => {
+  if (!Object.values(SCRIPT_VERSIONS).includes(version)) {
+    throw new Error(`Unsupported HTLC script version ${version}: use one of ${Object.values(SCRIPT_VERSIONS).join(', ')}`)
+  }
+  return version === SCRIPT_VERSIONS.V1
+    ? []
+    : [bitcoin.opcodes.OP_SIZE, bitcoin.script.number.encode(SECRET_LENGTH), bitcoin.opcodes.OP_EQUALVERIFY]
+}
+
+// BIP342 leaf version of tapscript leaves
+const LEAF_VERSION_TAPSCRIPT = 0xc0
+
+// BIP341 "H" point: sha256 of the uncompressed secp256k1 generator, no known discrete log
+const NUMS_INTERNAL_KEY = Buffer.from('50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0', 'hex')
+
+const toXOnly = pubkey => (pubkey.length === 32 ? pubkey : pubkey.subarray(1, 33))
+
+// Bitcoin CompactSize, the length prefix of witness stacks, their items and tapleaf scripts
+const encodeVarInt = n => {
+  if (n < 0xfd) {
+    return Buffer.from([n])
+  }
+  const buffer = Buffer.alloc(n <= 0xffff ? 3 : 5)
+  if (n <= 0xffff) {
+    buffer[0] = 0xfd
+    buffer.writeUInt16LE(n, 1)
+  } else {
+    buffer[0] = 0xfe
+    buffer.writeUInt32LE(n, 1)
+  }
+  return buffer
+}
+
+/**
+ * Serialize a witness stack as a PSBT finalScriptWitness holds it
+ * @param {Array<Buffer>} witness - Witness stack
+ * @returns {Buffer} Item count, then each item prefixed with its length
+ */
+export function serializeWitness(witness) {
+  return Buffer.concat([encodeVarInt(witness.length), ...witness.flatMap(item => [encodeVarInt(item.length), item])])
+}
+
+/**
+ * BIP341 leaf hash of a tapscript leaf, as signatures and control blocks commit to it
+ * @param {Buffer} script - Leaf script
+ * @param {number} version - Leaf version (default tapscript, 0xc0)
+ * @returns {Buffer} 32-byte TapLeaf tagged hash
+ */
+export function tapleafHash(script, version = LEAF_VERSION_TAPSCRIPT) {
+  return Buffer.from(bitcoin.crypto.taggedHash('TapLeaf', Buffer.concat([Buffer.from([version]), encodeVarInt(script.length), script])))
+}
+
 export class BitcoinHTLC {
   constructor(network = bitcoin.networks.testnet) {
     this.network = network
@@ -15,97 +98,389 @@ export class BitcoinHTLC {
    * Create HTLC script for atomic swaps
    * @param {Buffer} redeemerPubKey - Public key of the redeemer (who reveals secret)
    * @param {Buffer} refunderPubKey - Public key of the refunder (who gets refund after timeout)
-   * @param {Buffer} secretHash - SHA256 hash of the secret
-   * @param {number} locktime - Unix timestamp for timeout
+   * @param {Buffer} secretHash - SHA256 (32 bytes) or HASH160 (20 bytes) hash of the secret
+   * @param {Timelock|Object|number} locktime - Refund timelock, or a bare nLockTime (timestamp or block height)
+   * @param {Object} options - Script options
+   * @param {string} options.hashlock - Hashlock mode, see HASHLOCK_MODES
+   * @param {number} options.scriptVersion - Template version, see SCRIPT_VERSIONS (default CURRENT_SCRIPT_VERSION)
    * @returns {Buffer} Compiled script
    */
-  createHTLCScript(redeemerPubKey, refunderPubKey, secretHash, locktime) {
-    if (secretHash.length !== 32) {
-      throw new Error('Secret hash must be 32 bytes')
-    }
+  createHTLCScript(redeemerPubKey, refunderPubKey, secretHash, locktime, options = {}) {
+    const hashlock = new Hashlock(options.hashlock || HASHLOCK_MODES.SHA256)
+    hashlock.assertHashLength(secretHash)
+    const timelock = Timelock.from(locktime)
 
+    // Each branch leaves exactly one true value, as segwit's clean stack rule requires
     const script = bitcoin.script.compile([
       bitcoin.opcodes.OP_IF,
         redeemerPubKey,
         bitcoin.opcodes.OP_CHECKSIGVERIFY,
-        bitcoin.opcodes.OP_SHA256,
+        ...preimageSizeCheck(options.scriptVersion || CURRENT_SCRIPT_VERSION),
+        hashlock.opcode,
         secretHash,
-        bitcoin.opcodes.OP_EQUALVERIFY,
+        bitcoin.opcodes.OP_EQUAL,
       bitcoin.opcodes.OP_ELSE,
-        bitcoin.script.number.encode(locktime),
-        bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY,
+        bitcoin.script.number.encode(timelock.scriptNumber),
+        timelock.opcode,
         bitcoin.opcodes.OP_DROP,
         refunderPubKey,
-        bitcoin.opcodes.OP_CHECKSIGVERIFY,
+        bitcoin.opcodes.OP_CHECKSIG,
       bitcoin.opcodes.OP_ENDIF
     ])
 
     return script
   }
 
+  /**
+   * Decompile an HTLC script and pull out its terms. Only scripts that
+   * createHTLCScript (or BitcoinSDKHTLC, which builds the same bytes) would
+   * produce are accepted: the parsed terms are rebuilt and compared byte for byte.
+   * @param {Buffer|string} script - HTLC script (Buffer or hex)
+   * @returns {Object} scriptVersion, hashlock mode, secretHash, redeemerPubKey, refunderPubKey,
+   *   timelock, and the P2WSH and P2SH-P2WSH addresses
+   */
+  parseHTLCScript(script) {
+    script = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex')
+    const chunks = bitcoin.script.decompile(script)
+    if (!chunks) {
+      throw new Error('HTLC script does not decompile')
+    }
+
+    const scriptVersion = chunks[3] === bitcoin.opcodes.OP_SIZE ? SCRIPT_VERSIONS.V2 : SCRIPT_VERSIONS.V1
+    const redeemerPubKey = chunks[1]
+    const [hashOpcode, secretHash, , , lock, lockOpcode, , refunderPubKey] = chunks.slice(scriptVersion === SCRIPT_VERSIONS.V1 ? 3 : 6)
+    const mode = Object.values(HASHLOCK_MODES).find(m => new Hashlock(m).opcode === hashOpcode)
+    const isPubKey = key => Buffer.isBuffer(key) && key.length === 33 && ecc.isPoint(key)
+
+    if (!mode || !Buffer.isBuffer(secretHash) || !isPubKey(redeemerPubKey) || !isPubKey(refunderPubKey) || lock === undefined) {
+      throw new Error('Script does not match any HTLC template')
+    }
+
+    let lockNumber
+    try {
+      // OP_1..OP_16 push small numbers; CLTV and CSV read up to 5-byte numbers
+      lockNumber = Buffer.isBuffer(lock) ? bitcoin.script.number.decode(lock, 5) : lock - bitcoin.opcodes.OP_RESERVED
+    } catch (error) {
+      throw new Error('HTLC script timelock is not a valid script number', { cause: error })
+    }
+    const timelock = Timelock.fromScriptNumber(lockOpcode, lockNumber)
+
+    const rebuilt = this.createHTLCScript(redeemerPubKey, refunderPubKey, secretHash, timelock, { hashlock: mode, scriptVersion })
+    if (!rebuilt.equals(script)) {
+      throw new Error('Script does not match any HTLC template')
+    }
+
+    const { address, p2shAddress } = this.getHTLCAddress(script)
+    return { scriptVersion, hashlock: mode, secretHash, redeemerPubKey, refunderPubKey, timelock, address, p2shAddress }
+  }
+
+  /**
+   * Check an HTLC a counterparty proposes against the agreed terms before
+   * funding the other leg; terms left out are not checked
+   * @param {Buffer|string} script - HTLC script (Buffer or hex)
+   * @param {Object} expected - Agreed terms
+   * @param {string} expected.address - Address to fund, the P2WSH or P2SH-P2WSH address of the script
+   * @param {Buffer} expected.redeemerPubKey - Public key that claims with the secret
+   * @param {Buffer} expected.refunderPubKey - Public key that refunds after the timelock
+   * @param {Buffer} expected.secretHash - Hash of the secret
+   * @param {string} expected.hashlock - Hashlock mode, see HASHLOCK_MODES
+   * @param {Timelock|Object|number} expected.timelock - Refund timelock
+   * @param {number} expected.scriptVersion - Template version (default CURRENT_SCRIPT_VERSION)
+   * @returns {Object} Parsed script, see parseHTLCScript, plus the outputType of the address
+   */
+  verifyHTLC(script, expected = {}) {
+    const parsed = this.parseHTLCScript(script)
+    const problems = []
+    const check = (name, matches, actual, wanted) => {
+      if (!matches) {
+        problems.push(`${name} is ${actual}, expected ${wanted}`)
+      }
+    }
+    const hex = buffer => buffer.toString('hex')
+
+    const scriptVersion = expected.scriptVersion || CURRENT_SCRIPT_VERSION
+    check('script version', parsed.scriptVersion === scriptVersion, parsed.scriptVersion, scriptVersion)
+    if (expected.redeemerPubKey) {
+      check('redeemer key', parsed.redeemerPubKey.equals(expected.redeemerPubKey), hex(parsed.redeemerPubKey), hex(expected.redeemerPubKey))
+    }
+    if (expected.refunderPubKey) {
+      check('refunder key', parsed.refunderPubKey.equals(expected.refunderPubKey), hex(parsed.refunderPubKey), hex(expected.refunderPubKey))
+    }
+    if (expected.secretHash) {
+      check('secret hash', parsed.secretHash.equals(expected.secretHash), hex(parsed.secretHash), hex(expected.secretHash))
+    }
+    if (expected.hashlock) {
+      check('hashlock', parsed.hashlock === expected.hashlock, parsed.hashlock, expected.hashlock)
+    }
+    if (expected.timelock !== undefined) {
+      const timelock = Timelock.from(expected.timelock)
+      check(
+        'timelock',
+        parsed.timelock.type === timelock.type && parsed.timelock.value === timelock.value,
+        JSON.stringify(parsed.timelock),
+        JSON.stringify(timelock)
+      )
+    }
+
+    let outputType
+    if (expected.address) {
+      outputType = { [parsed.address]: OUTPUT_TYPES.P2WSH, [parsed.p2shAddress]: OUTPUT_TYPES.P2SH_P2WSH }[expected.address]
+      check('address', outputType !== undefined, `${parsed.address} or ${parsed.p2shAddress}`, expected.address)
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`HTLC does not match the agreed terms: ${problems.join('; ')}`)
+    }
+    return { ...parsed, outputType }
+  }
+
   /**
    * Generate P2WSH address from HTLC script
    * @param {Buffer} script - HTLC script
    * @returns {Object} Address and payment object
    */
   getHTLCAddress(script) {
+    const p2wsh = this.getHTLCPayment(script, OUTPUT_TYPES.P2WSH)
+    const p2sh = this.getHTLCPayment(script, OUTPUT_TYPES.P2SH_P2WSH)
+
+    return {
+      address: p2wsh.address,
+      payment: p2wsh,
+      p2shAddress: p2sh.address,
+      p2shPayment: p2sh
+    }
+  }
+
+  /**
+   * Get the payment that locks funds to the HTLC script with the given output type
+   * @param {Buffer} script - HTLC script
+   * @param {string} outputType - Output type, see OUTPUT_TYPES
+   * @returns {Object} bitcoinjs payment with address and output script
+   */
+  getHTLCPayment(script, outputType = OUTPUT_TYPES.P2WSH) {
     const p2wsh = bitcoin.payments.p2wsh({
       redeem: { output: script },
       network: this.network
     })
 
-    const p2sh = bitcoin.payments.p2sh({
-      redeem: p2wsh,
-      network: this.network
-    })
+    switch (outputType) {
+      case OUTPUT_TYPES.P2WSH:
+        return p2wsh
+      case OUTPUT_TYPES.P2SH_P2WSH:
+        return bitcoin.payments.p2sh({
+          redeem: p2wsh,
+          network: this.network
+        })
+      case OUTPUT_TYPES.P2TR:
+        throw new Error('Taproot HTLCs have no single script; use createTaprootHTLC and getTaprootPayment')
+      default:
+        throw new Error(`Unsupported HTLC output type: ${outputType}`)
+    }
+  }
 
-    return {
-      address: p2wsh.address,
-      payment: p2wsh,
-      p2shAddress: p2sh.address
+  /**
+   * Work out which output type a funding output uses
+   * @param {Buffer} script - HTLC script
+   * @param {Buffer|string} fundingOutput - Output script (scriptPubKey) or address that was funded
+   * @returns {string} Output type, see OUTPUT_TYPES
+   */
+  getOutputType(script, fundingOutput) {
+    const outputScript = Buffer.isBuffer(fundingOutput)
+      ? fundingOutput
+      : bitcoin.address.toOutputScript(fundingOutput, this.network)
+
+    const outputType = [OUTPUT_TYPES.P2WSH, OUTPUT_TYPES.P2SH_P2WSH].find(type =>
+      this.getHTLCPayment(script, type).output.equals(outputScript)
+    )
+
+    if (!outputType) {
+      throw new Error('Funding output does not pay to this HTLC script')
     }
+
+    return outputType
   }
 
   /**
    * Create redeem witness for claiming with secret
    * @param {Buffer} signature - Signature from redeemer
-   * @param {Buffer} redeemerPubKey - Public key of redeemer
+   * @param {Buffer} redeemerPubKey - Public key of redeemer (committed in the script, not pushed)
    * @param {Buffer} secret - The secret that hashes to secretHash
    * @param {Buffer} redeemScript - The HTLC script
    * @returns {Array} Witness stack
    */
   createRedeemWitness(signature, redeemerPubKey, secret, redeemScript) {
-    return bitcoin.payments.p2wsh({
-      redeem: {
-        input: bitcoin.script.compile([
-          signature,
-          redeemerPubKey,
-          secret,
-          bitcoin.script.number.encode(1) // OP_TRUE (select IF branch)
-        ]),
-        output: redeemScript
-      }
-    }).witness
+    this.assertPreimage(secret, redeemScript)
+    return [
+      secret,
+      signature,
+      Buffer.from([1]), // OP_TRUE (select IF branch)
+      redeemScript
+    ]
+  }
+
+  /**
+   * Template version of an HTLC script or Taproot claim leaf
+   * @param {Buffer} script - HTLC script or claim leaf
+   * @returns {number} Version, see SCRIPT_VERSIONS
+   */
+  getScriptVersion(script) {
+    const chunks = bitcoin.script.decompile(script) || []
+    return chunks.includes(bitcoin.opcodes.OP_SIZE) ? SCRIPT_VERSIONS.V2 : SCRIPT_VERSIONS.V1
+  }
+
+  /**
+   * Throw unless the script takes the secret; version 2 scripts only take 32-byte secrets
+   * @param {Buffer} secret - The secret
+   * @param {Buffer} script - HTLC script or claim leaf
+   */
+  assertPreimage(secret, script) {
+    if (this.getScriptVersion(script) !== SCRIPT_VERSIONS.V1) {
+      assertSecret(secret)
+    }
   }
 
   /**
    * Create refund witness for timeout claim
    * @param {Buffer} signature - Signature from refunder
-   * @param {Buffer} refunderPubKey - Public key of refunder
+   * @param {Buffer} refunderPubKey - Public key of refunder (committed in the script, not pushed)
    * @param {Buffer} redeemScript - The HTLC script
    * @returns {Array} Witness stack
    */
   createRefundWitness(signature, refunderPubKey, redeemScript) {
-    return bitcoin.payments.p2wsh({
-      redeem: {
-        input: bitcoin.script.compile([
-          signature,
-          refunderPubKey,
-          bitcoin.script.number.encode(0) // OP_FALSE (select ELSE branch)
-        ]),
-        output: redeemScript
-      }
-    }).witness
+    return [
+      signature,
+      Buffer.alloc(0), // OP_FALSE (select ELSE branch)
+      redeemScript
+    ]
+  }
+
+  /**
+   * Create the scriptSig an HTLC input needs for its output type
+   * @param {Buffer} redeemScript - The HTLC script
+   * @param {string} outputType - Output type, see OUTPUT_TYPES
+   * @returns {Buffer} scriptSig, empty for native segwit and Taproot
+   */
+  createScriptSig(redeemScript, outputType = OUTPUT_TYPES.P2WSH) {
+    if (outputType === OUTPUT_TYPES.P2SH_P2WSH) {
+      const p2sh = this.getHTLCPayment(redeemScript, outputType)
+      return bitcoin.script.compile([p2sh.redeem.output])
+    }
+
+    if (outputType !== OUTPUT_TYPES.P2WSH && outputType !== OUTPUT_TYPES.P2TR) {
+      throw new Error(`Unsupported HTLC output type: ${outputType}`)
+    }
+    return Buffer.alloc(0)
+  }
+
+  /**
+   * Create Taproot HTLC with the claim and refund branches as two tapleaves
+   * @param {Buffer} redeemerPubKey - Public key of the redeemer (33-byte or x-only)
+   * @param {Buffer} refunderPubKey - Public key of the refunder (33-byte or x-only)
+   * @param {Buffer} secretHash - SHA256 (32 bytes) or HASH160 (20 bytes) hash of the secret
+   * @param {Timelock|Object|number} locktime - Refund timelock, or a bare nLockTime (timestamp or block height)
+   * @param {Object} options - Script options
+   * @param {string} options.hashlock - Hashlock mode, see HASHLOCK_MODES
+   * @param {string} options.internalKey - Internal key, see TAPROOT_INTERNAL_KEYS (default NUMS)
+   * @param {number} options.scriptVersion - Claim leaf template version, see SCRIPT_VERSIONS
+   * @returns {Object} Leaf scripts, internal key, address and output script
+   */
+  createTaprootHTLC(redeemerPubKey, refunderPubKey, secretHash, locktime, options = {}) {
+    const hashlock = new Hashlock(options.hashlock || HASHLOCK_MODES.SHA256)
+    hashlock.assertHashLength(secretHash)
+    const timelock = Timelock.from(locktime)
+
+    const claimScript = bitcoin.script.compile([
+      ...preimageSizeCheck(options.scriptVersion || CURRENT_SCRIPT_VERSION),
+      hashlock.opcode,
+      secretHash,
+      bitcoin.opcodes.OP_EQUALVERIFY,
+      toXOnly(redeemerPubKey),
+      bitcoin.opcodes.OP_CHECKSIG
+    ])
+
+    const refundScript = bitcoin.script.compile([
+      bitcoin.script.number.encode(timelock.scriptNumber),
+      timelock.opcode,
+      bitcoin.opcodes.OP_DROP,
+      toXOnly(refunderPubKey),
+      bitcoin.opcodes.OP_CHECKSIG
+    ])
+
+    const internalKeyType = options.internalKey || TAPROOT_INTERNAL_KEYS.NUMS
+    let internalPubkey
+    switch (internalKeyType) {
+      case TAPROOT_INTERNAL_KEYS.NUMS:
+        internalPubkey = NUMS_INTERNAL_KEY
+        break
+      case TAPROOT_INTERNAL_KEYS.MUSIG:
+        internalPubkey = aggregatePubkeys([redeemerPubKey, refunderPubKey]).xOnly
+        break
+      default:
+        throw new Error(`Unsupported Taproot internal key: ${internalKeyType}`)
+    }
+
+    const taprootHTLC = { claimScript, refundScript, internalPubkey, internalKeyType }
+    const { address, output } = this.getTaprootPayment(taprootHTLC)
+
+    return { ...taprootHTLC, address, output }
+  }
+
+  /**
+   * Get the P2TR payment of a Taproot HTLC, optionally for spending one leaf
+   * @param {Object} taprootHTLC - Result of createTaprootHTLC
+   * @param {Buffer} leafScript - Leaf to spend (claimScript or refundScript)
+   * @returns {Object} bitcoinjs payment; with a leaf, `witness` is [leafScript, controlBlock]
+   */
+  getTaprootPayment(taprootHTLC, leafScript) {
+    return bitcoin.payments.p2tr({
+      internalPubkey: taprootHTLC.internalPubkey,
+      scriptTree: [
+        { output: taprootHTLC.claimScript },
+        { output: taprootHTLC.refundScript }
+      ],
+      ...(leafScript ? { redeem: { output: leafScript, redeemVersion: LEAF_VERSION_TAPSCRIPT } } : {}),
+      network: this.network
+    })
+  }
+
+  /**
+   * Get what a script-path spend of one Taproot HTLC leaf needs
+   * @param {Object} taprootHTLC - Result of createTaprootHTLC
+   * @param {Buffer} leafScript - Leaf to spend (claimScript or refundScript)
+   * @returns {Object} Leaf version, script, control block and leaf hash
+   */
+  getTaprootLeaf(taprootHTLC, leafScript) {
+    const payment = this.getTaprootPayment(taprootHTLC, leafScript)
+    const controlBlock = payment.witness[payment.witness.length - 1]
+
+    return {
+      leafVersion: LEAF_VERSION_TAPSCRIPT,
+      script: leafScript,
+      controlBlock,
+      leafHash: tapleafHash(leafScript)
+    }
+  }
+
+  /**
+   * Create script-path witness for claiming a Taproot HTLC with secret
+   * @param {Buffer} signature - Schnorr signature from redeemer
+   * @param {Buffer} secret - The secret that hashes to secretHash
+   * @param {Object} leaf - Claim leaf from getTaprootLeaf
+   * @returns {Array} Witness stack
+   */
+  createTaprootClaimWitness(signature, secret, leaf) {
+    this.assertPreimage(secret, leaf.script)
+    return [signature, secret, leaf.script, leaf.controlBlock]
+  }
+
+  /**
+   * Create script-path witness for refunding a Taproot HTLC after timeout
+   * @param {Buffer} signature - Schnorr signature from refunder
+   * @param {Object} leaf - Refund leaf from getTaprootLeaf
+   * @returns {Array} Witness stack
+   */
+  createTaprootRefundWitness(signature, leaf) {
+    return [signature, leaf.script, leaf.controlBlock]
   }
 
   /**
@@ -119,26 +494,18 @@ export class BitcoinHTLC {
    * @param {Buffer} redeemScript - HTLC script
    * @param {Array} witness - Witness stack
    * @param {number} locktime - Optional locktime
+   * @param {string} outputType - Output type of the HTLC being spent, see OUTPUT_TYPES
+   * @param {number} sequence - Input nSequence, the BIP68 delay for CSV refunds
    * @returns {string} Signed transaction hex
    */
-  createSignedTransaction(prevTxId, prevVout, prevValue, outputAddress, outputValue, signingKey, redeemScript, witness, locktime = 0) {
-    // Create the P2SH-P2WSH payment object to get the proper script
-    const p2wsh = bitcoin.payments.p2wsh({
-      redeem: { output: redeemScript },
-      network: this.network
-    })
-    
-    const p2sh = bitcoin.payments.p2sh({
-      redeem: p2wsh,
-      network: this.network
-    })
-
-    // Create transaction manually
+  createSignedTransaction(prevTxId, prevVout, prevValue, outputAddress, outputValue, signingKey, redeemScript, witness, locktime = 0, outputType = OUTPUT_TYPES.P2WSH, sequence = SEQUENCE_RBF) {
+    // Create transaction manually (version 2, like PSBTs)
     const tx = new bitcoin.Transaction()
+    tx.version = 2
     
     // Add input - convert txid string to Buffer
     const txidBuffer = Buffer.from(prevTxId, 'hex').reverse() // bitcoinjs-lib expects little-endian
-    tx.addInput(txidBuffer, prevVout, 0xfffffffe) // sequence for RBF and locktime
+    tx.addInput(txidBuffer, prevVout, sequence) // default sequence enables RBF and locktime
     
     // Add output
     const outputScript = bitcoin.address.toOutputScript(outputAddress, this.network)
@@ -149,37 +516,42 @@ export class BitcoinHTLC {
       tx.locktime = locktime
     }
 
-    // For P2SH-P2WSH, we need to create the proper witness structure
-    // The witness should include the P2WSH witness plus the P2SH redeem script
-    const p2shWitness = [
-      ...witness,                    // P2WSH witness (signature, pubkey, secret, etc.)
-      p2sh.redeem.output            // P2SH redeem script (the P2WSH script)
-    ]
-
-    // Set the witness
-    tx.setWitness(0, p2shWitness)
+    // Native P2WSH spends with the witness alone; P2SH-P2WSH also pushes
+    // the witness program in the scriptSig. The witness is the same for both.
+    tx.setInputScript(0, this.createScriptSig(redeemScript, outputType))
+    tx.setWitness(0, witness)
 
     return tx.toHex()
   }
 
   /**
    * Generate a random secret and its hash
-   * @returns {Object} Secret and hash
+   * @param {string} mode - Hashlock mode, see HASHLOCK_MODES
+   * @returns {Object} Secret, script hash and EVM hashlock
    */
-  generateSecret() {
-    const secret = randomBytes(32)
-    const hash = createKeccakHash('keccak256').update(secret).digest()
-    
-    return { secret, hash }
+  generateSecret(mode = HASHLOCK_MODES.SHA256) {
+    return new Hashlock(mode).generateSecret()
+  }
+
+  /**
+   * Derive the secret of a swap from a seed, so it can be recovered
+   * @param {Buffer} seed - At least 32 bytes of secret seed
+   * @param {number} index - Swap index
+   * @param {string} mode - Hashlock mode, see HASHLOCK_MODES
+   * @returns {Object} Secret, script hash and EVM hashlock
+   */
+  deriveSecret(seed, index, mode = HASHLOCK_MODES.SHA256) {
+    return new Hashlock(mode).deriveSecret(seed, index)
   }
 
   /**
    * Verify secret matches hash
    * @param {Buffer} secret - The secret
    * @param {Buffer} hash - The hash to verify against
+   * @param {string} mode - Hashlock mode, see HASHLOCK_MODES
    * @returns {boolean} True if valid
    */
-  verifySecret(secret, hash) {
-    return createKeccakHash('keccak256').update(secret).digest().equals(hash)
+  verifySecret(secret, hash, mode = HASHLOCK_MODES.SHA256) {
+    return new Hashlock(mode).verifySecret(secret, hash)
   }
 }
@@ -0,0 +1,199 @@
+import fs from 'fs'
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto'
+import * as bitcoin from 'bitcoinjs-lib'
+import { ECPairFactory } from 'ecpair'
+import * as ecc from 'tiny-secp256k1'
+import { ethers } from 'ethers'
+import { HDWallet } from './hd-wallet.js'
+
+const ECPair = ECPairFactory(ecc)
+
+// scrypt cost of keystore encryption keys; Ethereum v3 keystores use the same parameter names
+export const SCRYPT_PARAMS = { n: 1 << 15, r: 8, p: 1 }
+const KEY_LENGTH = 32
+
+const deriveKey = (passphrase, { n, r, p, salt }) =>
+  scryptSync(passphrase, Buffer.from(salt, 'hex'), KEY_LENGTH, { N: n, r, p, maxmem: 256 * n * r })
+
+/**
+ * Encrypt data with a key derived from a passphrase (scrypt, AES-256-GCM)
+ * @param {Buffer} data - Data to encrypt
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdfParams - scrypt `{ n, r, p }` (default n = 2^15, r = 8, p = 1)
+ * @returns {Object} JSON-safe ciphertext with its salt, IV and tag
+ */
+export function encryptWithPassphrase(data, passphrase, kdfParams = SCRYPT_PARAMS) {
+  const kdfparams = { n: kdfParams.n, r: kdfParams.r, p: kdfParams.p, salt: randomBytes(32).toString('hex') }
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(passphrase, kdfparams), iv)
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()])
+
+  return {
+    cipher: 'aes-256-gcm',
+    kdf: 'scrypt',
+    kdfparams,
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex')
+  }
+}
+
+/**
+ * Decrypt data from encryptWithPassphrase
+ * @param {Object} box - Output of encryptWithPassphrase
+ * @param {string} passphrase - Passphrase
+ * @returns {Buffer} The data
+ */
+export function decryptWithPassphrase(box, passphrase) {
+  if (box.cipher !== 'aes-256-gcm' || box.kdf !== 'scrypt') {
+    throw new Error(`Unsupported encryption ${box.cipher} with ${box.kdf}`)
+  }
+
+  const decipher = createDecipheriv('aes-256-gcm', deriveKey(passphrase, box.kdfparams), Buffer.from(box.iv, 'hex'))
+  decipher.setAuthTag(Buffer.from(box.tag, 'hex'))
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(box.ciphertext, 'hex')), decipher.final()])
+  } catch (error) {
+    throw new Error('Cannot decrypt: wrong passphrase or corrupted data', { cause: error })
+  }
+}
+
+/**
+ * Encrypt a BTC/ETH key pair into a keystore. The ETH key is a standard
+ * Ethereum v3 keystore (geth, ethers and MetaMask import `keystore.ethereum`
+ * as is); the BTC key and the optional BIP39 mnemonic use scrypt with AES-256-GCM.
+ * Addresses and public keys stay readable without the passphrase.
+ * @param {Object} keys - Keys to encrypt
+ * @param {Buffer} keys.bitcoin - BTC private key
+ * @param {Buffer} keys.ethereum - ETH private key
+ * @param {string} keys.mnemonic - Optional BIP39 mnemonic the keys were derived from
+ * @param {string} passphrase - Passphrase
+ * @param {Object} options - Keystore options
+ * @param {Object} options.network - bitcoinjs network of the BTC key (default testnet)
+ * @param {Object} options.kdfParams - scrypt parameters, see encryptWithPassphrase
+ * @param {string} options.purpose - Free-form label
+ * @returns {Object} Keystore
+ */
+export function encryptKeystore(keys, passphrase, options = {}) {
+  if (!passphrase) {
+    throw new Error('A keystore needs a passphrase')
+  }
+
+  const network = options.network || bitcoin.networks.testnet
+  const kdfParams = options.kdfParams || SCRYPT_PARAMS
+  const btcKey = ECPair.fromPrivateKey(keys.bitcoin, { network })
+  const ethWallet = new ethers.Wallet('0x' + keys.ethereum.toString('hex'))
+  const v3 = ethers.encryptKeystoreJsonSync(ethWallet, passphrase, {
+    scrypt: { N: kdfParams.n, r: kdfParams.r, p: kdfParams.p }
+  })
+
+  return {
+    version: 1,
+    created: new Date().toISOString(),
+    purpose: options.purpose || 'testing',
+    bitcoin: {
+      network: network === bitcoin.networks.bitcoin ? 'mainnet' : network === bitcoin.networks.regtest ? 'regtest' : 'testnet',
+      publicKey: btcKey.publicKey.toString('hex'),
+      addresses: {
+        bech32: bitcoin.payments.p2wpkh({ pubkey: btcKey.publicKey, network }).address,
+        p2sh: bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: btcKey.publicKey, network }), network }).address
+      },
+      crypto: encryptWithPassphrase(keys.bitcoin, passphrase, kdfParams)
+    },
+    ethereum: JSON.parse(v3),
+    mnemonic: keys.mnemonic ? encryptWithPassphrase(new HDWallet(keys.mnemonic).entropy, passphrase, kdfParams) : undefined
+  }
+}
+
+/**
+ * Decrypt a keystore from encryptKeystore
+ * @param {Object} keystore - Keystore
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} `{ btcKey, ethWallet, mnemonic }` with an ECPair, an ethers Wallet and the mnemonic (or null)
+ */
+export function decryptKeystore(keystore, passphrase) {
+  if (keystore.version !== 1) {
+    throw new Error(`Unsupported keystore version ${keystore.version}`)
+  }
+
+  const network = bitcoin.networks[keystore.bitcoin.network === 'mainnet' ? 'bitcoin' : keystore.bitcoin.network]
+  const btcKey = ECPair.fromPrivateKey(decryptWithPassphrase(keystore.bitcoin.crypto, passphrase), { network })
+  if (btcKey.publicKey.toString('hex') !== keystore.bitcoin.publicKey) {
+    throw new Error('Keystore BTC key does not match its public key')
+  }
+
+  let account
+  try {
+    account = ethers.decryptKeystoreJsonSync(JSON.stringify(keystore.ethereum), passphrase)
+  } catch (error) {
+    throw new Error('Cannot decrypt the ETH key: wrong passphrase or corrupted keystore', { cause: error })
+  }
+
+  return {
+    btcKey,
+    ethWallet: new ethers.Wallet(account.privateKey),
+    mnemonic: keystore.mnemonic ? ethers.Mnemonic.entropyToPhrase(decryptWithPassphrase(keystore.mnemonic, passphrase)) : null
+  }
+}
+
+/**
+ * Write a keystore readable only by its owner
+ * @param {Object} keystore - Keystore
+ * @param {string} file - File path
+ * @returns {string} The file path
+ */
+export function saveKeystore(keystore, file) {
+  fs.writeFileSync(file, JSON.stringify(keystore, null, 2), { mode: 0o600 })
+  return file
+}
+
+/**
+ * Read and decrypt a keystore file
+ * @param {string} file - File path
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} `{ btcKey, ethWallet, mnemonic }`, see decryptKeystore
+ */
+export function loadKeystore(file, passphrase) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Keystore ${file} not found`)
+  }
+  return decryptKeystore(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase)
+}
+
+/**
+ * Keys for scripts: from the keystore in KEYSTORE (unlocked with
+ * KEYSTORE_PASSPHRASE), or from plain BTC_PRIVATE_KEY / ETH_PRIVATE_KEY
+ * @param {Object} options - Overrides of the environment
+ * @param {string} options.keystore - Keystore file
+ * @param {string} options.passphrase - Keystore passphrase
+ * @param {Object} options.network - bitcoinjs network of the BTC key (default testnet)
+ * @param {Object} options.env - Environment (default process.env)
+ * @returns {Object} `{ btcKey, ethWallet, wallet, source }`; `wallet` is the HDWallet of keystores with a
+ *   mnemonic, keys missing from the environment are null
+ */
+export function loadKeys(options = {}) {
+  const env = options.env || process.env
+  const file = options.keystore || env.KEYSTORE
+  const network = options.network || bitcoin.networks.testnet
+
+  if (file) {
+    const passphrase = options.passphrase || env.KEYSTORE_PASSPHRASE
+    if (!passphrase) {
+      throw new Error(`Set KEYSTORE_PASSPHRASE to unlock ${file}`)
+    }
+    const { btcKey, ethWallet, mnemonic } = loadKeystore(file, passphrase)
+    return {
+      btcKey: ECPair.fromPrivateKey(btcKey.privateKey, { network }),
+      ethWallet,
+      wallet: mnemonic ? new HDWallet(mnemonic, { network }) : null,
+      source: file
+    }
+  }
+
+  return {
+    btcKey: env.BTC_PRIVATE_KEY ? ECPair.fromPrivateKey(Buffer.from(env.BTC_PRIVATE_KEY, 'hex'), { network }) : null,
+    ethWallet: env.ETH_PRIVATE_KEY ? new ethers.Wallet(env.ETH_PRIVATE_KEY) : null,
+    wallet: null,
+    source: 'environment'
+  }
+}
@@ -0,0 +1,47 @@
+import * as bitcoin from 'bitcoinjs-lib'
+import * as ecc from 'tiny-secp256k1'
+
+const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141')
+
+function toScalar(hash) {
+  const value = BigInt('0x' + hash.toString('hex')) % CURVE_ORDER
+  return Buffer.from(value.toString(16).padStart(64, '0'), 'hex')
+}
+
+/**
+ * Aggregate public keys with MuSig2 KeyAgg (BIP327). Keys are sorted first
+ * (KeySort), so the result does not depend on the order the parties are given in.
+ * Only key aggregation is provided; spending with the aggregate key needs a
+ * MuSig2 signing session between the parties.
+ * @param {Array<Buffer>} pubkeys - 33-byte compressed public keys
+ * @returns {Object} 33-byte aggregate key and its 32-byte x-only form
+ */
+export function aggregatePubkeys(pubkeys) {
+  if (pubkeys.length === 0) {
+    throw new Error('MuSig2 key aggregation needs at least one public key')
+  }
+  for (const pubkey of pubkeys) {
+    if (!Buffer.isBuffer(pubkey) || pubkey.length !== 33 || !ecc.isPoint(pubkey)) {
+      throw new Error('MuSig2 key aggregation needs 33-byte compressed public keys')
+    }
+  }
+
+  const sorted = [...pubkeys].sort(Buffer.compare)
+  const keyListHash = bitcoin.crypto.taggedHash('KeyAgg list', Buffer.concat(sorted))
+  const secondKey = sorted.find(pubkey => !pubkey.equals(sorted[0]))
+
+  let aggregate = null
+  for (const pubkey of sorted) {
+    const point = secondKey && pubkey.equals(secondKey)
+      ? pubkey
+      : ecc.pointMultiply(pubkey, toScalar(bitcoin.crypto.taggedHash('KeyAgg coefficient', Buffer.concat([keyListHash, pubkey]))), true)
+
+    aggregate = aggregate ? ecc.pointAdd(aggregate, point, true) : point
+    if (!aggregate) {
+      throw new Error('MuSig2 aggregate key is the point at infinity')
+    }
+  }
+
+  aggregate = Buffer.from(aggregate)
+  return { aggregateKey: aggregate, xOnly: aggregate.subarray(1, 33) }
+}
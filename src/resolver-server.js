@@ -0,0 +1,492 @@
+import http from 'http'
+import fs from 'fs'
+import * as bitcoin from 'bitcoinjs-lib'
+import { ethers } from 'ethers'
+import { CrossChainSwap } from './cross-chain-swap.js'
+import { buildImmutables } from './evm-escrow.js'
+import { FEE_TARGETS } from './fees.js'
+import { SwapRunner } from './swap-runner.js'
+import { TIMELOCK_TYPES } from './timelock.js'
+import {
+  SWAP_MESSAGE_TYPES,
+  createSwapAcceptance,
+  getAgreedTerms,
+  parseSwapMessage,
+  signSwapMessage,
+  verifySwapMessage
+} from './swap-offer.js'
+
+/**
+ * Escrow stage offsets the resolver quotes by default. They leave an hour
+ * between the legs' deadlines, the default safetyMargin of CrossChainSwap.
+ */
+export const DEFAULT_ESCROW_TIMELOCKS = {
+  srcWithdrawal: 60,
+  srcPublicWithdrawal: 3600,
+  srcCancellation: 14400,
+  srcPublicCancellation: 18000,
+  dstWithdrawal: 30,
+  dstPublicWithdrawal: 600,
+  dstCancellation: 3600
+}
+
+const MAX_BODY_BYTES = 64 * 1024
+
+/**
+ * Error answered with an HTTP status instead of 500
+ */
+class RequestError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @param {Error} cause - Underlying error
+   */
+  constructor(status, message, cause) {
+    super(message, cause ? { cause } : undefined)
+    this.status = status
+  }
+}
+
+/**
+ * Run a validation step, turning its errors into 400 Bad Request
+ * @param {Function} fn - Step
+ * @returns {*} Result of the step
+ */
+function badRequest(fn) {
+  try {
+    return fn()
+  } catch (error) {
+    throw error instanceof RequestError ? error : new RequestError(400, error.message, error)
+  }
+}
+
+/**
+ * Resolver behind a small JSON HTTP API: it quotes swaps, accepts signed
+ * offers (see src/swap-offer.js), and runs each accepted swap as the resolver
+ * of a CrossChainSwap in a SwapRunner, so its journal carries the swaps
+ * across restarts.
+ *
+ * Routes:
+ * - GET  /quote?direction=BTC->ETH&amount=<sats> - terms the resolver would accept
+ * - POST /offers - signed offer; answers the signed acceptance and the HTLC
+ * - GET  /swaps - every journaled swap with its state
+ * - GET  /swaps/:id - status of both legs
+ * - GET  /swaps/:id/addresses - HTLC address and script, escrow address once created
+ * - POST /swaps/:id/secret - `{ secret }`, taken once both legs are locked
+ *
+ * Events: the SwapRunner events 'state', 'finished' and 'error', plus
+ * 'accepted' (id, swap) for each new swap.
+ */
+export class ResolverServer extends SwapRunner {
+  /**
+   * @param {SwapJournal} journal - Journal holding the swaps
+   * @param {Object} options - Resolver options
+   * @param {SwapCoordinator} options.coordinator - Coordinator with an `rpc` client
+   * @param {EscrowClient} options.escrowClient - Escrow client signing with ethWallet
+   * @param {bitcoin.ECPair} options.btcKey - P2WPKH wallet funding BTC legs and receiving claims and refunds
+   * @param {ethers.Wallet} options.ethWallet - Wallet signing acceptances, the escrow taker
+   * @param {HDWallet} options.wallet - Derives a fresh HTLC key per swap (default btcKey for every HTLC)
+   * @param {number} options.chainId - EVM chain ID
+   * @param {string} options.factory - Escrow factory address
+   * @param {string} options.token - Escrow token (default native)
+   * @param {bigint|string} options.rate - Wei paid per satoshi
+   * @param {number} options.spreadBps - Resolver spread in basis points (default 30)
+   * @param {bigint|string} options.safetyDeposit - Safety deposit of every escrow in wei (default 0)
+   * @param {number} options.minAmount - Smallest swap in satoshis (default 10000)
+   * @param {number} options.maxAmount - Largest swap in satoshis (default no limit)
+   * @param {Object} options.timelocks - Escrow stage offsets (default DEFAULT_ESCROW_TIMELOCKS)
+   * @param {number} options.safetyMargin - Seconds between the two legs' deadlines (default 3600)
+   * @param {number} options.fundingWindow - Seconds the user gets to lock BTC in BTC->ETH swaps (default 3600)
+   * @param {number} options.quoteGrace - Seconds an offer may arrive after its BTC->ETH quote (default 600)
+   * @param {number|Object} options.btcFee - Fee of BTC transactions, see CrossChainSwap (default `{ feeRate: 'medium' }`)
+   * @param {number} options.intervalMs - Time between rounds (default 30s)
+   * @param {Function} options.now - Clock returning Unix seconds (default Date.now)
+   */
+  constructor(journal, options = {}) {
+    if (!options.btcKey || !options.ethWallet) {
+      throw new Error('ResolverServer needs a BTC key and an ETH wallet')
+    }
+    if (options.rate === undefined || BigInt(options.rate) <= 0n) {
+      throw new Error('ResolverServer needs a positive rate in wei per satoshi')
+    }
+
+    const wallet = options.wallet || null
+    super(journal, {
+      coordinator: options.coordinator,
+      escrowClient: options.escrowClient,
+      getKey: (pubkey, terms) => pubkey.equals(options.btcKey.publicKey) ? options.btcKey : wallet && wallet.getKey(pubkey, terms),
+      intervalMs: options.intervalMs,
+      now: options.now
+    })
+
+    const network = this.coordinator.network
+    this.btcKey = options.btcKey
+    this.ethWallet = options.ethWallet
+    this.wallet = wallet
+    this.btcNetwork = Object.keys(bitcoin.networks).find(name => bitcoin.networks[name] === network)
+    this.btcAddress = bitcoin.payments.p2wpkh({ pubkey: this.btcKey.publicKey, network }).address
+    this.chainId = Number(options.chainId)
+    this.factory = ethers.getAddress(options.factory)
+    this.token = ethers.getAddress(options.token || ethers.ZeroAddress)
+    this.rate = BigInt(options.rate)
+    this.spreadBps = BigInt(options.spreadBps ?? 30)
+    this.safetyDeposit = BigInt(options.safetyDeposit ?? 0)
+    this.minAmount = options.minAmount ?? 10000
+    this.maxAmount = options.maxAmount ?? Infinity
+    this.timelocks = options.timelocks || DEFAULT_ESCROW_TIMELOCKS
+    this.safetyMargin = options.safetyMargin ?? 3600
+    this.fundingWindow = options.fundingWindow ?? 3600
+    this.quoteGrace = options.quoteGrace ?? 600
+    this.btcFee = options.btcFee || { feeRate: FEE_TARGETS.MEDIUM }
+    this.clock = options.now || (() => Math.floor(Date.now() / 1000))
+    this.server = http.createServer((req, res) => this.handle(req, res))
+  }
+
+  /**
+   * Wei the resolver pays for, or asks for, an amount of BTC
+   * @param {string} direction - 'BTC->ETH' (the resolver pays) or 'ETH->BTC' (the user pays)
+   * @param {number} amount - Satoshis
+   * @returns {bigint} Wei
+   */
+  price(direction, amount) {
+    const value = BigInt(amount) * this.rate
+    return direction === 'BTC->ETH'
+      ? value * (10000n - this.spreadBps) / 10000n
+      : (value * (10000n + this.spreadBps) + 9999n) / 10000n
+  }
+
+  /**
+   * Terms the resolver accepts for a swap now, in the shape of createSwapOffer's
+   * `btc` and `evm` parameters; the user adds the keys, hashlock and expiry
+   * @param {Object} params - Quote request
+   * @param {string} params.direction - 'BTC->ETH' or 'ETH->BTC'
+   * @param {number|string} params.amount - Satoshis
+   * @returns {Object} `{ direction, btc, evm, resolver }`
+   */
+  quote(params) {
+    const { direction } = params
+    if (!['BTC->ETH', 'ETH->BTC'].includes(direction)) {
+      throw new RequestError(400, `Swap direction must be BTC->ETH or ETH->BTC, got ${direction}`)
+    }
+    const amount = Number(params.amount)
+    this.assertAmount(amount)
+
+    // The leg the user locks first must outlive the resolver's by safetyMargin, see CrossChainSwap.
+    // acceptOffer checks BTC->ETH refund times against its own clock, so they leave quoteGrace to sign and send the offer
+    const now = this.clock()
+    const refundTime = direction === 'BTC->ETH'
+      ? now + this.quoteGrace + this.fundingWindow + this.timelocks.dstCancellation + this.safetyMargin
+      : now + this.timelocks.srcCancellation - this.safetyMargin
+
+    return {
+      direction,
+      btc: {
+        network: this.btcNetwork,
+        amount,
+        timelock: { type: TIMELOCK_TYPES.TIMESTAMP, value: refundTime }
+      },
+      evm: {
+        chainId: this.chainId,
+        factory: this.factory,
+        token: this.token,
+        amount: this.price(direction, amount).toString(),
+        safetyDeposit: this.safetyDeposit.toString(),
+        timelocks: this.timelocks
+      },
+      resolver: { evmAddress: this.ethWallet.address }
+    }
+  }
+
+  /**
+   * Throw a 400 unless the resolver takes swaps of this size
+   * @param {number} amount - Satoshis
+   */
+  assertAmount(amount) {
+    if (!Number.isSafeInteger(amount) || amount < this.minAmount || amount > this.maxAmount) {
+      throw new RequestError(400, `Swap amount must be ${this.minAmount} to ${this.maxAmount} satoshis, got ${amount}`)
+    }
+  }
+
+  /**
+   * Check a signed offer against the resolver's terms, sign the acceptance and start the swap
+   * @param {Object|string} message - Signed offer, parsed or serialized
+   * @returns {Object} `{ id, acceptance, swap }` with the swap status, see getStatus
+   */
+  acceptOffer(message) {
+    const offer = badRequest(() => {
+      const parsed = parseSwapMessage(typeof message === 'string' ? message : JSON.stringify(message))
+      if (parsed.type !== SWAP_MESSAGE_TYPES.OFFER) {
+        throw new Error(`Expected a swap offer, got ${parsed.type}`)
+      }
+      return verifySwapMessage(parsed, { now: this.clock() })
+    })
+    const id = offer.id
+    badRequest(() => this.journal.file(id))
+    if (this.swaps.has(id) || fs.existsSync(this.journal.file(id))) {
+      throw new RequestError(409, `Swap ${id} was already offered`)
+    }
+    badRequest(() => this.assertOfferTerms(offer))
+
+    const secretHash = Buffer.from(offer.hashlock.secretHash, 'hex')
+    const htlcKey = this.wallet ? this.wallet.deriveSwapKey(secretHash).key : this.btcKey
+    const acceptance = signSwapMessage(createSwapAcceptance(offer, {
+      btcPubKey: htlcKey.publicKey,
+      evmAddress: this.ethWallet.address
+    }), { btcKey: htlcKey, ethWallet: this.ethWallet })
+    const terms = getAgreedTerms(offer, acceptance, { now: this.clock() })
+
+    const userPubKey = Buffer.from(offer.btc.pubkey, 'hex')
+    const setupOptions = {
+      hashlock: terms.btc.hashlock,
+      evmHashlock: terms.evm.hashlock,
+      scriptVersion: terms.btc.scriptVersion,
+      timelock: terms.btc.timelock,
+      amount: terms.btc.amount
+    }
+    const swapConfig = offer.direction === 'BTC->ETH'
+      ? this.coordinator.setupBTCtoETH(userPubKey, htlcKey, secretHash, undefined, setupOptions)
+      : this.coordinator.setupETHtoBTC(userPubKey, htlcKey, secretHash, undefined, setupOptions)
+
+    const swap = new CrossChainSwap(this.coordinator, this.escrowClient, swapConfig, {
+      role: 'resolver',
+      immutables: buildImmutables(terms.evm),
+      btcWallet: offer.direction === 'ETH->BTC' ? this.btcKey : undefined,
+      btcAddress: this.btcAddress,
+      btcFee: this.btcFee,
+      safetyMargin: this.safetyMargin,
+      now: this.now
+    })
+
+    // BTC->ETH escrows are created once the user's BTC confirms, ETH->BTC ones by the user right away
+    const deployment = this.clock() + (offer.direction === 'BTC->ETH' ? this.fundingWindow : 0)
+    const violation = swap.getTimelockOrderViolation(deployment)
+    if (violation) {
+      throw new RequestError(400, violation)
+    }
+
+    this.add(id, swap, { offer, acceptance })
+    this.emit('accepted', id, swap)
+    return { id, acceptance, swap: this.getStatus(id) }
+  }
+
+  /**
+   * Throw unless an offer asks for what the resolver quotes
+   * @param {Object} offer - Verified offer
+   */
+  assertOfferTerms(offer) {
+    const { btc, evm } = offer
+    if (btc.network !== this.btcNetwork) {
+      throw new Error(`Offer is for BTC ${btc.network}; the resolver runs on ${this.btcNetwork}`)
+    }
+    if (evm.chainId !== this.chainId || evm.factory !== this.factory || evm.token !== this.token) {
+      throw new Error(`Offer is for token ${evm.token} of factory ${evm.factory} on chain ${evm.chainId}; ` +
+        `the resolver uses token ${this.token} of factory ${this.factory} on chain ${this.chainId}`)
+    }
+    this.assertAmount(btc.amount)
+    if (btc.timelock.type !== TIMELOCK_TYPES.TIMESTAMP) {
+      throw new Error(`The resolver only takes timestamp BTC timelocks, got ${btc.timelock.type}`)
+    }
+    if (BigInt(evm.safetyDeposit) !== this.safetyDeposit) {
+      throw new Error(`Safety deposit must be ${this.safetyDeposit} wei, got ${evm.safetyDeposit}`)
+    }
+    for (const [stage, offset] of Object.entries(this.timelocks)) {
+      if (evm.timelocks[stage] !== offset) {
+        throw new Error(`Escrow timelock ${stage} must be ${offset}s as quoted, got ${evm.timelocks[stage]}s`)
+      }
+    }
+
+    const price = this.price(offer.direction, btc.amount)
+    const amount = BigInt(evm.amount)
+    if (offer.direction === 'BTC->ETH' ? amount > price : amount < price) {
+      throw new Error(`Offer asks for ${amount} wei for ${btc.amount} satoshis; the resolver quotes ${price}`)
+    }
+  }
+
+  /**
+   * Journal record of a swap, current for running swaps
+   * @param {string} id - Swap ID
+   * @returns {Object} Record
+   */
+  getRecord(id) {
+    badRequest(() => this.journal.file(id))
+    const running = this.swaps.get(id)
+    if (running) {
+      return { id, ...running.swap.toRecord() }
+    }
+    if (!fs.existsSync(this.journal.file(id))) {
+      throw new RequestError(404, `No swap ${id}`)
+    }
+    return this.journal.load(id)
+  }
+
+  /**
+   * State of a swap and both of its legs
+   * @param {string} id - Swap ID
+   * @returns {Object} `{ id, direction, state, history, stalled, revealedOn, btc, evm }`
+   */
+  getStatus(id) {
+    const record = this.getRecord(id)
+    return {
+      id,
+      direction: record.direction,
+      state: record.state,
+      history: record.history,
+      stalled: record.stalled,
+      revealedOn: record.revealedOn,
+      btc: {
+        address: record.btc.terms.address,
+        status: record.btc.status,
+        txid: record.btc.txid,
+        refundTime: record.btc.refundTime
+      },
+      evm: {
+        side: record.evm.side,
+        escrow: record.evm.escrow,
+        status: record.evm.status,
+        txHash: record.evm.txHash
+      }
+    }
+  }
+
+  /**
+   * Where each leg is locked: the HTLC with its script, so the user can check it
+   * with BitcoinHTLC#verifyHTLC, and the escrow once it exists
+   * @param {string} id - Swap ID
+   * @returns {Object} `{ id, btc, evm }`
+   */
+  getAddresses(id) {
+    const { btc, evm } = this.getRecord(id)
+    return {
+      id,
+      btc: {
+        address: btc.terms.address,
+        p2shAddress: btc.terms.p2shAddress,
+        outputType: btc.terms.outputType,
+        script: btc.terms.script,
+        timelock: btc.terms.timelock
+      },
+      evm: {
+        side: evm.side,
+        factory: this.factory,
+        escrow: evm.escrow,
+        immutables: evm.immutables
+      }
+    }
+  }
+
+  /**
+   * Take the secret from the user so the resolver can claim the BTC leg without
+   * waiting for the escrow withdrawal; refused until both legs are locked
+   * @param {string} id - Swap ID
+   * @param {string} secretHex - 32-byte secret (hex, optionally 0x-prefixed)
+   * @returns {Object} Swap status, see getStatus
+   */
+  submitSecret(id, secretHex) {
+    const running = this.swaps.get(id)
+    if (!running) {
+      this.getRecord(id)
+      throw new RequestError(409, `Swap ${id} is finished`)
+    }
+
+    const { swap } = running
+    const secret = Buffer.from(String(secretHex || '').replace(/^0x/, ''), 'hex')
+    if (!swap.hashlock.verifySecret(secret, swap.hash)) {
+      throw new RequestError(400, `Secret does not match the hashlock of swap ${id}`)
+    }
+    if (swap.btc.status !== 'funded' || swap.evm.status !== 'created') {
+      throw new RequestError(409, `Swap ${id} takes the secret only once both legs are locked`)
+    }
+
+    swap.learnSecret(secret, 'offchain')
+    swap.updateState()
+    return this.getStatus(id)
+  }
+
+  /**
+   * Answer one HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    let status = 200
+    let body
+    try {
+      const url = new URL(req.url, 'http://resolver')
+      const [route, id, detail] = url.pathname.split('/').filter(Boolean)
+
+      if (req.method === 'GET' && route === 'quote' && !id) {
+        body = this.quote(Object.fromEntries(url.searchParams))
+      } else if (req.method === 'POST' && route === 'offers' && !id) {
+        body = this.acceptOffer(await readBody(req))
+        status = 201
+      } else if (req.method === 'GET' && route === 'swaps' && !id) {
+        body = this.journal.list().map(record => ({ id: record.id, direction: record.direction, state: record.state }))
+      } else if (req.method === 'GET' && route === 'swaps' && !detail) {
+        body = this.getStatus(decodeURIComponent(id))
+      } else if (req.method === 'GET' && route === 'swaps' && detail === 'addresses') {
+        body = this.getAddresses(decodeURIComponent(id))
+      } else if (req.method === 'POST' && route === 'swaps' && detail === 'secret') {
+        const text = await readBody(req)
+        const { secret } = badRequest(() => JSON.parse(text))
+        body = this.submitSecret(decodeURIComponent(id), secret)
+      } else {
+        throw new RequestError(404, `No route ${req.method} ${url.pathname}`)
+      }
+    } catch (error) {
+      status = error.status || 500
+      body = { error: error.message }
+      if (status === 500 && this.listenerCount('error') > 0) {
+        this.emit('error', error, null)
+      }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  /**
+   * Start serving and running swaps, resuming the journal
+   * @param {number} port - Port (0 for any free port)
+   * @param {string} host - Interface (default 127.0.0.1)
+   * @returns {Promise<Object>} Bound address `{ address, port }`
+   */
+  listen(port, host = '127.0.0.1') {
+    this.start()
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, host, () => resolve(this.server.address()))
+    })
+  }
+
+  /**
+   * Stop serving and running swaps; the journal keeps them for the next start
+   * @returns {Promise<void>} Resolves once the server closed
+   */
+  close() {
+    this.stop()
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+}
+
+/**
+ * Read a request body of at most MAX_BODY_BYTES
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new RequestError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
@@ -0,0 +1,50 @@
+import { createHmac, randomBytes } from 'crypto'
+
+/**
+ * Length of every swap secret: the EVM escrows take a bytes32, and the HTLC
+ * scripts check `OP_SIZE 32 OP_EQUALVERIFY` before hashing the preimage
+ */
+export const SECRET_LENGTH = 32
+
+// Domain tag of deriveSecret, so the seed's other uses never produce a swap secret
+const DERIVATION_TAG = Buffer.from('btc-evm-swap/secret')
+
+/**
+ * Throw unless the secret is a 32-byte Buffer
+ * @param {Buffer} secret - The secret
+ */
+export function assertSecret(secret) {
+  if (!Buffer.isBuffer(secret) || secret.length !== SECRET_LENGTH) {
+    const length = Buffer.isBuffer(secret) ? `${secret.length} bytes` : typeof secret
+    throw new Error(`Swap secrets must be ${SECRET_LENGTH} bytes, got ${length}`)
+  }
+}
+
+/**
+ * Random swap secret from the operating system's CSPRNG
+ * @returns {Buffer} 32-byte secret
+ */
+export function generateSecret() {
+  return randomBytes(SECRET_LENGTH)
+}
+
+/**
+ * Deterministic swap secret, so a lost secret can be derived again from the
+ * seed and the swap's index: HMAC-SHA256(seed, tag || uint32be(index))
+ * @param {Buffer} seed - At least 32 bytes of secret seed, e.g. a BIP39 seed
+ * @param {number} index - Swap index, 0 to 2^32 - 1
+ * @returns {Buffer} 32-byte secret
+ */
+export function deriveSecret(seed, index) {
+  if (!Buffer.isBuffer(seed) || seed.length < 32) {
+    throw new Error('Secret derivation needs a seed of at least 32 bytes')
+  }
+  if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) {
+    throw new Error(`Secret index must be an integer from 0 to 2^32 - 1, got ${index}`)
+  }
+
+  const message = Buffer.alloc(DERIVATION_TAG.length + 4)
+  DERIVATION_TAG.copy(message)
+  message.writeUInt32BE(index, DERIVATION_TAG.length)
+  return createHmac('sha256', seed).update(message).digest()
+}
@@ -1,50 +1,91 @@
 import * as bitcoin from 'bitcoinjs-lib'
 import * as ecc from 'tiny-secp256k1'
-import { ECPairFactory } from 'ecpair'
-import { BitcoinHTLC } from './htlc.js'
+import { BitcoinHTLC, CURRENT_SCRIPT_VERSION, OUTPUT_TYPES, SCRIPT_VERSIONS, serializeWitness, tapleafHash } from './htlc.js'
+import { Hashlock } from './hashlock.js'
+import { Timelock, TIMELOCK_TYPES, SEQUENCE_RBF } from './timelock.js'
+import { FeeEngine, FEE_TARGETS, MAX_ECDSA_SIGNATURE_SIZE, SCHNORR_SIGNATURE_SIZE } from './fees.js'
+import { selectUtxos, summarizeFunding } from './funding.js'
+import { NetworkError, NotFoundError, RateLimitError, TransactionRejectedError } from './errors.js'
+import { loadKeys } from './keystore.js'
 
-// Initialize ECC for ECPair usage
+// Initialize ECC for signing and signature validation
 bitcoin.initEccLib(ecc)
-const ECPair = ECPairFactory(ecc)
+
+const validateSignature = (pubkey, msghash, signature) => ecc.verify(msghash, pubkey, signature)
+const validateSchnorrSignature = (pubkey, msghash, signature) => ecc.verifySchnorr(msghash, pubkey, signature)
+
+const toXOnly = pubkey => (pubkey.length === 32 ? pubkey : pubkey.subarray(1, 33))
+
+// BIP125 rule 4: a replacement pays for its own relay at this rate on top of the fee it replaces
+const INCREMENTAL_RELAY_FEE_RATE = 1
 
 export class SwapCoordinator {
-  constructor(network = bitcoin.networks.testnet) {
+  /**
+   * @param {Object} network - bitcoinjs network
+   * @param {Object} options - Coordinator options
+   * @param {BitcoinRPC} options.rpc - Client for fee targets and the UTXOs funding an HTLC
+   */
+  constructor(network = bitcoin.networks.testnet, options = {}) {
     this.network = network
     this.htlc = new BitcoinHTLC(network)
+    this.rpc = options.rpc || null
+    this.fees = new FeeEngine(this.rpc)
+  }
+
+  /**
+   * Unlock the BTC key of an encrypted keystore, see src/keystore.js
+   * @param {string} file - Keystore file, e.g. keys/resolver.keystore.json
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {bitcoin.ECPair} Key pair on this coordinator's network
+   */
+  loadKey(file, passphrase) {
+    return loadKeys({ keystore: file, passphrase, network: this.network }).btcKey
   }
 
   /**
    * Setup BTC -> ETH swap (User locks BTC, Resolver claims after revealing secret on ETH)
-   * @param {bitcoin.ECPair} userKey - User's key pair
-   * @param {Buffer} resolverPubKey - Resolver's public key
+   * @param {bitcoin.ECPair|Buffer} userKeyOrPub - User's key pair, or public key for the resolver's side
+   * @param {bitcoin.ECPair|Buffer} resolverKeyOrPub - Resolver's key pair, or public key for the user's side
    * @param {Buffer} secretHash - Hash of the secret
-   * @param {number} timeoutHours - Timeout in hours
+   * @param {number} timeoutHours - Timeout in hours, used when no timelock is given
+   * @param {Object} options - Swap options
+   * @param {string} options.hashlock - Hashlock mode, see HASHLOCK_MODES
+   * @param {string|Buffer} options.evmHashlock - Hashlock of the EVM escrow leg, checked against the script
+   * @param {string} options.outputType - Output type to fund, see OUTPUT_TYPES (default P2WSH)
+   * @param {string} options.internalKey - Internal key of P2TR swaps, see TAPROOT_INTERNAL_KEYS
+   * @param {number} options.scriptVersion - HTLC template version, see SCRIPT_VERSIONS (default CURRENT_SCRIPT_VERSION)
+   * @param {Timelock|Object} options.timelock - Refund timelock `{ type, value }`, see TIMELOCK_TYPES
+   * @param {number} options.amount - Agreed swap amount in satoshis, checked against the funding
    * @returns {Object} Swap configuration
    */
-  setupBTCtoETH(userKey, resolverKeyOrPub, secretHash, timeoutHours = 24) {
-    const locktime = Math.floor(Date.now() / 1000) + (timeoutHours * 3600)
+  setupBTCtoETH(userKeyOrPub, resolverKeyOrPub, secretHash, timeoutHours = 24, options = {}) {
+    const timelock = this.getSetupTimelock(timeoutHours, options)
 
+    const userKey = userKeyOrPub.privateKey ? userKeyOrPub : null
+    const userPubKey = userKey ? userKey.publicKey : userKeyOrPub
     const resolverKey = resolverKeyOrPub.privateKey ? resolverKeyOrPub : null
     const resolverPubKey = resolverKey ? resolverKey.publicKey : resolverKeyOrPub
     
     // User is refunder, Resolver is redeemer
-    const script = this.htlc.createHTLCScript(
+    const output = this.createSwapOutput(
       resolverPubKey,      // redeemer (resolver claims with secret)
-      userKey.publicKey,   // refunder (user gets refund after timeout)
+      userPubKey,          // refunder (user gets refund after timeout)
       secretHash,
-      locktime
+      timelock,
+      options
     )
 
-    const { address, p2shAddress } = this.htlc.getHTLCAddress(script)
-
     return {
       direction: 'BTC->ETH',
-      address,
-      p2shAddress,
-      script,
-      locktime,
+      ...output,
+      locktime: timelock.locktime,
+      timelock: timelock.toJSON(),
+      amount: options.amount,
       redeemer: 'resolver',
       refunder: 'user',
+      redeemerPubKey: resolverPubKey,
+      refunderPubKey: userPubKey,
+      userPubKey,
       userKey,
       resolverPubKey,
       resolverKey
@@ -56,35 +97,190 @@ export class SwapCoordinator {
    * @param {Buffer} userPubKey - User's public key
    * @param {bitcoin.ECPair} resolverKey - Resolver's key pair
    * @param {Buffer} secretHash - Hash of the secret
-   * @param {number} timeoutHours - Timeout in hours
+   * @param {number} timeoutHours - Timeout in hours, used when no timelock is given
+   * @param {Object} options - Swap options
+   * @param {string} options.hashlock - Hashlock mode, see HASHLOCK_MODES
+   * @param {string|Buffer} options.evmHashlock - Hashlock of the EVM escrow leg, checked against the script
+   * @param {string} options.outputType - Output type to fund, see OUTPUT_TYPES (default P2WSH)
+   * @param {string} options.internalKey - Internal key of P2TR swaps, see TAPROOT_INTERNAL_KEYS
+   * @param {number} options.scriptVersion - HTLC template version, see SCRIPT_VERSIONS (default CURRENT_SCRIPT_VERSION)
+   * @param {Timelock|Object} options.timelock - Refund timelock `{ type, value }`, see TIMELOCK_TYPES
+   * @param {number} options.amount - Agreed swap amount in satoshis, checked against the funding
    * @returns {Object} Swap configuration
    */
-  setupETHtoBTC(userPubKey, resolverKey, secretHash, timeoutHours = 24) {
-    const locktime = Math.floor(Date.now() / 1000) + (timeoutHours * 3600)
+  setupETHtoBTC(userPubKey, resolverKey, secretHash, timeoutHours = 24, options = {}) {
+    const timelock = this.getSetupTimelock(timeoutHours, options)
     
     // Resolver is refunder, User is redeemer
-    const script = this.htlc.createHTLCScript(
+    const output = this.createSwapOutput(
       userPubKey,              // redeemer (user claims with secret)
       resolverKey.publicKey,   // refunder (resolver gets refund after timeout)
       secretHash,
-      locktime
+      timelock,
+      options
     )
 
-    const { address, p2shAddress } = this.htlc.getHTLCAddress(script)
-
     return {
       direction: 'ETH->BTC',
-      address,
-      p2shAddress,
-      script,
-      locktime,
+      ...output,
+      locktime: timelock.locktime,
+      timelock: timelock.toJSON(),
+      amount: options.amount,
       redeemer: 'user',
       refunder: 'resolver',
+      redeemerPubKey: userPubKey,
+      refunderPubKey: resolverKey.publicKey,
       userPubKey,
       resolverKey
     }
   }
 
+  /**
+   * Get the refund timelock of a new swap
+   * @param {number} timeoutHours - Timeout in hours, used when no timelock is given
+   * @param {Object} options - Swap options
+   * @returns {Timelock} Timelock
+   */
+  getSetupTimelock(timeoutHours, options) {
+    return options.timelock ? Timelock.from(options.timelock) : Timelock.fromTimeoutHours(timeoutHours)
+  }
+
+  /**
+   * Create the HTLC output of a swap in the requested output type
+   * @param {Buffer} redeemerPubKey - Public key of the redeemer
+   * @param {Buffer} refunderPubKey - Public key of the refunder
+   * @param {Buffer} secretHash - Hash of the secret
+   * @param {Timelock} timelock - Refund timelock
+   * @param {Object} options - Swap options, see setupBTCtoETH
+   * @returns {Object} Address, output type, script or Taproot tree, hashlock mode and script version
+   */
+  createSwapOutput(redeemerPubKey, refunderPubKey, secretHash, timelock, options = {}) {
+    const outputType = options.outputType || OUTPUT_TYPES.P2WSH
+    const scriptVersion = options.scriptVersion || CURRENT_SCRIPT_VERSION
+
+    if (outputType === OUTPUT_TYPES.P2TR) {
+      const taproot = this.htlc.createTaprootHTLC(redeemerPubKey, refunderPubKey, secretHash, timelock, { ...options, scriptVersion })
+      const hashlock = this.assertSwapHashlock(taproot.claimScript, options.evmHashlock)
+
+      return { address: taproot.address, outputType, taproot, hashlock: hashlock.mode, scriptVersion }
+    }
+
+    const script = this.htlc.createHTLCScript(redeemerPubKey, refunderPubKey, secretHash, timelock, { ...options, scriptVersion })
+    const hashlock = this.assertSwapHashlock(script, options.evmHashlock)
+    const { address } = this.htlc.getHTLCPayment(script, outputType)
+    const { p2shAddress } = this.htlc.getHTLCAddress(script)
+
+    return { address, p2shAddress, outputType, script, hashlock: hashlock.mode, scriptVersion }
+  }
+
+  /**
+   * Reject swaps whose Bitcoin and EVM legs cannot be opened by the same secret
+   * @param {Buffer} script - HTLC script
+   * @param {string|Buffer} evmHashlock - Optional hashlock of the EVM escrow leg
+   * @returns {Hashlock} Hashlock of the swap
+   */
+  assertSwapHashlock(script, evmHashlock) {
+    if (evmHashlock) {
+      return Hashlock.assertCompatible(script, evmHashlock)
+    }
+    return Hashlock.fromScript(script).hashlock
+  }
+
+  /**
+   * Record which output type actually funded the HTLC, e.g. when the funder paid
+   * `p2shAddress` instead of `address`
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Buffer|string} fundingOutput - Funded output script (scriptPubKey) or address
+   * @returns {Object} Swap configuration spending that output type
+   */
+  withFundingOutput(swapConfig, fundingOutput) {
+    if (this.isTaproot(swapConfig)) {
+      const outputScript = Buffer.isBuffer(fundingOutput)
+        ? fundingOutput
+        : bitcoin.address.toOutputScript(fundingOutput, this.network)
+      if (!outputScript.equals(swapConfig.taproot.output)) {
+        throw new Error('Funding output does not pay to this Taproot HTLC')
+      }
+      return swapConfig
+    }
+
+    const outputType = this.htlc.getOutputType(swapConfig.script, fundingOutput)
+    const { address } = this.htlc.getHTLCPayment(swapConfig.script, outputType)
+
+    return { ...swapConfig, outputType, address }
+  }
+
+  /**
+   * Plain, JSON-safe form of a swap config without its private keys, for the swap journal
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {Object} Public swap terms, see importSwapConfig
+   */
+  exportSwapConfig(swapConfig) {
+    const { hash } = Hashlock.fromScript(this.getSpendScript(swapConfig, 'redeem'))
+
+    return {
+      direction: swapConfig.direction,
+      address: swapConfig.address,
+      p2shAddress: swapConfig.p2shAddress,
+      outputType: swapConfig.outputType,
+      hashlock: swapConfig.hashlock,
+      scriptVersion: this.htlc.getScriptVersion(this.getSpendScript(swapConfig, 'redeem')),
+      secretHash: hash.toString('hex'),
+      timelock: this.getTimelock(swapConfig).toJSON(),
+      amount: swapConfig.amount,
+      redeemer: swapConfig.redeemer,
+      refunder: swapConfig.refunder,
+      redeemerPubKey: swapConfig.redeemerPubKey.toString('hex'),
+      refunderPubKey: swapConfig.refunderPubKey.toString('hex'),
+      internalKey: this.isTaproot(swapConfig) ? swapConfig.taproot.internalKeyType : undefined,
+      script: swapConfig.script ? swapConfig.script.toString('hex') : undefined
+    }
+  }
+
+  /**
+   * Rebuild a swap config from exportSwapConfig output and check it still pays to the same address.
+   * Terms without a scriptVersion were exported before versioning; every template is tried for them.
+   * @param {Object} terms - Exported swap terms
+   * @param {Function} getKey - (pubkey, terms) => ECPair or null, for the keys this party holds
+   * @returns {Object} Swap configuration
+   */
+  importSwapConfig(terms, getKey = () => null) {
+    const redeemerPubKey = Buffer.from(terms.redeemerPubKey, 'hex')
+    const refunderPubKey = Buffer.from(terms.refunderPubKey, 'hex')
+    const timelock = Timelock.from(terms.timelock)
+    const versions = terms.scriptVersion ? [terms.scriptVersion] : Object.values(SCRIPT_VERSIONS)
+    const outputs = versions.map(scriptVersion =>
+      this.createSwapOutput(redeemerPubKey, refunderPubKey, Buffer.from(terms.secretHash, 'hex'), timelock, {
+        hashlock: terms.hashlock,
+        outputType: terms.outputType,
+        internalKey: terms.internalKey,
+        scriptVersion
+      })
+    )
+    const output = outputs.find(candidate => candidate.address === terms.address)
+    if (!output) {
+      throw new Error(`Swap terms for ${terms.address} rebuild to ${outputs[0].address}; refusing to import them`)
+    }
+
+    const userPubKey = terms.refunder === 'user' ? refunderPubKey : redeemerPubKey
+    const resolverPubKey = terms.refunder === 'user' ? redeemerPubKey : refunderPubKey
+    return {
+      direction: terms.direction,
+      ...output,
+      locktime: timelock.locktime,
+      timelock: timelock.toJSON(),
+      amount: terms.amount,
+      redeemer: terms.redeemer,
+      refunder: terms.refunder,
+      redeemerPubKey,
+      refunderPubKey,
+      userPubKey,
+      resolverPubKey,
+      userKey: getKey(userPubKey, terms) || null,
+      resolverKey: getKey(resolverPubKey, terms) || null
+    }
+  }
+
   /**
    * Create redeem transaction for claiming with secret
    * @param {Object} swapConfig - Swap configuration
@@ -93,49 +289,19 @@ export class SwapCoordinator {
    * @param {number} fundingValue - Funding value in satoshis
    * @param {string} claimAddress - Address to send claimed funds
    * @param {Buffer} secret - The secret
-   * @param {number} fee - Fee in satoshis
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
    * @returns {string} Signed transaction hex
    */
   createRedeemTransaction(swapConfig, fundingTxId, fundingVout, fundingValue, claimAddress, secret, fee = 1000) {
-    const outputValue = fundingValue - fee
-    
-    let signingKey, witness
-    
-    if (swapConfig.redeemer === 'resolver') {
-      // BTC->ETH: Resolver claims with secret
-      signingKey = swapConfig.resolverKey || ECPair.fromPrivateKey(Buffer.alloc(32, 1)) // Placeholder
-      
-      // Create a temporary transaction to get the hash to sign
-      const tempTx = new bitcoin.Transaction()
-      const txidBuffer = Buffer.from(fundingTxId, 'hex').reverse()
-      tempTx.addInput(txidBuffer, fundingVout, 0xfffffffe)
-      const outputScript = bitcoin.address.toOutputScript(claimAddress, this.network)
-      tempTx.addOutput(outputScript, outputValue)
-      
-      const hashForSig = tempTx.hashForWitnessV0(0, swapConfig.script, fundingValue, bitcoin.Transaction.SIGHASH_ALL)
-      const signature = bitcoin.script.signature.encode(
-        signingKey.sign(hashForSig),
-        bitcoin.Transaction.SIGHASH_ALL
-      )
-      witness = this.htlc.createRedeemWitness(signature, swapConfig.resolverPubKey, secret, swapConfig.script)
-    } else {
-      // ETH->BTC: User claims with secret
-      signingKey = swapConfig.userKey || ECPair.fromPrivateKey(Buffer.alloc(32, 1)) // Placeholder
-      
-      // Create a temporary transaction to get the hash to sign
-      const tempTx = new bitcoin.Transaction()
-      const txidBuffer = Buffer.from(fundingTxId, 'hex').reverse()
-      tempTx.addInput(txidBuffer, fundingVout, 0xfffffffe)
-      const outputScript = bitcoin.address.toOutputScript(claimAddress, this.network)
-      tempTx.addOutput(outputScript, outputValue)
-      
-      const hashForSig = tempTx.hashForWitnessV0(0, swapConfig.script, fundingValue, bitcoin.Transaction.SIGHASH_ALL)
-      const signature = bitcoin.script.signature.encode(
-        signingKey.sign(hashForSig),
-        bitcoin.Transaction.SIGHASH_ALL
-      )
-      witness = this.htlc.createRedeemWitness(signature, swapConfig.userPubKey, secret, swapConfig.script)
-    }
+    const { outputValue } = this.quoteSpendFee(swapConfig, 'redeem', fundingValue, claimAddress, fee, secret)
+    const signingKey = this.requireSigningKey(
+      this.getPartyKey(swapConfig, swapConfig.redeemer),
+      swapConfig.redeemer,
+      'createRedeemPsbt'
+    )
+
+    const signature = this.signHTLCInput(swapConfig, fundingTxId, fundingVout, fundingValue, claimAddress, outputValue, signingKey, 'redeem')
+    const witness = this.createSpendWitness(swapConfig, 'redeem', signature, secret)
 
     return this.htlc.createSignedTransaction(
       fundingTxId,
@@ -144,8 +310,10 @@ export class SwapCoordinator {
       claimAddress,
       outputValue,
       signingKey,
-      swapConfig.script,
-      witness
+      this.getSpendScript(swapConfig, 'redeem'),
+      witness,
+      0,
+      this.getOutputType(swapConfig)
     )
   }
 
@@ -156,51 +324,20 @@ export class SwapCoordinator {
    * @param {number} fundingVout - Funding output index
    * @param {number} fundingValue - Funding value in satoshis
    * @param {string} refundAddress - Address to send refunded funds
-   * @param {number} fee - Fee in satoshis
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
    * @returns {string} Signed transaction hex
    */
   createRefundTransaction(swapConfig, fundingTxId, fundingVout, fundingValue, refundAddress, fee = 1000) {
-    const outputValue = fundingValue - fee
-    
-    let signingKey, witness
-    
-    if (swapConfig.refunder === 'user') {
-      // BTC->ETH: User gets refund
-      signingKey = swapConfig.userKey || ECPair.fromPrivateKey(Buffer.alloc(32, 1))
-      
-      // Create a temporary transaction to get the hash to sign
-      const tempTx = new bitcoin.Transaction()
-      const txidBuffer = Buffer.from(fundingTxId, 'hex').reverse()
-      tempTx.addInput(txidBuffer, fundingVout, 0xfffffffe)
-      const outputScript = bitcoin.address.toOutputScript(refundAddress, this.network)
-      tempTx.addOutput(outputScript, outputValue)
-      tempTx.locktime = swapConfig.locktime
-      
-      const hashForSig = tempTx.hashForWitnessV0(0, swapConfig.script, fundingValue, bitcoin.Transaction.SIGHASH_ALL)
-      const signature = bitcoin.script.signature.encode(
-        signingKey.sign(hashForSig),
-        bitcoin.Transaction.SIGHASH_ALL
-      )
-      witness = this.htlc.createRefundWitness(signature, swapConfig.userKey.publicKey, swapConfig.script)
-    } else {
-      // ETH->BTC: Resolver gets refund
-      signingKey = swapConfig.resolverKey || ECPair.fromPrivateKey(Buffer.alloc(32, 1))
-      
-      // Create a temporary transaction to get the hash to sign
-      const tempTx = new bitcoin.Transaction()
-      const txidBuffer = Buffer.from(fundingTxId, 'hex').reverse()
-      tempTx.addInput(txidBuffer, fundingVout, 0xfffffffe)
-      const outputScript = bitcoin.address.toOutputScript(refundAddress, this.network)
-      tempTx.addOutput(outputScript, outputValue)
-      tempTx.locktime = swapConfig.locktime
-      
-      const hashForSig = tempTx.hashForWitnessV0(0, swapConfig.script, fundingValue, bitcoin.Transaction.SIGHASH_ALL)
-      const signature = bitcoin.script.signature.encode(
-        signingKey.sign(hashForSig),
-        bitcoin.Transaction.SIGHASH_ALL
-      )
-      witness = this.htlc.createRefundWitness(signature, swapConfig.resolverKey.publicKey, swapConfig.script)
-    }
+    const { outputValue } = this.quoteSpendFee(swapConfig, 'refund', fundingValue, refundAddress, fee)
+    const { locktime, sequence } = this.getSpendLocks(swapConfig, 'refund')
+    const signingKey = this.requireSigningKey(
+      this.getPartyKey(swapConfig, swapConfig.refunder),
+      swapConfig.refunder,
+      'createRefundPsbt'
+    )
+
+    const signature = this.signHTLCInput(swapConfig, fundingTxId, fundingVout, fundingValue, refundAddress, outputValue, signingKey, 'refund')
+    const witness = this.createSpendWitness(swapConfig, 'refund', signature)
 
     return this.htlc.createSignedTransaction(
       fundingTxId,
@@ -209,9 +346,1066 @@ export class SwapCoordinator {
       refundAddress,
       outputValue,
       signingKey,
-      swapConfig.script,
+      this.getSpendScript(swapConfig, 'refund'),
       witness,
-      swapConfig.locktime
+      locktime,
+      this.getOutputType(swapConfig),
+      sequence
     )
   }
+
+  /**
+   * Build the witness stack of a redeem or refund spend
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @param {Buffer} signature - Signature of the redeemer or refunder
+   * @param {Buffer} secret - The secret, for redeems
+   * @returns {Array<Buffer>} Witness stack
+   */
+  createSpendWitness(swapConfig, branch, signature, secret) {
+    if (this.isTaproot(swapConfig)) {
+      const leaf = this.getTaprootLeaf(swapConfig, branch)
+      return branch === 'redeem'
+        ? this.htlc.createTaprootClaimWitness(signature, secret, leaf)
+        : this.htlc.createTaprootRefundWitness(signature, leaf)
+    }
+
+    return branch === 'redeem'
+      ? this.htlc.createRedeemWitness(signature, swapConfig.redeemerPubKey, secret, swapConfig.script)
+      : this.htlc.createRefundWitness(signature, swapConfig.refunderPubKey, swapConfig.script)
+  }
+
+  /**
+   * Resolve a sat/vB rate or a fee target (fast, medium, slow) to a sat/vB rate
+   * @param {number|string} feeRate - sat/vB rate, or a target from FEE_TARGETS
+   * @returns {Promise<number>} Fee rate in sat/vB
+   */
+  async getFeeRate(feeRate) {
+    return await this.fees.getFeeRate(feeRate)
+  }
+
+  /**
+   * Virtual size of a single-input, single-output redeem or refund, sized for the
+   * largest signature the branch can carry
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @param {string} toAddress - Destination address
+   * @param {Buffer} secret - The secret, for redeems (a 32-byte secret is assumed without it)
+   * @returns {number} Virtual size in vbytes
+   */
+  estimateSpendVsize(swapConfig, branch, toAddress, secret) {
+    const signature = Buffer.alloc(this.isTaproot(swapConfig) ? SCHNORR_SIGNATURE_SIZE : MAX_ECDSA_SIGNATURE_SIZE)
+    const witness = this.createSpendWitness(swapConfig, branch, signature, secret || Buffer.alloc(32))
+
+    return FeeEngine.estimateVsize({
+      inputs: [{ scriptSig: this.getFinalScriptSig(swapConfig), witness }],
+      outputs: [bitcoin.address.toOutputScript(toAddress, this.network)]
+    })
+  }
+
+  /**
+   * Work out the fee of a redeem or refund, refusing outputs below the dust limit
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {string} toAddress - Destination address
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @param {Buffer} secret - The secret, for redeems
+   * @returns {Object} vsize, feeRate (effective sat/vB), fee, outputValue and dustLimit
+   */
+  quoteSpendFee(swapConfig, branch, fundingValue, toAddress, fee = 1000, secret) {
+    return this.fees.quote({
+      vsize: this.estimateSpendVsize(swapConfig, branch, toAddress, secret),
+      inputValue: fundingValue,
+      outputScript: bitcoin.address.toOutputScript(toAddress, this.network),
+      fee
+    })
+  }
+
+  /**
+   * Read back a redeem or refund this coordinator built: its outpoint, witness
+   * path, secret, destination and fee
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} txHex - Redeem or refund transaction hex
+   * @param {number} fundingValue - Funding value in satoshis
+   * @returns {Object} txid, fundingTxId, fundingVout, branch, secret, toAddress, fee and vsize
+   */
+  parseSpend(swapConfig, txHex, fundingValue) {
+    const tx = bitcoin.Transaction.fromHex(txHex)
+    if (tx.ins.length !== 1 || tx.outs.length !== 1) {
+      throw new Error('Expected a single-input, single-output HTLC spend')
+    }
+
+    const { branch, secret } = this.decodeSpendWitness(swapConfig, tx.ins[0].witness)
+
+    return {
+      txid: tx.getId(),
+      fundingTxId: Buffer.from(tx.ins[0].hash).reverse().toString('hex'),
+      fundingVout: tx.ins[0].index,
+      branch,
+      secret,
+      toAddress: bitcoin.address.fromOutputScript(tx.outs[0].script, this.network),
+      fee: fundingValue - tx.outs[0].value,
+      vsize: tx.virtualSize()
+    }
+  }
+
+  /**
+   * Tell from an input witness which branch of the HTLC it spends, and pull out
+   * the secret of a redeem
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Array<Buffer>} witness - Witness stack of the spending input
+   * @returns {Object} branch ('redeem' or 'refund') and secret (redeems only)
+   */
+  decodeSpendWitness(swapConfig, witness) {
+    let branch = null
+    if (this.isTaproot(swapConfig)) {
+      // [signature, (secret,) leaf script, control block]
+      const leafScript = witness[witness.length - 2]
+      branch = leafScript && leafScript.equals(swapConfig.taproot.claimScript) ? 'redeem'
+        : leafScript && leafScript.equals(swapConfig.taproot.refundScript) ? 'refund'
+          : null
+    } else if (witness.length > 0 && witness[witness.length - 1].equals(swapConfig.script)) {
+      // [secret, signature, 0x01, script] or [signature, empty, script]
+      branch = witness.length === 4 ? 'redeem' : 'refund'
+    }
+    if (!branch) {
+      throw new Error('Transaction does not spend this HTLC')
+    }
+
+    return {
+      branch,
+      secret: branch === 'redeem' ? witness[this.isTaproot(swapConfig) ? 1 : 0] : undefined
+    }
+  }
+
+  /**
+   * Replace a stuck redeem or refund (BIP125) with one paying a higher fee rate.
+   * The replacement spends the same outpoint through the same witness path, with
+   * the same secret, to the same destination.
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} txHex - Redeem or refund transaction to replace
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {number} feeRate - New fee rate in sat/vB
+   * @returns {Object} txHex, txid, replaces, branch and the fee quote of the replacement
+   */
+  bumpFee(swapConfig, txHex, fundingValue, feeRate) {
+    const previous = this.parseSpend(swapConfig, txHex, fundingValue)
+    const quote = this.quoteSpendFee(swapConfig, previous.branch, fundingValue, previous.toAddress, { feeRate }, previous.secret)
+
+    const minimumFee = this.getMinReplacementFee(previous.fee, quote.vsize)
+    if (quote.fee < minimumFee) {
+      throw new Error(
+        `Replacement fee of ${quote.fee} sats does not beat the ${previous.fee} sats already paid; ` +
+        `use at least ${Math.ceil(minimumFee / quote.vsize)} sat/vB`
+      )
+    }
+
+    const bumpedHex = previous.branch === 'redeem'
+      ? this.createRedeemTransaction(swapConfig, previous.fundingTxId, previous.fundingVout, fundingValue, previous.toAddress, previous.secret, quote.fee)
+      : this.createRefundTransaction(swapConfig, previous.fundingTxId, previous.fundingVout, fundingValue, previous.toAddress, quote.fee)
+
+    return {
+      txHex: bumpedHex,
+      txid: bitcoin.Transaction.fromHex(bumpedHex).getId(),
+      replaces: previous.txid,
+      branch: previous.branch,
+      ...quote
+    }
+  }
+
+  /**
+   * Smallest fee a replacement may pay (BIP125 rules 3 and 4)
+   * @param {number} previousFee - Fee of the transaction being replaced
+   * @param {number} vsize - Virtual size of the replacement
+   * @returns {number} Minimum fee in satoshis
+   */
+  getMinReplacementFee(previousFee, vsize) {
+    return previousFee + Math.ceil(vsize * INCREMENTAL_RELAY_FEE_RATE)
+  }
+
+  /**
+   * Build a child that spends the claim output so the pair confirms at the target
+   * package fee rate (CPFP), for claims that can no longer be replaced
+   * @param {string} parentTxHex - Stuck redeem or refund transaction
+   * @param {number} parentFee - Fee the parent pays in satoshis
+   * @param {bitcoin.ECPair} childKey - Key of the P2WPKH output being spent
+   * @param {string} toAddress - Destination of the child
+   * @param {number} feeRate - Target package fee rate in sat/vB
+   * @param {number} outputIndex - Parent output to spend
+   * @returns {Object} txHex, txid, fee, vsize and the resulting packageFeeRate
+   */
+  createCpfpTransaction(parentTxHex, parentFee, childKey, toAddress, feeRate, outputIndex = 0) {
+    const parent = bitcoin.Transaction.fromHex(parentTxHex)
+    const parentOutput = parent.outs[outputIndex]
+    const p2wpkh = bitcoin.payments.p2wpkh({ pubkey: childKey.publicKey, network: this.network })
+    if (!parentOutput || !parentOutput.script.equals(p2wpkh.output)) {
+      throw new Error(`Output ${outputIndex} of the parent is not a P2WPKH output of the child key`)
+    }
+
+    const outputScript = bitcoin.address.toOutputScript(toAddress, this.network)
+    const vsize = FeeEngine.estimateVsize({
+      inputs: [{ witness: [Buffer.alloc(MAX_ECDSA_SIGNATURE_SIZE), childKey.publicKey] }],
+      outputs: [outputScript]
+    })
+    const packageFee = Math.ceil((parent.virtualSize() + vsize) * FeeEngine.assertFeeRate(feeRate))
+    const childFee = Math.max(packageFee - parentFee, Math.ceil(vsize * feeRate))
+    const quote = this.fees.quote({ vsize, inputValue: parentOutput.value, outputScript, fee: childFee })
+
+    const psbt = new bitcoin.Psbt({ network: this.network })
+    psbt.addInput({
+      hash: parent.getId(),
+      index: outputIndex,
+      sequence: SEQUENCE_RBF,
+      witnessUtxo: { script: parentOutput.script, value: parentOutput.value }
+    })
+    psbt.addOutput({ script: outputScript, value: quote.outputValue })
+    psbt.signInput(0, childKey)
+    psbt.finalizeAllInputs()
+    const child = psbt.extractTransaction()
+
+    return {
+      txHex: child.toHex(),
+      txid: child.getId(),
+      fee: quote.fee,
+      vsize: child.virtualSize(),
+      packageFeeRate: (parentFee + quote.fee) / (parent.virtualSize() + child.virtualSize())
+    }
+  }
+
+  /**
+   * Fee rate for a spend racing a deadline: rises linearly from minFeeRate when
+   * escalation starts to maxFeeRate at the deadline
+   * @param {Object} params - Escalation parameters
+   * @param {number} params.minFeeRate - Starting fee rate in sat/vB
+   * @param {number} params.maxFeeRate - Fee rate at the deadline in sat/vB
+   * @param {number} params.startTime - Unix time escalation started
+   * @param {number} params.deadline - Unix time the spend must confirm by
+   * @param {number} params.now - Current Unix time
+   * @returns {number} Fee rate in sat/vB
+   */
+  getDeadlineFeeRate({ minFeeRate, maxFeeRate, startTime, deadline, now }) {
+    const progress = deadline > startTime
+      ? Math.min(Math.max((now - startTime) / (deadline - startTime), 0), 1)
+      : 1
+    return minFeeRate + (maxFeeRate - minFeeRate) * progress
+  }
+
+  /**
+   * Deadline of a redeem: the moment the refunder can take the HTLC back
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {number} Unix time
+   */
+  getRedeemDeadline(swapConfig) {
+    const timelock = this.getTimelock(swapConfig)
+    if (timelock.type !== TIMELOCK_TYPES.TIMESTAMP) {
+      throw new Error(`Cannot tell the wall-clock deadline of a ${timelock.type} timelock; pass options.deadline`)
+    }
+    return timelock.value
+  }
+
+  /**
+   * Keep replacing a redeem or refund with higher fee rates until it confirms,
+   * escalating towards maxFeeRate as the deadline nears
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} txHex - Broadcast redeem or refund transaction
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {Object} options - Escalation options
+   * @param {Function} options.broadcast - async (txHex) => txid, e.g. BitcoinRPC.broadcastTransaction
+   * @param {Function} options.isConfirmed - async (txid) => boolean; NetworkError, RateLimitError
+   *   and NotFoundError count as not confirmed yet
+   * @param {number} options.minFeeRate - Starting fee rate in sat/vB
+   * @param {number} options.maxFeeRate - Fee rate at the deadline in sat/vB
+   * @param {number} options.deadline - Unix time to confirm by (default for redeems: the refund
+   *   timelock; required for refunds, which are already past it)
+   * @param {number} options.intervalMs - Time between checks (default 60s)
+   * @param {Function} options.onBump - Called with each replacement
+   * @param {Function} options.now - Clock returning Unix seconds (default Date.now)
+   * @param {Function} options.sleep - async (ms) => void between checks (default setTimeout)
+   * @returns {Promise<Object>} The transaction that confirmed: txHex and txid
+   */
+  async autoBumpFee(swapConfig, txHex, fundingValue, options = {}) {
+    const {
+      broadcast,
+      isConfirmed,
+      minFeeRate,
+      maxFeeRate,
+      deadline,
+      intervalMs = 60000,
+      onBump = () => {},
+      now = () => Math.floor(Date.now() / 1000),
+      sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+    } = options
+
+    FeeEngine.assertFeeRate(minFeeRate)
+    FeeEngine.assertFeeRate(maxFeeRate)
+    if (deadline === undefined && this.parseSpend(swapConfig, txHex, fundingValue).branch === 'refund') {
+      throw new Error('Refunds have no deadline of their own; pass options.deadline')
+    }
+    const confirmBy = deadline ?? this.getRedeemDeadline(swapConfig)
+    const startTime = now()
+    let current = { txHex, txid: bitcoin.Transaction.fromHex(txHex).getId() }
+
+    const checkConfirmed = async txid => {
+      try {
+        return await isConfirmed(txid)
+      } catch (error) {
+        // Unknown to the provider or provider unavailable: check again next round
+        if (error instanceof NotFoundError || error instanceof NetworkError || error instanceof RateLimitError) {
+          return false
+        }
+        throw error
+      }
+    }
+
+    while (!(await checkConfirmed(current.txid))) {
+      if (now() >= confirmBy) {
+        throw new Error(`Spend ${current.txid} did not confirm before the deadline ${confirmBy}`)
+      }
+
+      const feeRate = this.getDeadlineFeeRate({ minFeeRate, maxFeeRate, startTime, deadline: confirmBy, now: now() })
+      const previous = this.parseSpend(swapConfig, current.txHex, fundingValue)
+      const quote = this.quoteSpendFee(swapConfig, previous.branch, fundingValue, previous.toAddress, { feeRate }, previous.secret)
+
+      // Wait until the schedule has risen enough to pay for a valid replacement
+      if (quote.fee >= this.getMinReplacementFee(previous.fee, quote.vsize)) {
+        const bumped = this.bumpFee(swapConfig, current.txHex, fundingValue, feeRate)
+        try {
+          await broadcast(bumped.txHex)
+          onBump(bumped)
+          current = bumped
+        } catch (error) {
+          if (error instanceof NetworkError || error instanceof RateLimitError) {
+            // Not broadcast; the next round tries again at the then-current rate
+          } else if (error instanceof TransactionRejectedError && error.inputsSpent) {
+            // The HTLC output is gone: either the previous version confirmed, or another spend took it
+            if (await checkConfirmed(current.txid)) {
+              break
+            }
+            throw new Error(`HTLC output spent by another transaction while bumping ${current.txid}: ${error.rejectReason}`, { cause: error })
+          } else {
+            throw error
+          }
+        }
+      }
+
+      await sleep(intervalMs)
+    }
+
+    return { txHex: current.txHex, txid: current.txid }
+  }
+
+  /**
+   * Sign the HTLC input of a single-input, single-output spend
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} fundingTxId - Funding transaction ID
+   * @param {number} fundingVout - Funding output index
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {string} toAddress - Destination address
+   * @param {number} outputValue - Output value in satoshis
+   * @param {bitcoin.ECPair} signingKey - Key to sign with
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {Buffer} DER signature with SIGHASH_ALL byte, or 64-byte Schnorr signature for P2TR
+   */
+  signHTLCInput(swapConfig, fundingTxId, fundingVout, fundingValue, toAddress, outputValue, signingKey, branch) {
+    // Create a temporary transaction to get the hash to sign
+    const tempTx = new bitcoin.Transaction()
+    tempTx.version = 2
+    const { locktime, sequence } = this.getSpendLocks(swapConfig, branch)
+    const txidBuffer = Buffer.from(fundingTxId, 'hex').reverse()
+    tempTx.addInput(txidBuffer, fundingVout, sequence)
+    const outputScript = bitcoin.address.toOutputScript(toAddress, this.network)
+    tempTx.addOutput(outputScript, outputValue)
+    tempTx.locktime = locktime
+
+    if (this.isTaproot(swapConfig)) {
+      // Script path (BIP341/342): commits to the spent leaf, SIGHASH_DEFAULT
+      const { leafHash } = this.getTaprootLeaf(swapConfig, branch)
+      const hashForSig = tempTx.hashForWitnessV1(
+        0,
+        [swapConfig.taproot.output],
+        [fundingValue],
+        bitcoin.Transaction.SIGHASH_DEFAULT,
+        leafHash
+      )
+      return Buffer.from(signingKey.signSchnorr(hashForSig))
+    }
+
+    // P2WSH and P2SH-P2WSH both commit to the witness script (BIP143)
+    const hashForSig = tempTx.hashForWitnessV0(0, swapConfig.script, fundingValue, bitcoin.Transaction.SIGHASH_ALL)
+    return bitcoin.script.signature.encode(
+      signingKey.sign(hashForSig),
+      bitcoin.Transaction.SIGHASH_ALL
+    )
+  }
+
+  /**
+   * Get the key pair of a party from a swap config
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} party - 'user' or 'resolver'
+   * @returns {bitcoin.ECPair|null} Key pair or signer, if the config holds one
+   */
+  getPartyKey(swapConfig, party) {
+    return party === 'user' ? swapConfig.userKey : swapConfig.resolverKey
+  }
+
+  /**
+   * Get the output type a swap config spends
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {string} Output type, see OUTPUT_TYPES
+   */
+  getOutputType(swapConfig) {
+    return swapConfig.outputType || OUTPUT_TYPES.P2WSH
+  }
+
+  /**
+   * Get the refund timelock of a swap config
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {Timelock} Timelock
+   */
+  getTimelock(swapConfig) {
+    return Timelock.from(swapConfig.timelock || swapConfig.locktime)
+  }
+
+  /**
+   * Get the nLockTime and input nSequence a spend of a branch needs
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {Object} locktime and sequence
+   */
+  getSpendLocks(swapConfig, branch) {
+    if (branch !== 'refund') {
+      return { locktime: 0, sequence: SEQUENCE_RBF }
+    }
+    const timelock = this.getTimelock(swapConfig)
+    return { locktime: timelock.locktime, sequence: timelock.sequence }
+  }
+
+  /**
+   * Check whether a swap config locks to a Taproot HTLC
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {boolean} True for P2TR swaps
+   */
+  isTaproot(swapConfig) {
+    return this.getOutputType(swapConfig) === OUTPUT_TYPES.P2TR
+  }
+
+  /**
+   * Get the script executed by a spend: the HTLC script, or the tapleaf of the branch for P2TR
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {Buffer} Script
+   */
+  getSpendScript(swapConfig, branch) {
+    if (!this.isTaproot(swapConfig)) {
+      return swapConfig.script
+    }
+    return branch === 'redeem' ? swapConfig.taproot.claimScript : swapConfig.taproot.refundScript
+  }
+
+  /**
+   * Get the tapleaf a P2TR spend of a branch reveals
+   * @param {Object} swapConfig - Swap configuration of a P2TR swap
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {Object} Leaf version, script, control block and leaf hash
+   */
+  getTaprootLeaf(swapConfig, branch) {
+    return this.htlc.getTaprootLeaf(swapConfig.taproot, this.getSpendScript(swapConfig, branch))
+  }
+
+  /**
+   * Create unsigned PSBT (BIP174) for claiming with secret, for signers that keep keys elsewhere
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} fundingTxId - Funding transaction ID
+   * @param {number} fundingVout - Funding output index
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {string} claimAddress - Address to send claimed funds
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {bitcoin.Psbt} Unsigned PSBT with witness script and UTXO data
+   */
+  createRedeemPsbt(swapConfig, fundingTxId, fundingVout, fundingValue, claimAddress, fee = 1000) {
+    return this.createSpendPsbt(swapConfig, fundingTxId, fundingVout, fundingValue, claimAddress, fee, 'redeem')
+  }
+
+  /**
+   * Create unsigned PSBT (BIP174) for timeout claim, for signers that keep keys elsewhere
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} fundingTxId - Funding transaction ID
+   * @param {number} fundingVout - Funding output index
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {string} refundAddress - Address to send refunded funds
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {bitcoin.Psbt} Unsigned PSBT with witness script, UTXO data and locktime
+   */
+  createRefundPsbt(swapConfig, fundingTxId, fundingVout, fundingValue, refundAddress, fee = 1000) {
+    return this.createSpendPsbt(swapConfig, fundingTxId, fundingVout, fundingValue, refundAddress, fee, 'refund')
+  }
+
+  /**
+   * Build the single-input PSBT spending an HTLC output
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} fundingTxId - Funding transaction ID
+   * @param {number} fundingVout - Funding output index
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {string} toAddress - Destination address
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {bitcoin.Psbt} Unsigned PSBT
+   */
+  createSpendPsbt(swapConfig, fundingTxId, fundingVout, fundingValue, toAddress, fee, branch) {
+    const psbt = new bitcoin.Psbt({ network: this.network })
+    const { locktime, sequence } = this.getSpendLocks(swapConfig, branch)
+    const { outputValue } = this.quoteSpendFee(swapConfig, branch, fundingValue, toAddress, fee)
+
+    psbt.setLocktime(locktime)
+    psbt.addInput({
+      hash: fundingTxId,
+      index: fundingVout,
+      sequence,
+      ...this.getPsbtInputScripts(swapConfig, fundingValue, branch)
+    })
+    psbt.addOutput({ address: toAddress, value: outputValue })
+
+    return psbt
+  }
+
+  /**
+   * Get the UTXO and script fields of a PSBT input spending an HTLC output
+   * @param {Object} swapConfig - Swap configuration
+   * @param {number} fundingValue - Funding value in satoshis
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {Object} PSBT input fields
+   */
+  getPsbtInputScripts(swapConfig, fundingValue, branch) {
+    if (this.isTaproot(swapConfig)) {
+      const { leafVersion, script, controlBlock } = this.getTaprootLeaf(swapConfig, branch)
+      return {
+        witnessUtxo: { script: swapConfig.taproot.output, value: fundingValue },
+        tapInternalKey: swapConfig.taproot.internalPubkey,
+        tapLeafScript: [{ leafVersion, script, controlBlock }]
+      }
+    }
+
+    const payment = this.htlc.getHTLCPayment(swapConfig.script, this.getOutputType(swapConfig))
+    return {
+      witnessUtxo: { script: payment.output, value: fundingValue },
+      witnessScript: swapConfig.script,
+      ...(payment.redeem.output.equals(swapConfig.script) ? {} : { redeemScript: payment.redeem.output })
+    }
+  }
+
+  /**
+   * Add a signature produced by an external signer to a PSBT
+   * @param {bitcoin.Psbt} psbt - Redeem or refund PSBT
+   * @param {Buffer} pubkey - Public key of the signer
+   * @param {Buffer} signature - DER signature with SIGHASH_ALL byte, or Schnorr signature for P2TR
+   * @param {number} inputIndex - Input the signature belongs to
+   * @returns {bitcoin.Psbt} The same PSBT
+   */
+  addPartialSignature(psbt, pubkey, signature, inputIndex = 0) {
+    const [tapLeaf] = psbt.data.inputs[inputIndex].tapLeafScript || []
+
+    if (tapLeaf) {
+      const xOnlyPubkey = toXOnly(pubkey)
+      const leafHash = tapleafHash(tapLeaf.script, tapLeaf.leafVersion)
+      psbt.updateInput(inputIndex, { tapScriptSig: [{ pubkey: xOnlyPubkey, signature, leafHash }] })
+
+      if (!psbt.validateSignaturesOfInput(inputIndex, validateSchnorrSignature, xOnlyPubkey)) {
+        throw new Error(`Invalid signature for input ${inputIndex} from ${pubkey.toString('hex')}`)
+      }
+      return psbt
+    }
+
+    psbt.updateInput(inputIndex, { partialSig: [{ pubkey, signature }] })
+
+    if (!psbt.validateSignaturesOfInput(inputIndex, validateSignature, pubkey)) {
+      throw new Error(`Invalid signature for input ${inputIndex} from ${pubkey.toString('hex')}`)
+    }
+
+    return psbt
+  }
+
+  /**
+   * Finalize a signed redeem PSBT into the HTLC redeem witness
+   * @param {bitcoin.Psbt} psbt - PSBT signed by the redeemer
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Buffer} secret - The secret
+   * @returns {string} Signed transaction hex
+   */
+  finalizeRedeemPsbt(psbt, swapConfig, secret) {
+    const { hashlock, hash } = Hashlock.fromScript(this.getSpendScript(swapConfig, 'redeem'))
+    if (!hashlock.verifySecret(secret, hash)) {
+      throw new Error('Secret does not match the hashlock of the HTLC script')
+    }
+
+    this.finalizeSpendInput(psbt, swapConfig, 'redeem', secret)
+    return psbt.extractTransaction().toHex()
+  }
+
+  /**
+   * Finalize a signed refund PSBT into the HTLC refund witness
+   * @param {bitcoin.Psbt} psbt - PSBT signed by the refunder
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {string} Signed transaction hex
+   */
+  finalizeRefundPsbt(psbt, swapConfig) {
+    const { locktime, sequence } = this.getSpendLocks(swapConfig, 'refund')
+    if (psbt.locktime !== locktime) {
+      throw new Error(`Refund PSBT locktime ${psbt.locktime} does not match HTLC locktime ${locktime}`)
+    }
+    if (psbt.txInputs[0].sequence !== sequence) {
+      throw new Error(`Refund PSBT sequence ${psbt.txInputs[0].sequence} does not match HTLC relative timelock ${sequence}`)
+    }
+
+    this.finalizeSpendInput(psbt, swapConfig, 'refund')
+    return psbt.extractTransaction().toHex()
+  }
+
+  /**
+   * Claim many HTLCs with their secrets in one transaction, one input per HTLC
+   * @param {Array<Object>} spends - `{ swapConfig, fundingTxId, fundingVout, fundingValue, secret }` per HTLC
+   * @param {string|Array<Object>} outputs - Destination address, or `{ address, value }` entries
+   *   where exactly one entry has no value and receives the rest
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {string} Signed transaction hex
+   */
+  createBatchRedeemTransaction(spends, outputs, fee = 1000) {
+    const psbt = this.createBatchPsbt(spends, 'redeem', outputs, fee)
+    this.signBatchPsbt(psbt, spends, 'redeem')
+    return this.finalizeBatchPsbt(psbt, spends, 'redeem')
+  }
+
+  /**
+   * Refund many HTLCs, one transaction per refund locktime
+   * @param {Array<Object>} spends - `{ swapConfig, fundingTxId, fundingVout, fundingValue }` per HTLC
+   * @param {string|Array<Object>} outputs - Destination address, or `{ address, value }` entries
+   *   where exactly one entry has no value and receives the rest
+   * @param {number|Object} fee - Flat fee in satoshis per transaction, or `{ feeRate }` in sat/vB
+   * @returns {Array<Object>} `{ locktime, spends, txHex }` per locktime group
+   */
+  createBatchRefundTransactions(spends, outputs, fee = 1000) {
+    return this.groupRefundsByLocktime(spends).map(({ locktime, spends: group }) => {
+      const psbt = this.createBatchPsbt(group, 'refund', outputs, fee)
+      this.signBatchPsbt(psbt, group, 'refund')
+      return { locktime, spends: group, txHex: this.finalizeBatchPsbt(psbt, group, 'refund') }
+    })
+  }
+
+  /**
+   * Group refunds by the nLockTime their transaction needs. Relative timelocks
+   * need none and share the group with locktime 0; each input carries its own nSequence.
+   * @param {Array<Object>} spends - Refund spends
+   * @returns {Array<Object>} `{ locktime, spends }` per group, earliest first
+   */
+  groupRefundsByLocktime(spends) {
+    const groups = new Map()
+    for (const spend of spends) {
+      const { locktime } = this.getSpendLocks(spend.swapConfig, 'refund')
+      if (!groups.has(locktime)) {
+        groups.set(locktime, [])
+      }
+      groups.get(locktime).push(spend)
+    }
+
+    return [...groups.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([locktime, group]) => ({ locktime, spends: group }))
+  }
+
+  /**
+   * Create unsigned PSBT spending many HTLCs through the same branch
+   * @param {Array<Object>} spends - `{ swapConfig, fundingTxId, fundingVout, fundingValue, secret }` per HTLC
+   * @param {string} branch - 'redeem' or 'refund'
+   * @param {string|Array<Object>} outputs - Destination address, or `{ address, value }` entries
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {bitcoin.Psbt} Unsigned PSBT
+   */
+  createBatchPsbt(spends, branch, outputs, fee = 1000) {
+    if (spends.length === 0) {
+      throw new Error('A batch needs at least one HTLC to spend')
+    }
+
+    const locks = spends.map(spend => this.getSpendLocks(spend.swapConfig, branch))
+    if (locks.some(lock => lock.locktime !== locks[0].locktime)) {
+      throw new Error('Batched refunds must share one locktime; split them with groupRefundsByLocktime()')
+    }
+
+    const { outputs: batchOutputs } = this.quoteBatchFee(spends, branch, outputs, fee)
+    const psbt = new bitcoin.Psbt({ network: this.network })
+
+    psbt.setLocktime(locks[0].locktime)
+    spends.forEach((spend, i) => {
+      psbt.addInput({
+        hash: spend.fundingTxId,
+        index: spend.fundingVout,
+        sequence: locks[i].sequence,
+        ...this.getPsbtInputScripts(spend.swapConfig, spend.fundingValue, branch)
+      })
+    })
+    for (const output of batchOutputs) {
+      psbt.addOutput(output)
+    }
+
+    return psbt
+  }
+
+  /**
+   * Work out the fee and output values of a batch spend
+   * @param {Array<Object>} spends - HTLC spends of the batch
+   * @param {string} branch - 'redeem' or 'refund'
+   * @param {string|Array<Object>} outputs - Destination address, or `{ address, value }` entries
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {Object} Fee quote of the batch and its `{ script, value }` outputs
+   */
+  quoteBatchFee(spends, branch, outputs, fee = 1000) {
+    const entries = typeof outputs === 'string' ? [{ address: outputs }] : outputs
+    const changeEntries = entries.filter(entry => entry.value === undefined)
+    if (changeEntries.length !== 1) {
+      throw new Error('Exactly one batch output must leave out its value to receive the remainder')
+    }
+
+    const batchOutputs = entries.map(entry => ({
+      script: bitcoin.address.toOutputScript(entry.address, this.network),
+      value: entry.value
+    }))
+    for (const output of batchOutputs) {
+      if (output.value !== undefined && output.value < FeeEngine.getDustLimit(output.script)) {
+        throw new Error(`Batch output of ${output.value} sats is below the dust limit of ${FeeEngine.getDustLimit(output.script)} sats`)
+      }
+    }
+
+    const signatureSize = swapConfig => (this.isTaproot(swapConfig) ? SCHNORR_SIGNATURE_SIZE : MAX_ECDSA_SIGNATURE_SIZE)
+    const vsize = FeeEngine.estimateVsize({
+      inputs: spends.map(({ swapConfig, secret }) => ({
+        scriptSig: this.getFinalScriptSig(swapConfig),
+        witness: this.createSpendWitness(swapConfig, branch, Buffer.alloc(signatureSize(swapConfig)), secret || Buffer.alloc(32))
+      })),
+      outputs: batchOutputs.map(output => output.script)
+    })
+
+    const totalInput = spends.reduce((sum, spend) => sum + spend.fundingValue, 0)
+    const fixedOutput = batchOutputs.reduce((sum, output) => sum + (output.value || 0), 0)
+    const change = batchOutputs.find(output => output.value === undefined)
+    const quote = this.fees.quote({ vsize, inputValue: totalInput - fixedOutput, outputScript: change.script, fee })
+    change.value = quote.outputValue
+
+    return { ...quote, outputs: batchOutputs }
+  }
+
+  /**
+   * Sign every input of a batch PSBT with the keys in the swap configs
+   * @param {bitcoin.Psbt} psbt - Batch PSBT
+   * @param {Array<Object>} spends - HTLC spends of the batch, in input order
+   * @param {string} branch - 'redeem' or 'refund'
+   */
+  signBatchPsbt(psbt, spends, branch) {
+    spends.forEach(({ swapConfig }, i) => {
+      const party = branch === 'redeem' ? swapConfig.redeemer : swapConfig.refunder
+      const signingKey = this.requireSigningKey(this.getPartyKey(swapConfig, party), party, 'createBatchPsbt')
+
+      if (this.isTaproot(swapConfig)) {
+        psbt.signTaprootInput(i, signingKey, this.getTaprootLeaf(swapConfig, branch).leafHash)
+      } else {
+        psbt.signInput(i, signingKey)
+      }
+    })
+  }
+
+  /**
+   * Finalize a signed batch PSBT, each input with the witness of its own HTLC
+   * @param {bitcoin.Psbt} psbt - Batch PSBT signed by the redeemers or refunders
+   * @param {Array<Object>} spends - HTLC spends of the batch, in input order
+   * @param {string} branch - 'redeem' or 'refund'
+   * @returns {string} Signed transaction hex
+   */
+  finalizeBatchPsbt(psbt, spends, branch) {
+    spends.forEach(({ swapConfig, secret }, i) => {
+      if (branch === 'redeem') {
+        const { hashlock, hash } = Hashlock.fromScript(this.getSpendScript(swapConfig, 'redeem'))
+        if (!secret || !hashlock.verifySecret(secret, hash)) {
+          throw new Error(`Secret of batch input ${i} does not match the hashlock of its HTLC`)
+        }
+      }
+      this.finalizeSpendInput(psbt, swapConfig, branch, secret, i)
+    })
+
+    return psbt.extractTransaction().toHex()
+  }
+
+  /**
+   * Lock wallet UTXOs into the HTLC: pay the swap amount to the HTLC address and
+   * return change to the wallet. Broadcasting is left to the caller.
+   * @param {Object} swapConfig - Swap configuration
+   * @param {ECPair} walletKey - Key of the P2WPKH wallet paying for the HTLC
+   * @param {Object} options - Funding options
+   * @param {number} options.amount - Satoshis to lock (default swapConfig.amount)
+   * @param {number|Object} options.fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
+   * @param {string} options.changeAddress - Change destination (default the wallet address)
+   * @param {boolean} options.includeUnconfirmed - Also spend unconfirmed wallet UTXOs
+   * @returns {Promise<Object>} Signed funding transaction and the HTLC outpoint it creates
+   */
+  async createFundingTransaction(swapConfig, walletKey, options = {}) {
+    const {
+      amount = swapConfig.amount,
+      fee = { feeRate: FEE_TARGETS.MEDIUM },
+      changeAddress,
+      includeUnconfirmed = false
+    } = options
+
+    if (!this.rpc) {
+      throw new Error('Funding an HTLC needs an RPC client with getAddressUtxos')
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error(`Funding amount must be a positive integer number of satoshis, got ${amount}`)
+    }
+
+    const htlcScript = bitcoin.address.toOutputScript(swapConfig.address, this.network)
+    const htlcDustLimit = FeeEngine.getDustLimit(htlcScript)
+    if (amount < htlcDustLimit) {
+      throw new Error(`Funding amount of ${amount} sats is below the dust limit of ${htlcDustLimit} sats`)
+    }
+
+    const wallet = bitcoin.payments.p2wpkh({ pubkey: walletKey.publicKey, network: this.network })
+    const changeScript = changeAddress ? bitcoin.address.toOutputScript(changeAddress, this.network) : wallet.output
+    const feeRate = typeof fee === 'number' ? null : await this.getFeeRate(fee.feeRate)
+    const walletInput = { witness: [Buffer.alloc(MAX_ECDSA_SIGNATURE_SIZE), walletKey.publicKey] }
+    const feeFor = (inputCount, withChange = true) => {
+      if (feeRate === null) {
+        return fee
+      }
+      const vsize = FeeEngine.estimateVsize({
+        inputs: Array(inputCount).fill(walletInput),
+        outputs: withChange ? [htlcScript, changeScript] : [htlcScript]
+      })
+      return Math.ceil(vsize * feeRate)
+    }
+
+    const utxos = (await this.rpc.getAddressUtxos(wallet.address))
+      .filter(utxo => includeUnconfirmed || utxo.confirmed)
+    const selected = selectUtxos(utxos, amount, feeFor)
+    const total = selected.reduce((sum, utxo) => sum + utxo.value, 0)
+
+    // Change too small to relay is left to the miners
+    let change = total - amount - feeFor(selected.length)
+    if (change < FeeEngine.getDustLimit(changeScript)) {
+      change = 0
+    }
+
+    const psbt = new bitcoin.Psbt({ network: this.network })
+    for (const utxo of selected) {
+      psbt.addInput({
+        hash: utxo.txid,
+        index: utxo.vout,
+        sequence: SEQUENCE_RBF,
+        witnessUtxo: { script: wallet.output, value: utxo.value }
+      })
+    }
+    psbt.addOutput({ script: htlcScript, value: amount })
+    if (change > 0) {
+      psbt.addOutput({ script: changeScript, value: change })
+    }
+    psbt.signAllInputs(walletKey)
+    psbt.finalizeAllInputs()
+    const tx = psbt.extractTransaction()
+
+    return {
+      txHex: tx.toHex(),
+      txid: tx.getId(),
+      fundingTxId: tx.getId(),
+      fundingVout: 0,
+      fundingValue: amount,
+      change,
+      fee: total - amount - change,
+      vsize: tx.virtualSize(),
+      utxos: selected
+    }
+  }
+
+  /**
+   * Look up every UTXO paying to the HTLC address and compare it with the agreed amount
+   * @param {Object} swapConfig - Swap configuration
+   * @param {number} expectedAmount - Agreed swap amount in satoshis (default swapConfig.amount)
+   * @returns {Promise<Object>} UTXOs, total, confirmed and unconfirmed sums, and warnings
+   */
+  async getFunding(swapConfig, expectedAmount = swapConfig.amount) {
+    if (!this.rpc) {
+      throw new Error('Looking up HTLC funding needs an RPC client with getAddressUtxos')
+    }
+
+    const utxos = await this.rpc.getAddressUtxos(swapConfig.address)
+    return summarizeFunding(utxos, expectedAmount)
+  }
+
+  /**
+   * Claim every UTXO funding the HTLC address in one transaction
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} claimAddress - Address to send claimed funds
+   * @param {Buffer} secret - The secret
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
+   * @returns {Promise<Object>} Signed transaction hex and the funding it spends, with its warnings
+   */
+  async createFundedRedeemTransaction(swapConfig, claimAddress, secret, fee = 1000) {
+    const funding = await this.getSpendableFunding(swapConfig)
+    const resolvedFee = typeof fee === 'number' ? fee : { feeRate: await this.getFeeRate(fee.feeRate) }
+    const txHex = this.createRedeemTransactionFromUtxos(swapConfig, funding.utxos, claimAddress, secret, resolvedFee)
+    return { txHex, funding }
+  }
+
+  /**
+   * Refund every UTXO funding the HTLC address in one transaction
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} refundAddress - Address to send refunded funds
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` as sat/vB or a fast/medium/slow target
+   * @returns {Promise<Object>} Signed transaction hex and the funding it spends, with its warnings
+   */
+  async createFundedRefundTransaction(swapConfig, refundAddress, fee = 1000) {
+    const funding = await this.getSpendableFunding(swapConfig)
+    const resolvedFee = typeof fee === 'number' ? fee : { feeRate: await this.getFeeRate(fee.feeRate) }
+    const txHex = this.createRefundTransactionFromUtxos(swapConfig, funding.utxos, refundAddress, resolvedFee)
+    return { txHex, funding }
+  }
+
+  /**
+   * Fetch the funding of an HTLC and refuse an unfunded HTLC; warnings are left
+   * in funding.warnings for the caller to report
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {Promise<Object>} Funding summary
+   */
+  async getSpendableFunding(swapConfig) {
+    const funding = await this.getFunding(swapConfig)
+    if (funding.utxos.length === 0) {
+      throw new Error(`No UTXOs found at HTLC address ${swapConfig.address}`)
+    }
+    return funding
+  }
+
+  /**
+   * Claim several UTXOs of the same HTLC in one transaction
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Array<Object>} utxos - `{ txid, vout, value }` paying to the HTLC
+   * @param {string} claimAddress - Address to send claimed funds
+   * @param {Buffer} secret - The secret
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {string} Signed transaction hex
+   */
+  createRedeemTransactionFromUtxos(swapConfig, utxos, claimAddress, secret, fee = 1000) {
+    return this.createBatchRedeemTransaction(this.getUtxoSpends(swapConfig, utxos, secret), claimAddress, fee)
+  }
+
+  /**
+   * Refund several UTXOs of the same HTLC in one transaction
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Array<Object>} utxos - `{ txid, vout, value }` paying to the HTLC
+   * @param {string} refundAddress - Address to send refunded funds
+   * @param {number|Object} fee - Flat fee in satoshis, or `{ feeRate }` in sat/vB
+   * @returns {string} Signed transaction hex
+   */
+  createRefundTransactionFromUtxos(swapConfig, utxos, refundAddress, fee = 1000) {
+    const [{ txHex }] = this.createBatchRefundTransactions(this.getUtxoSpends(swapConfig, utxos), refundAddress, fee)
+    return txHex
+  }
+
+  /**
+   * Turn the UTXOs of one HTLC into batch spends
+   * @param {Object} swapConfig - Swap configuration
+   * @param {Array<Object>} utxos - `{ txid, vout, value }` paying to the HTLC
+   * @param {Buffer} secret - The secret, for redeems
+   * @returns {Array<Object>} Batch spends
+   */
+  getUtxoSpends(swapConfig, utxos, secret) {
+    return utxos.map(utxo => ({
+      swapConfig,
+      fundingTxId: utxo.txid,
+      fundingVout: utxo.vout,
+      fundingValue: utxo.value,
+      secret
+    }))
+  }
+
+  /**
+   * Finalize the HTLC input of a PSBT with the witness of a branch
+   * @param {bitcoin.Psbt} psbt - Signed PSBT
+   * @param {Object} swapConfig - Swap configuration
+   * @param {string} branch - 'redeem' or 'refund'
+   * @param {Buffer} secret - The secret, for redeems
+   * @param {number} inputIndex - Input spending the HTLC
+   */
+  finalizeSpendInput(psbt, swapConfig, branch, secret, inputIndex = 0) {
+    const party = branch === 'redeem' ? swapConfig.redeemer : swapConfig.refunder
+    const pubkey = branch === 'redeem' ? swapConfig.redeemerPubKey : swapConfig.refunderPubKey
+
+    psbt.finalizeInput(inputIndex, (index, input) => {
+      const signature = this.isTaproot(swapConfig)
+        ? this.getTapScriptSignature(input, pubkey, this.getTaprootLeaf(swapConfig, branch).leafHash, party, index)
+        : this.getPartialSignature(input, pubkey, party, index)
+
+      return {
+        finalScriptSig: this.getFinalScriptSig(swapConfig),
+        finalScriptWitness: serializeWitness(this.createSpendWitness(swapConfig, branch, signature, secret))
+      }
+    })
+  }
+
+  /**
+   * Get the final scriptSig of an HTLC input, undefined for native segwit
+   * @param {Object} swapConfig - Swap configuration
+   * @returns {Buffer|undefined} scriptSig
+   */
+  getFinalScriptSig(swapConfig) {
+    const scriptSig = this.htlc.createScriptSig(swapConfig.script, this.getOutputType(swapConfig))
+    return scriptSig.length > 0 ? scriptSig : undefined
+  }
+
+  /**
+   * Find the signature of a party in a PSBT input
+   * @param {Object} input - PSBT input
+   * @param {Buffer} pubkey - Public key of the party
+   * @param {string} party - Party name for error messages
+   * @param {number} inputIndex - Input index for error messages
+   * @returns {Buffer} Signature
+   */
+  getPartialSignature(input, pubkey, party, inputIndex) {
+    const partialSig = (input.partialSig || []).find(sig => sig.pubkey.equals(pubkey))
+    if (!partialSig) {
+      throw new Error(`PSBT input ${inputIndex} has no signature from the ${party} (${pubkey.toString('hex')})`)
+    }
+    return partialSig.signature
+  }
+
+  /**
+   * Find the Schnorr signature of a party for a tapleaf in a PSBT input
+   * @param {Object} input - PSBT input
+   * @param {Buffer} pubkey - Public key of the party
+   * @param {Buffer} leafHash - Hash of the spent tapleaf
+   * @param {string} party - Party name for error messages
+   * @param {number} inputIndex - Input index for error messages
+   * @returns {Buffer} Signature
+   */
+  getTapScriptSignature(input, pubkey, leafHash, party, inputIndex) {
+    const xOnlyPubkey = toXOnly(pubkey)
+    const tapScriptSig = (input.tapScriptSig || []).find(sig =>
+      sig.pubkey.equals(xOnlyPubkey) && sig.leafHash.equals(leafHash)
+    )
+    if (!tapScriptSig) {
+      throw new Error(`PSBT input ${inputIndex} has no signature from the ${party} (${pubkey.toString('hex')})`)
+    }
+    return tapScriptSig.signature
+  }
+
+  /**
+   * Return the key that signs for a party, or explain how to sign without it
+   * @param {bitcoin.ECPair} key - Key pair or signer from the swap config
+   * @param {string} party - Party name for error messages
+   * @param {string} psbtMethod - PSBT method to use instead
+   * @returns {bitcoin.ECPair} Signing key
+   */
+  requireSigningKey(key, party, psbtMethod) {
+    if (!key || typeof key.sign !== 'function') {
+      throw new Error(
+        `No signing key for the ${party} in the swap config; ` +
+        `use ${psbtMethod}() and sign with the ${party}'s external signer`
+      )
+    }
+    return key
+  }
 }
\ No newline at end of file
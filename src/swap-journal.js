@@ -0,0 +1,169 @@
+import fs from 'fs'
+import path from 'path'
+import { SCRYPT_PARAMS, decryptWithPassphrase, encryptWithPassphrase } from './keystore.js'
+
+/**
+ * Encrypt a swap secret with a key derived from a passphrase (scrypt, AES-256-GCM)
+ * @param {Buffer} secret - The secret
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdfParams - scrypt `{ n, r, p }` (default n = 2^15, r = 8, p = 1)
+ * @returns {Object} JSON-safe ciphertext with its salt, IV and tag
+ */
+export function encryptSecret(secret, passphrase, kdfParams = SCRYPT_PARAMS) {
+  return encryptWithPassphrase(secret, passphrase, kdfParams)
+}
+
+/**
+ * Decrypt a secret from encryptSecret
+ * @param {Object} box - Output of encryptSecret
+ * @param {string} passphrase - Passphrase
+ * @returns {Buffer} The secret
+ */
+export function decryptSecret(box, passphrase) {
+  try {
+    return decryptWithPassphrase(box, passphrase)
+  } catch (error) {
+    throw new Error('Cannot decrypt the swap secret: wrong passphrase or corrupted journal', { cause: error })
+  }
+}
+
+/**
+ * Durable store of in-flight swaps: one JSON file per swap in a directory,
+ * replaced atomically on every save. Records hold the public swap terms,
+ * outpoints, escrow, state history and the secret encrypted with the journal
+ * passphrase; private keys never enter the journal.
+ */
+export class SwapJournal {
+  /**
+   * @param {string} dir - Journal directory, created if missing
+   * @param {Object} options - Journal options
+   * @param {string} options.passphrase - Passphrase encrypting the secrets
+   * @param {Object} options.kdfParams - scrypt parameters, see encryptSecret
+   */
+  constructor(dir, options = {}) {
+    if (!options.passphrase) {
+      throw new Error('SwapJournal needs a passphrase to encrypt swap secrets')
+    }
+
+    this.dir = dir
+    this.passphrase = options.passphrase
+    this.kdfParams = options.kdfParams || SCRYPT_PARAMS
+    this.encrypted = new Map()
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 })
+  }
+
+  /**
+   * Path of a swap's record
+   * @param {string} id - Swap ID
+   * @returns {string} File path
+   */
+  file(id) {
+    if (!/^[\w.-]+$/.test(id)) {
+      throw new Error(`Swap ID "${id}" may only contain letters, digits, '.', '_' and '-'`)
+    }
+    return path.join(this.dir, `${id}.json`)
+  }
+
+  /**
+   * Write a record, replacing the previous one atomically
+   * @param {Object} record - Record with an `id`
+   * @returns {Object} The record as written
+   */
+  save(record) {
+    const file = this.file(record.id)
+    const previous = fs.existsSync(file) ? this.load(record.id) : null
+    const now = new Date().toISOString()
+    const written = { ...record, createdAt: previous ? previous.createdAt : now, updatedAt: now }
+
+    const tmp = `${file}.${process.pid}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(written, null, 2), { mode: 0o600 })
+    fs.renameSync(tmp, file)
+    return written
+  }
+
+  /**
+   * Read a record
+   * @param {string} id - Swap ID
+   * @returns {Object} Record
+   */
+  load(id) {
+    const file = this.file(id)
+    if (!fs.existsSync(file)) {
+      throw new Error(`No swap ${id} in journal ${this.dir}`)
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  }
+
+  /**
+   * Every record in the journal, oldest first
+   * @returns {Array<Object>} Records
+   */
+  list() {
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.load(name.slice(0, -'.json'.length)))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  }
+
+  /**
+   * Records of swaps that still need attention
+   * @returns {Array<Object>} Records whose state is not both-claimed or refunded
+   */
+  pending() {
+    return this.list().filter(record => !['both-claimed', 'refunded'].includes(record.state))
+  }
+
+  /**
+   * Encrypt a swap's secret, reusing the ciphertext while the secret is unchanged
+   * (scrypt is slow on purpose)
+   * @param {string} id - Swap ID
+   * @param {Buffer} secret - The secret, or null
+   * @returns {Object|null} Encrypted secret
+   */
+  encryptSecret(id, secret) {
+    if (!secret) {
+      return null
+    }
+    const cached = this.encrypted.get(id)
+    if (cached && cached.secret.equals(secret)) {
+      return cached.box
+    }
+
+    const box = encryptSecret(secret, this.passphrase, this.kdfParams)
+    this.encrypted.set(id, { secret, box })
+    return box
+  }
+
+  /**
+   * Decrypt the secret of a record
+   * @param {Object} record - Record
+   * @returns {Buffer|null} The secret, null if the record has none
+   */
+  decryptSecret(record) {
+    if (!record.secret) {
+      return null
+    }
+
+    const secret = decryptSecret(record.secret, this.passphrase)
+    this.encrypted.set(record.id, { secret, box: record.secret })
+    return secret
+  }
+
+  /**
+   * Save a CrossChainSwap now and whenever its state changes or its secret is revealed
+   * @param {string} id - Swap ID
+   * @param {CrossChainSwap} swap - Swap to journal
+   * @param {Object} meta - JSON-safe data kept with every save of the record, e.g. the signed offer
+   * @returns {Function} Call to stop journaling
+   */
+  track(id, swap, meta) {
+    const save = () => this.save({ id, ...swap.toRecord(), ...(meta && { meta }), secret: this.encryptSecret(id, swap.secret) })
+    save()
+
+    const events = ['state', 'secret', 'stalled']
+    for (const event of events) {
+      swap.on(event, save)
+    }
+    return () => events.forEach(event => swap.off(event, save))
+  }
+}
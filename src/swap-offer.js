@@ -0,0 +1,367 @@
+import { createHash } from 'crypto'
+import * as ecc from 'tiny-secp256k1'
+import { ethers } from 'ethers'
+import { Hashlock, HASHLOCK_MODES } from './hashlock.js'
+import { CURRENT_SCRIPT_VERSION, SCRIPT_VERSIONS } from './htlc.js'
+import { Timelock } from './timelock.js'
+import { TIMELOCK_STAGES, assertTimelockSequence } from './evm-escrow.js'
+
+/**
+ * Version of the swap offer format; parseSwapMessage refuses any other
+ */
+export const SWAP_OFFER_VERSION = 1
+
+/**
+ * Messages of the offer protocol: the user offers a swap, the resolver accepts it
+ */
+export const SWAP_MESSAGE_TYPES = {
+  OFFER: 'offer',
+  ACCEPTANCE: 'acceptance'
+}
+
+const DIRECTIONS = ['BTC->ETH', 'ETH->BTC']
+
+// Prefix of every signed digest, so a swap signature never doubles as another message's
+const DOMAIN_TAG = 'btc-evm-swap/message\n'
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * JSON with sorted keys and no whitespace, so both parties hash the same bytes
+ * @param {*} value - JSON-safe value
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']'
+  }
+  if (isObject(value)) {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonicalize(value[key]))
+      .join(',') + '}'
+  }
+  return JSON.stringify(value)
+}
+
+const toHex = value => Buffer.isBuffer(value) ? value.toString('hex') : value
+
+const assertPubKey = (hex, what) => {
+  const key = Buffer.from(String(toHex(hex)), 'hex')
+  if (key.length !== 33 || !ecc.isPoint(key)) {
+    throw new Error(`${what} must be a 33-byte compressed public key, got ${hex}`)
+  }
+  return key.toString('hex')
+}
+
+const assertPositive = (value, what) => {
+  let amount
+  try {
+    amount = BigInt(value)
+  } catch (error) {
+    throw new Error(`${what} must be an integer, got ${value}`, { cause: error })
+  }
+  if (amount <= 0n) {
+    throw new Error(`${what} must be positive, got ${value}`)
+  }
+  return amount
+}
+
+/**
+ * Build an unsigned swap offer from the user to a resolver
+ * @param {Object} params - Offer parameters
+ * @param {string} params.direction - 'BTC->ETH' or 'ETH->BTC'
+ * @param {string} params.id - Offer ID (default random)
+ * @param {number} params.expiry - Unix time after which the offer cannot be accepted
+ * @param {string} params.hashlock - Hashlock mode, see HASHLOCK_MODES (default SHA256)
+ * @param {Buffer|string} params.secretHash - Bitcoin script hash of the secret
+ * @param {Object} params.btc - `{ network, amount, pubkey, timelock, scriptVersion }`: sats, the user's
+ *   BTC public key, the HTLC refund timelock and its template version
+ * @param {Object} params.evm - `{ chainId, factory, token, amount, safetyDeposit, address, timelocks }`: the
+ *   escrow terms, the user's EVM address and the escrow stage offsets keyed by TIMELOCK_STAGES
+ * @returns {Object} Unsigned offer
+ */
+export function createSwapOffer(params) {
+  return normalizeOffer({
+    version: SWAP_OFFER_VERSION,
+    type: SWAP_MESSAGE_TYPES.OFFER,
+    id: params.id || ethers.hexlify(ethers.randomBytes(16)),
+    direction: params.direction,
+    expiry: params.expiry,
+    hashlock: {
+      mode: params.hashlock || HASHLOCK_MODES.SHA256,
+      secretHash: toHex(params.secretHash)
+    },
+    btc: params.btc,
+    evm: params.evm
+  })
+}
+
+/**
+ * Validate an offer and bring every field to its canonical form
+ * @param {Object} offer - Offer
+ * @returns {Object} Normalized offer
+ */
+function normalizeOffer(offer) {
+  if (!DIRECTIONS.includes(offer.direction)) {
+    throw new Error(`Swap direction must be one of ${DIRECTIONS.join(', ')}, got ${offer.direction}`)
+  }
+  if (!Number.isInteger(offer.expiry) || offer.expiry <= 0) {
+    throw new Error(`Offer expiry must be a Unix time, got ${offer.expiry}`)
+  }
+  if (!isObject(offer.hashlock) || !isObject(offer.btc) || !isObject(offer.evm)) {
+    throw new Error('Offer needs hashlock, btc and evm terms')
+  }
+
+  const hashlock = new Hashlock(offer.hashlock.mode)
+  const secretHash = Buffer.from(String(toHex(offer.hashlock.secretHash)), 'hex')
+  hashlock.assertHashLength(secretHash)
+
+  const timelock = Timelock.from(offer.btc.timelock)
+  const scriptVersion = offer.btc.scriptVersion || CURRENT_SCRIPT_VERSION
+  if (!Object.values(SCRIPT_VERSIONS).includes(scriptVersion)) {
+    throw new Error(`Unsupported HTLC script version ${scriptVersion}`)
+  }
+  const btcAmount = Number(assertPositive(offer.btc.amount, 'BTC amount'))
+  if (!Number.isSafeInteger(btcAmount)) {
+    throw new Error(`BTC amount must be a whole number of satoshis, got ${offer.btc.amount}`)
+  }
+
+  const timelocks = {}
+  for (const stage of TIMELOCK_STAGES) {
+    const offset = offer.evm.timelocks && offer.evm.timelocks[stage]
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Escrow timelock ${stage} must be a number of seconds, got ${offset}`)
+    }
+    timelocks[stage] = offset
+  }
+  assertTimelockSequence(timelocks)
+
+  return {
+    version: offer.version,
+    type: offer.type,
+    id: String(offer.id),
+    direction: offer.direction,
+    expiry: offer.expiry,
+    hashlock: {
+      mode: hashlock.mode,
+      secretHash: secretHash.toString('hex'),
+      evmHashlock: hashlock.toEvmHashlock(secretHash)
+    },
+    btc: {
+      network: offer.btc.network || 'testnet',
+      amount: btcAmount,
+      pubkey: assertPubKey(offer.btc.pubkey, 'User BTC key'),
+      timelock: timelock.toJSON(),
+      scriptVersion
+    },
+    evm: {
+      chainId: Number(assertPositive(offer.evm.chainId, 'Chain ID')),
+      factory: ethers.getAddress(offer.evm.factory),
+      token: ethers.getAddress(offer.evm.token || ethers.ZeroAddress),
+      amount: assertPositive(offer.evm.amount, 'EVM amount').toString(),
+      safetyDeposit: BigInt(offer.evm.safetyDeposit ?? 0).toString(),
+      address: ethers.getAddress(offer.evm.address),
+      timelocks
+    },
+    signatures: offer.signatures
+  }
+}
+
+/**
+ * Build an unsigned acceptance of an offer by a resolver
+ * @param {Object} offer - Signed offer
+ * @param {Object} params - Resolver's side
+ * @param {string|Buffer} params.btcPubKey - Resolver's BTC public key
+ * @param {string} params.evmAddress - Resolver's EVM address
+ * @returns {Object} Unsigned acceptance
+ */
+export function createSwapAcceptance(offer, params) {
+  return normalizeAcceptance({
+    version: SWAP_OFFER_VERSION,
+    type: SWAP_MESSAGE_TYPES.ACCEPTANCE,
+    offerId: offer.id,
+    offerHash: swapMessageDigest(offer),
+    btc: { pubkey: toHex(params.btcPubKey) },
+    evm: { address: params.evmAddress }
+  })
+}
+
+/**
+ * Validate an acceptance and bring every field to its canonical form
+ * @param {Object} acceptance - Acceptance
+ * @returns {Object} Normalized acceptance
+ */
+function normalizeAcceptance(acceptance) {
+  if (!isObject(acceptance.btc) || !isObject(acceptance.evm)) {
+    throw new Error('Acceptance needs btc and evm terms')
+  }
+
+  return {
+    version: acceptance.version,
+    type: acceptance.type,
+    offerId: String(acceptance.offerId),
+    offerHash: ethers.hexlify(acceptance.offerHash),
+    btc: { pubkey: assertPubKey(acceptance.btc.pubkey, 'Resolver BTC key') },
+    evm: { address: ethers.getAddress(acceptance.evm.address) },
+    signatures: acceptance.signatures
+  }
+}
+
+/**
+ * Digest both keys sign: sha256 of a domain tag and the canonical message without its signatures
+ * @param {Object} message - Offer or acceptance
+ * @returns {string} 0x-prefixed sha256 digest
+ */
+export function swapMessageDigest(message) {
+  const { signatures, ...unsigned } = message
+  return '0x' + createHash('sha256').update(DOMAIN_TAG + canonicalize(unsigned)).digest('hex')
+}
+
+/**
+ * Sign a message with the BTC key and ETH wallet it names
+ * @param {Object} message - Offer or acceptance
+ * @param {Object} keys - Signing keys
+ * @param {bitcoin.ECPair} keys.btcKey - Key of `message.btc.pubkey`
+ * @param {ethers.Wallet} keys.ethWallet - Wallet of `message.evm.address`
+ * @returns {Object} Message with `signatures: { btc, eth }`
+ */
+export function signSwapMessage(message, keys) {
+  if (!keys.btcKey || !keys.ethWallet) {
+    throw new Error('Swap messages are signed with both a BTC key and an ETH wallet')
+  }
+  if (keys.btcKey.publicKey.toString('hex') !== message.btc.pubkey) {
+    throw new Error(`BTC key ${keys.btcKey.publicKey.toString('hex')} is not the message key ${message.btc.pubkey}`)
+  }
+  if (keys.ethWallet.address !== message.evm.address) {
+    throw new Error(`ETH wallet ${keys.ethWallet.address} is not the message address ${message.evm.address}`)
+  }
+
+  const digest = ethers.getBytes(swapMessageDigest(message))
+  return {
+    ...message,
+    signatures: {
+      btc: Buffer.from(ecc.sign(digest, keys.btcKey.privateKey)).toString('hex'),
+      eth: keys.ethWallet.signMessageSync(digest)
+    }
+  }
+}
+
+/**
+ * Check both signatures of a message and that an offer has not expired
+ * @param {Object} message - Signed offer or acceptance
+ * @param {Object} options - Verification options
+ * @param {number} options.now - Unix time to check the offer expiry against (default now)
+ * @returns {Object} The message
+ */
+export function verifySwapMessage(message, options = {}) {
+  if (!message.signatures || !message.signatures.btc || !message.signatures.eth) {
+    throw new Error(`Swap ${message.type} is not signed`)
+  }
+
+  const digest = ethers.getBytes(swapMessageDigest(message))
+  const btcSignature = Buffer.from(message.signatures.btc, 'hex')
+  if (btcSignature.length !== 64 || !ecc.verify(digest, Buffer.from(message.btc.pubkey, 'hex'), btcSignature)) {
+    throw new Error(`BTC signature of the swap ${message.type} does not match ${message.btc.pubkey}`)
+  }
+
+  let signer
+  try {
+    signer = ethers.verifyMessage(digest, message.signatures.eth)
+  } catch (error) {
+    throw new Error(`ETH signature of the swap ${message.type} is malformed`, { cause: error })
+  }
+  if (signer !== message.evm.address) {
+    throw new Error(`ETH signature of the swap ${message.type} is from ${signer}, not ${message.evm.address}`)
+  }
+
+  const now = options.now ?? Math.floor(Date.now() / 1000)
+  if (message.type === SWAP_MESSAGE_TYPES.OFFER && now >= message.expiry) {
+    throw new Error(`Swap offer ${message.id} expired at ${message.expiry}`)
+  }
+  return message
+}
+
+/**
+ * Serialize a message for the wire or a dispute record
+ * @param {Object} message - Offer or acceptance
+ * @returns {string} Canonical JSON
+ */
+export function serializeSwapMessage(message) {
+  return canonicalize(message)
+}
+
+/**
+ * Parse and validate a serialized message; signatures are checked by verifySwapMessage
+ * @param {string} text - Serialized offer or acceptance
+ * @returns {Object} Offer or acceptance
+ */
+export function parseSwapMessage(text) {
+  let message
+  try {
+    message = JSON.parse(text)
+  } catch (error) {
+    throw new Error('Swap message is not JSON', { cause: error })
+  }
+  if (!isObject(message) || message.version !== SWAP_OFFER_VERSION) {
+    throw new Error(`Unsupported swap message version ${isObject(message) ? message.version : undefined}`)
+  }
+
+  switch (message.type) {
+    case SWAP_MESSAGE_TYPES.OFFER:
+      return normalizeOffer(message)
+    case SWAP_MESSAGE_TYPES.ACCEPTANCE:
+      return normalizeAcceptance(message)
+    default:
+      throw new Error(`Unknown swap message type ${message.type}`)
+  }
+}
+
+/**
+ * Check a signed offer and acceptance belong together and work out the terms
+ * both legs are built from
+ * @param {Object} offer - Signed offer
+ * @param {Object} acceptance - Signed acceptance of the offer
+ * @param {Object} options - See verifySwapMessage; the offer must not have expired
+ * @returns {Object} `{ direction, btc, evm }`: the HTLC terms with redeemer and refunder keys, and
+ *   buildImmutables parameters with the offer digest as the order hash
+ */
+export function getAgreedTerms(offer, acceptance, options = {}) {
+  verifySwapMessage(offer, options)
+  verifySwapMessage(acceptance)
+  const offerHash = swapMessageDigest(offer)
+  if (acceptance.offerHash !== offerHash || acceptance.offerId !== offer.id) {
+    throw new Error(`Acceptance is for offer ${acceptance.offerId} (${acceptance.offerHash}), not ${offer.id} (${offerHash})`)
+  }
+
+  // The user locks BTC in BTC->ETH swaps and claims it in ETH->BTC swaps
+  const userPubKey = Buffer.from(offer.btc.pubkey, 'hex')
+  const resolverPubKey = Buffer.from(acceptance.btc.pubkey, 'hex')
+  const userRedeems = offer.direction === 'ETH->BTC'
+
+  return {
+    direction: offer.direction,
+    btc: {
+      network: offer.btc.network,
+      amount: offer.btc.amount,
+      redeemerPubKey: userRedeems ? userPubKey : resolverPubKey,
+      refunderPubKey: userRedeems ? resolverPubKey : userPubKey,
+      secretHash: Buffer.from(offer.hashlock.secretHash, 'hex'),
+      hashlock: offer.hashlock.mode,
+      timelock: offer.btc.timelock,
+      scriptVersion: offer.btc.scriptVersion
+    },
+    evm: {
+      chainId: offer.evm.chainId,
+      factory: offer.evm.factory,
+      orderHash: offerHash,
+      hashlock: offer.hashlock.evmHashlock,
+      maker: offer.evm.address,
+      taker: acceptance.evm.address,
+      token: offer.evm.token,
+      amount: offer.evm.amount,
+      safetyDeposit: offer.evm.safetyDeposit,
+      timelocks: offer.evm.timelocks
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { EventEmitter } from 'events'
+import { CrossChainSwap } from './cross-chain-swap.js'
+
+/**
+ * Runs every pending swap of a SwapJournal: on startup it reloads the swaps a
+ * previous process left unfinished, then advances all of them each round and
+ * journals the result, so claims and refunds go on across restarts.
+ *
+ * Events:
+ * - 'resumed' (id, swap) - a swap was reloaded from the journal
+ * - 'state' (id, state) - a swap moved to a new state
+ * - 'finished' (id, state) - a swap reached both-claimed or refunded
+ * - 'error' (error, id) - a round of one swap failed; the next round tries again.
+ *   Only emitted when someone listens for it.
+ */
+export class SwapRunner extends EventEmitter {
+  /**
+   * @param {SwapJournal} journal - Journal holding the swaps
+   * @param {Object} options - Runner options
+   * @param {SwapCoordinator} options.coordinator - Coordinator with an `rpc` client
+   * @param {EscrowClient} options.escrowClient - Escrow client signing for this party
+   * @param {Function} options.getKey - (pubkey, terms) => ECPair or null, for the keys this party holds
+   * @param {number} options.intervalMs - Time between rounds (default 30s)
+   * @param {Function} options.now - Clock returning Unix seconds, passed to reloaded swaps
+   */
+  constructor(journal, options = {}) {
+    super()
+    this.journal = journal
+    this.coordinator = options.coordinator
+    this.escrowClient = options.escrowClient
+    this.getKey = options.getKey || (() => null)
+    this.intervalMs = options.intervalMs ?? 30000
+    this.now = options.now
+    this.swaps = new Map()
+    this.timer = null
+  }
+
+  /**
+   * Journal a swap and advance it with the others
+   * @param {string} id - Swap ID
+   * @param {CrossChainSwap} swap - Swap
+   * @param {Object} meta - Data journaled with the swap, see SwapJournal#track
+   * @returns {CrossChainSwap} The swap
+   */
+  add(id, swap, meta) {
+    if (this.swaps.has(id)) {
+      throw new Error(`Swap ${id} is already running`)
+    }
+
+    const untrack = this.journal.track(id, swap, meta)
+    const onState = state => this.emit('state', id, state)
+    swap.on('state', onState)
+    this.swaps.set(id, {
+      swap,
+      detach: () => {
+        untrack()
+        swap.off('state', onState)
+      }
+    })
+    return swap
+  }
+
+  /**
+   * Reload every unfinished swap from the journal
+   * @returns {Array<string>} IDs of the reloaded swaps
+   */
+  resume() {
+    const ids = []
+    for (const record of this.journal.pending()) {
+      if (this.swaps.has(record.id)) {
+        continue
+      }
+
+      const swap = CrossChainSwap.fromRecord(this.coordinator, this.escrowClient, record, {
+        getKey: this.getKey,
+        secret: this.journal.decryptSecret(record),
+        now: this.now
+      })
+      this.add(record.id, swap, record.meta)
+      this.emit('resumed', record.id, swap)
+      ids.push(record.id)
+    }
+    return ids
+  }
+
+  /**
+   * Advance every running swap once and drop the finished ones
+   * @returns {Promise<Object>} State of each swap by ID
+   */
+  async tick() {
+    const states = {}
+    for (const [id, { swap, detach }] of this.swaps) {
+      try {
+        await swap.advance()
+      } catch (error) {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error, id)
+        }
+      }
+      states[id] = swap.state
+
+      if (swap.isFinal) {
+        detach()
+        this.swaps.delete(id)
+        this.emit('finished', id, swap.state)
+      }
+    }
+    return states
+  }
+
+  /**
+   * Resume the journal and run rounds every intervalMs until stop() is called
+   * @returns {SwapRunner} This runner
+   */
+  start() {
+    if (this.timer) {
+      return this
+    }
+
+    this.resume()
+    const tick = async () => {
+      try {
+        await this.tick()
+      } finally {
+        if (this.timer) {
+          this.timer = setTimeout(tick, this.intervalMs)
+        }
+      }
+    }
+    this.timer = setTimeout(tick, 0)
+    return this
+  }
+
+  /**
+   * Stop running rounds; the journal keeps the swaps for the next start
+   */
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+}
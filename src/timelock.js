@@ -0,0 +1,172 @@
+import * as bitcoin from 'bitcoinjs-lib'
+
+/**
+ * Timelocks an HTLC refund branch can use. Absolute timelocks are checked with
+ * OP_CHECKLOCKTIMEVERIFY against nLockTime, relative ones with
+ * OP_CHECKSEQUENCEVERIFY (BIP112) against the nSequence of the refund input.
+ */
+export const TIMELOCK_TYPES = {
+  TIMESTAMP: 'timestamp',             // Unix time, compared to median-time-past
+  BLOCK_HEIGHT: 'blocks',             // absolute block height
+  RELATIVE_BLOCKS: 'relative-blocks', // blocks after the funding confirms
+  RELATIVE_TIME: 'relative-time'      // seconds after the funding confirms, in 512s steps
+}
+
+// nLockTime values below this are block heights, above are Unix timestamps
+export const LOCKTIME_THRESHOLD = 500000000
+
+// Below 0xfffffffe: enables nLockTime and signals BIP125 replaceability
+export const SEQUENCE_RBF = 0xfffffffd
+
+const SEQUENCE_TYPE_FLAG = 1 << 22
+const SEQUENCE_GRANULARITY = 512
+const MAX_RELATIVE_VALUE = 0xffff
+
+/**
+ * Timelock of the refund branch of one HTLC
+ */
+export class Timelock {
+  /**
+   * @param {string} type - Timelock type, see TIMELOCK_TYPES
+   * @param {number} value - Timestamp, block height, relative blocks or relative seconds
+   */
+  constructor(type, value) {
+    if (!Object.values(TIMELOCK_TYPES).includes(type)) {
+      throw new Error(`Unsupported timelock type "${type}": use one of ${Object.values(TIMELOCK_TYPES).join(', ')}`)
+    }
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Timelock value must be a positive integer, got ${value}`)
+    }
+
+    switch (type) {
+      case TIMELOCK_TYPES.TIMESTAMP:
+        if (value < LOCKTIME_THRESHOLD || value > 0xffffffff) {
+          throw new Error(`Timestamp timelocks must be Unix times from ${LOCKTIME_THRESHOLD}, got ${value}`)
+        }
+        break
+      case TIMELOCK_TYPES.BLOCK_HEIGHT:
+        if (value >= LOCKTIME_THRESHOLD) {
+          throw new Error(`Block height timelocks must be below ${LOCKTIME_THRESHOLD}, got ${value}`)
+        }
+        break
+      case TIMELOCK_TYPES.RELATIVE_BLOCKS:
+        if (value > MAX_RELATIVE_VALUE) {
+          throw new Error(`Relative timelocks are at most ${MAX_RELATIVE_VALUE} blocks, got ${value}`)
+        }
+        break
+      case TIMELOCK_TYPES.RELATIVE_TIME:
+        // BIP68 counts time in 512-second units; round up so the delay is never shorter
+        value = Math.ceil(value / SEQUENCE_GRANULARITY) * SEQUENCE_GRANULARITY
+        if (value / SEQUENCE_GRANULARITY > MAX_RELATIVE_VALUE) {
+          throw new Error(`Relative timelocks are at most ${MAX_RELATIVE_VALUE * SEQUENCE_GRANULARITY} seconds, got ${value}`)
+        }
+        break
+    }
+
+    this.type = type
+    this.value = value
+    this.isRelative = type === TIMELOCK_TYPES.RELATIVE_BLOCKS || type === TIMELOCK_TYPES.RELATIVE_TIME
+    this.opcode = this.isRelative
+      ? bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY
+      : bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY
+  }
+
+  /**
+   * Number the refund branch pushes before its CLTV/CSV
+   * @returns {number} nLockTime or BIP68 nSequence value
+   */
+  get scriptNumber() {
+    return this.isRelative ? this.sequence : this.value
+  }
+
+  /**
+   * nLockTime a refund transaction needs
+   * @returns {number} Timestamp or block height, 0 for relative timelocks
+   */
+  get locktime() {
+    return this.isRelative ? 0 : this.value
+  }
+
+  /**
+   * nSequence the refund input needs
+   * @returns {number} BIP68 relative locktime, or SEQUENCE_RBF to enable nLockTime
+   */
+  get sequence() {
+    switch (this.type) {
+      case TIMELOCK_TYPES.RELATIVE_BLOCKS:
+        return this.value
+      case TIMELOCK_TYPES.RELATIVE_TIME:
+        return SEQUENCE_TYPE_FLAG | (this.value / SEQUENCE_GRANULARITY)
+      default:
+        return SEQUENCE_RBF
+    }
+  }
+
+  /**
+   * Plain form for swap configs
+   * @returns {Object} Type and value
+   */
+  toJSON() {
+    return { type: this.type, value: this.value }
+  }
+
+  /**
+   * Absolute timelock for a bare nLockTime value, typed the way consensus reads it
+   * @param {number} locktime - Block height or Unix timestamp
+   * @returns {Timelock} Timelock
+   */
+  static fromLocktime(locktime) {
+    return new Timelock(
+      locktime < LOCKTIME_THRESHOLD ? TIMELOCK_TYPES.BLOCK_HEIGHT : TIMELOCK_TYPES.TIMESTAMP,
+      locktime
+    )
+  }
+
+  /**
+   * Timelock from the number an HTLC script pushes before its CLTV/CSV
+   * @param {number} opcode - OP_CHECKLOCKTIMEVERIFY or OP_CHECKSEQUENCEVERIFY
+   * @param {number} scriptNumber - nLockTime or BIP68 nSequence value, see scriptNumber
+   * @returns {Timelock} Timelock
+   */
+  static fromScriptNumber(opcode, scriptNumber) {
+    if (opcode === bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY) {
+      return Timelock.fromLocktime(scriptNumber)
+    }
+    if (opcode !== bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY) {
+      throw new Error(`Opcode ${opcode} is neither OP_CHECKLOCKTIMEVERIFY nor OP_CHECKSEQUENCEVERIFY`)
+    }
+    if ((scriptNumber & ~(SEQUENCE_TYPE_FLAG | MAX_RELATIVE_VALUE)) !== 0) {
+      throw new Error(`Relative timelock ${scriptNumber} sets BIP68 bits this library does not use`)
+    }
+    return scriptNumber & SEQUENCE_TYPE_FLAG
+      ? new Timelock(TIMELOCK_TYPES.RELATIVE_TIME, (scriptNumber & MAX_RELATIVE_VALUE) * SEQUENCE_GRANULARITY)
+      : new Timelock(TIMELOCK_TYPES.RELATIVE_BLOCKS, scriptNumber)
+  }
+
+  /**
+   * Timestamp timelock a number of hours from now
+   * @param {number} hours - Timeout in hours
+   * @returns {Timelock} Timelock
+   */
+  static fromTimeoutHours(hours) {
+    return new Timelock(TIMELOCK_TYPES.TIMESTAMP, Math.floor(Date.now() / 1000) + (hours * 3600))
+  }
+
+  /**
+   * Accept a Timelock, its plain form, or a bare nLockTime value
+   * @param {Timelock|Object|number} timelock - Timelock
+   * @returns {Timelock} Timelock
+   */
+  static from(timelock) {
+    if (timelock instanceof Timelock) {
+      return timelock
+    }
+    if (typeof timelock === 'number') {
+      return Timelock.fromLocktime(timelock)
+    }
+    if (timelock && timelock.type) {
+      return new Timelock(timelock.type, timelock.value)
+    }
+    throw new Error('Timelock must be a Timelock, { type, value } or an nLockTime number')
+  }
+}
@@ -0,0 +1,267 @@
+import * as bitcoin from 'bitcoinjs-lib'
+import * as ecc from 'tiny-secp256k1'
+
+/**
+ * Minimal script interpreter for the tests: executes an input spend of the HTLC
+ * output types with the consensus rules the HTLC scripts rely on (BIP16, BIP65,
+ * BIP68/112, BIP141/143, BIP341/342, MINIMALIF and CLEANSTACK), so tests can check that a signed
+ * transaction would really be accepted.
+ */
+
+const OPS = bitcoin.opcodes
+const LOCKTIME_THRESHOLD = 500000000
+
+function fail(message) {
+  throw new Error(`Script verification failed: ${message}`)
+}
+
+function isTrue(item) {
+  for (let i = 0; i < item.length; i++) {
+    if (item[i] !== 0) {
+      return !(i === item.length - 1 && item[i] === 0x80)
+    }
+  }
+  return false
+}
+
+function checkLockTime(tx, inputIndex, required) {
+  if (required < 0) fail('negative locktime')
+  if ((required < LOCKTIME_THRESHOLD) !== (tx.locktime < LOCKTIME_THRESHOLD)) fail('locktime type mismatch')
+  if (required > tx.locktime) fail(`locktime ${tx.locktime} is before ${required}`)
+  if (tx.ins[inputIndex].sequence === 0xffffffff) fail('input is final, locktime not enforced')
+}
+
+function checkSequence(tx, inputIndex, required) {
+  if (required < 0) fail('negative sequence')
+  if (required & (1 << 31)) return // disable flag set, CSV acts as a NOP
+
+  const sequence = tx.ins[inputIndex].sequence
+  if (tx.version < 2) fail('OP_CHECKSEQUENCEVERIFY requires transaction version 2')
+  if (sequence & (1 << 31)) fail('input sequence has relative locktime disabled')
+  if ((required & (1 << 22)) !== (sequence & (1 << 22))) fail('relative locktime type mismatch')
+  if ((required & 0xffff) > (sequence & 0xffff)) fail(`relative locktime ${sequence & 0xffff} is before ${required & 0xffff}`)
+}
+
+/**
+ * Execute a script on a stack
+ * @param {Buffer} script - Script to run
+ * @param {Array<Buffer>} stack - Initial stack, bottom first
+ * @param {Function} checkSig - (signature, pubkey) => boolean
+ * @param {Object} context - Transaction, input index, and whether the script is a tapscript
+ * @returns {Array<Buffer>} Final stack
+ */
+export function executeScript(script, stack, checkSig, context) {
+  const chunks = bitcoin.script.decompile(script)
+  if (!chunks) fail('script does not decompile')
+
+  const execStack = []
+  const executing = () => execStack.every(Boolean)
+
+  for (const chunk of chunks) {
+    if (Buffer.isBuffer(chunk)) {
+      if (executing()) stack.push(chunk)
+      continue
+    }
+
+    if (chunk === OPS.OP_IF || chunk === OPS.OP_NOTIF) {
+      let value = false
+      if (executing()) {
+        if (stack.length === 0) fail('OP_IF on empty stack')
+        const top = stack.pop()
+        if (top.length > 1 || (top.length === 1 && top[0] !== 1)) fail('OP_IF argument is not minimal')
+        value = top.length === 1
+        if (chunk === OPS.OP_NOTIF) value = !value
+      }
+      execStack.push(value)
+      continue
+    }
+    if (chunk === OPS.OP_ELSE) {
+      if (execStack.length === 0) fail('unbalanced OP_ELSE')
+      execStack.push(!execStack.pop())
+      continue
+    }
+    if (chunk === OPS.OP_ENDIF) {
+      if (execStack.length === 0) fail('unbalanced OP_ENDIF')
+      execStack.pop()
+      continue
+    }
+    if (!executing()) continue
+
+    if (chunk === OPS.OP_0) {
+      stack.push(Buffer.alloc(0))
+    } else if (chunk >= OPS.OP_1 && chunk <= OPS.OP_16) {
+      stack.push(bitcoin.script.number.encode(chunk - OPS.OP_1 + 1))
+    } else if (chunk === OPS.OP_1NEGATE) {
+      stack.push(bitcoin.script.number.encode(-1))
+    } else {
+      switch (chunk) {
+        case OPS.OP_DROP:
+          if (stack.length === 0) fail('stack underflow')
+          stack.pop()
+          break
+        case OPS.OP_DUP:
+          if (stack.length === 0) fail('stack underflow')
+          stack.push(stack[stack.length - 1])
+          break
+        case OPS.OP_SIZE:
+          if (stack.length === 0) fail('stack underflow')
+          stack.push(bitcoin.script.number.encode(stack[stack.length - 1].length))
+          break
+        case OPS.OP_SHA256:
+          if (stack.length === 0) fail('stack underflow')
+          stack.push(bitcoin.crypto.sha256(stack.pop()))
+          break
+        case OPS.OP_HASH160:
+          if (stack.length === 0) fail('stack underflow')
+          stack.push(bitcoin.crypto.hash160(stack.pop()))
+          break
+        case OPS.OP_RIPEMD160:
+          if (stack.length === 0) fail('stack underflow')
+          stack.push(bitcoin.crypto.ripemd160(stack.pop()))
+          break
+        case OPS.OP_EQUAL:
+        case OPS.OP_EQUALVERIFY: {
+          if (stack.length < 2) fail('stack underflow')
+          const equal = stack.pop().equals(stack.pop())
+          if (chunk === OPS.OP_EQUALVERIFY) {
+            if (!equal) fail('OP_EQUALVERIFY')
+          } else {
+            stack.push(equal ? Buffer.from([1]) : Buffer.alloc(0))
+          }
+          break
+        }
+        case OPS.OP_VERIFY:
+          if (stack.length === 0 || !isTrue(stack.pop())) fail('OP_VERIFY')
+          break
+        case OPS.OP_CHECKSIG:
+        case OPS.OP_CHECKSIGVERIFY: {
+          if (stack.length < 2) fail('stack underflow')
+          const pubkey = stack.pop()
+          const signature = stack.pop()
+          const valid = signature.length > 0 && checkSig(signature, pubkey)
+          // BIP342: a non-empty signature that fails validation fails the script
+          if (!valid && signature.length > 0 && context.tapscript) fail('invalid Schnorr signature')
+          if (chunk === OPS.OP_CHECKSIGVERIFY) {
+            if (!valid) fail('OP_CHECKSIGVERIFY')
+          } else {
+            stack.push(valid ? Buffer.from([1]) : Buffer.alloc(0))
+          }
+          break
+        }
+        case OPS.OP_CHECKLOCKTIMEVERIFY:
+          if (stack.length === 0) fail('stack underflow')
+          checkLockTime(context.tx, context.inputIndex, bitcoin.script.number.decode(stack[stack.length - 1], 5))
+          break
+        case OPS.OP_CHECKSEQUENCEVERIFY:
+          if (stack.length === 0) fail('stack underflow')
+          checkSequence(context.tx, context.inputIndex, bitcoin.script.number.decode(stack[stack.length - 1], 5))
+          break
+        default:
+          fail(`unsupported opcode ${chunk}`)
+      }
+    }
+  }
+
+  if (execStack.length > 0) fail('unbalanced conditional')
+  return stack
+}
+
+function assertCleanStack(stack) {
+  if (stack.length !== 1) fail(`${stack.length} items left on the stack`)
+  if (!isTrue(stack[0])) fail('script evaluated to false')
+}
+
+function verifyWitnessV0(tx, inputIndex, program, value, witness) {
+  if (program.length !== 32) fail('only P2WSH witness programs are supported')
+  if (witness.length === 0) fail('empty witness')
+
+  const witnessScript = witness[witness.length - 1]
+  if (!bitcoin.crypto.sha256(witnessScript).equals(program)) fail('witness script does not match program')
+
+  const checkSig = (signature, pubkey) => {
+    const hashType = signature[signature.length - 1]
+    const decoded = bitcoin.script.signature.decode(signature)
+    const sighash = tx.hashForWitnessV0(inputIndex, witnessScript, value, hashType)
+    return ecc.verify(sighash, pubkey, decoded.signature)
+  }
+
+  const stack = executeScript(witnessScript, witness.slice(0, -1), checkSig, { tx, inputIndex })
+  assertCleanStack(stack)
+}
+
+function verifyWitnessV1(tx, inputIndex, program, prevOutputs, witness) {
+  let stack = witness.slice()
+  if (stack.length >= 2 && stack[stack.length - 1][0] === 0x50) stack = stack.slice(0, -1) // annex
+  if (stack.length < 2) fail('only script path spends are supported')
+
+  const controlBlock = stack.pop()
+  const leafScript = stack.pop()
+  if ((controlBlock.length - 33) % 32 !== 0) fail('bad control block size')
+  const leafVersion = controlBlock[0] & 0xfe
+  const internalKey = controlBlock.subarray(1, 33)
+
+  // BIP341 leaf hash: leaf version, CompactSize script length, script (test scripts stay under 64 KiB)
+  const scriptLength = leafScript.length < 0xfd
+    ? Buffer.from([leafScript.length])
+    : Buffer.from([0xfd, leafScript.length & 0xff, leafScript.length >> 8])
+  const leafHash = bitcoin.crypto.taggedHash('TapLeaf', Buffer.concat([Buffer.from([leafVersion]), scriptLength, leafScript]))
+  let node = leafHash
+  for (let offset = 33; offset < controlBlock.length; offset += 32) {
+    const sibling = controlBlock.subarray(offset, offset + 32)
+    node = bitcoin.crypto.taggedHash('TapBranch', Buffer.compare(node, sibling) < 0
+      ? Buffer.concat([node, sibling])
+      : Buffer.concat([sibling, node]))
+  }
+
+  const tweak = bitcoin.crypto.taggedHash('TapTweak', Buffer.concat([internalKey, node]))
+  const tweaked = ecc.xOnlyPointAddTweak(internalKey, tweak)
+  if (!tweaked || !Buffer.from(tweaked.xOnlyPubkey).equals(program)) fail('control block does not commit to the output key')
+  if (tweaked.parity !== (controlBlock[0] & 1)) fail('control block parity mismatch')
+
+  const prevOutScripts = prevOutputs.map(output => output.script)
+  const values = prevOutputs.map(output => output.value)
+  const checkSig = (signature, pubkey) => {
+    if (pubkey.length !== 32) fail('tapscript public keys must be 32 bytes')
+    if (signature.length !== 64 && signature.length !== 65) fail('bad Schnorr signature size')
+    const hashType = signature.length === 65 ? signature[64] : bitcoin.Transaction.SIGHASH_DEFAULT
+    const sighash = tx.hashForWitnessV1(inputIndex, prevOutScripts, values, hashType, leafHash)
+    return ecc.verifySchnorr(sighash, pubkey, signature.subarray(0, 64))
+  }
+
+  const result = executeScript(leafScript, stack, checkSig, { tx, inputIndex, tapscript: true })
+  assertCleanStack(result)
+}
+
+/**
+ * Verify that an input correctly spends its previous output
+ * @param {bitcoin.Transaction} tx - Spending transaction
+ * @param {number} inputIndex - Input to verify
+ * @param {Array<Object>} prevOutputs - { script, value } of every input's previous output
+ */
+export function verifyInput(tx, inputIndex, prevOutputs) {
+  const { script: prevOutScript, value } = prevOutputs[inputIndex]
+  const input = tx.ins[inputIndex]
+  const witness = input.witness || []
+  let program = prevOutScript
+
+  const isP2SH = prevOutScript.length === 23 &&
+    prevOutScript[0] === OPS.OP_HASH160 && prevOutScript[1] === 0x14 && prevOutScript[22] === OPS.OP_EQUAL
+
+  if (isP2SH) {
+    const pushes = bitcoin.script.decompile(input.script) || []
+    if (pushes.length !== 1 || !Buffer.isBuffer(pushes[0])) fail('P2SH scriptSig must be a single push')
+    if (!bitcoin.crypto.hash160(pushes[0]).equals(prevOutScript.subarray(2, 22))) fail('redeem script does not match P2SH hash')
+    program = pushes[0]
+  } else if (input.script.length > 0) {
+    fail('native segwit input must have an empty scriptSig')
+  }
+
+  if (program.length === 34 && program[0] === OPS.OP_0 && program[1] === 0x20) {
+    return verifyWitnessV0(tx, inputIndex, program.subarray(2), value, witness)
+  }
+  if (!isP2SH && program.length === 34 && program[0] === OPS.OP_1 && program[1] === 0x20) {
+    return verifyWitnessV1(tx, inputIndex, program.subarray(2), prevOutputs, witness)
+  }
+
+  fail('unsupported previous output script')
+}
@@ -1,24 +1,21 @@
+import { createHash, randomBytes } from 'crypto'
+import * as bitcoinjs from 'bitcoinjs-lib'
 import { BitcoinSDKHTLC } from '../src/bitcoin-sdk-htlc.js'
 import { BitcoinSDKCoordinator } from '../src/bitcoin-sdk-coordinator.js'
+import { TIMELOCK_TYPES } from '../src/timelock.js'
+import { verifyInput } from './script-vm.js'
 
 console.log('🧪 Testing Bitcoin SDK HTLC Implementation')
 console.log('==========================================\n')
 
 let testsPassed = 0
 let testsTotal = 0
+const tests = []
 
+// Tests run in order once every test is registered; async tests are awaited
 function test(name, fn) {
   testsTotal++
-  console.log(`🔄 Testing: ${name}`)
-  
-  fn()
-    .then(() => {
-      console.log(`✅ ${name}`)
-      testsPassed++
-    })
-    .catch(error => {
-      console.log(`❌ ${name}: ${error.message}`)
-    })
+  tests.push({ name, fn })
 }
 
 function assert(condition, message) {
@@ -47,6 +44,8 @@ test('Secret generation', async () => {
   assert(hash, 'Should have hash')
   assert(typeof secret === 'string', 'Secret should be string')
   assert(typeof hash === 'string', 'Hash should be string')
+  assert(secret.length === 64, 'Secret should be 32 bytes')
+  assert(hash === createHash('sha256').update(Buffer.from(secret, 'hex')).digest('hex'), 'Hash should be the SHA256 the script checks')
 })
 
 // Test HTLC script creation
@@ -130,15 +129,89 @@ test('ETH→BTC swap setup', async () => {
   assert(swapConfig.address, 'Should have address')
 })
 
+// Test signed spends against the script, as the bitcoinjs SwapCoordinator tests do
+test('Redeem and refund round-trip through the HTLC script', async () => {
+  const coordinator = new BitcoinSDKCoordinator('testnet')
+  const network = bitcoinjs.networks.testnet
+  const userPrivateKey = randomBytes(32).toString('hex')
+  const resolverPrivateKey = randomBytes(32).toString('hex')
+  const secret = randomBytes(32)
+  const secretHash = createHash('sha256').update(secret).digest('hex')
+
+  const swapConfig = await coordinator.setupETHtoBTC(
+    coordinator.htlc.getPublicKey(userPrivateKey),
+    resolverPrivateKey,
+    secretHash,
+    24,
+    { timelock: { type: TIMELOCK_TYPES.BLOCK_HEIGHT, value: 2500000 } }
+  )
+  assert(swapConfig.resolverPublicKey === coordinator.htlc.getPublicKey(resolverPrivateKey), 'Refund key should come from the resolver private key')
+
+  const output = bitcoinjs.payments.p2wsh({ redeem: { output: Buffer.from(swapConfig.htlcScript, 'hex') }, network })
+  const prevOutputs = [{ script: output.output, value: 100000 }]
+  const destination = bitcoinjs.payments.p2wpkh({ pubkey: Buffer.from(swapConfig.userPublicKey, 'hex'), network }).address
+  assert(swapConfig.address === output.address, 'SDK address should match the bitcoinjs P2WSH address')
+
+  const redeemTx = bitcoinjs.Transaction.fromHex(await coordinator.createRedeemTransaction(
+    { ...swapConfig, userPrivateKey }, 'dd'.repeat(32), 0, 100000, destination, secret.toString('hex')
+  ))
+  verifyInput(redeemTx, 0, prevOutputs)
+
+  const refundTx = bitcoinjs.Transaction.fromHex(
+    await coordinator.createRefundTransaction(swapConfig, 'dd'.repeat(32), 0, 100000, destination)
+  )
+  assert(refundTx.locktime === 2500000, 'Refund should carry the HTLC locktime')
+  verifyInput(refundTx, 0, prevOutputs)
+
+  const wrongSecretTx = bitcoinjs.Transaction.fromHex(await coordinator.createRedeemTransaction(
+    { ...swapConfig, userPrivateKey }, 'dd'.repeat(32), 0, 100000, destination, randomBytes(32).toString('hex')
+  ))
+  let errorThrown = false
+  try {
+    verifyInput(wrongSecretTx, 0, prevOutputs)
+  } catch (error) {
+    errorThrown = true
+  }
+  assert(errorThrown, 'A redeem with the wrong secret should fail script verification')
+
+  const rejects = async (fn, pattern) => {
+    try {
+      await fn()
+    } catch (error) {
+      assert(pattern.test(error.message), `Unexpected error: ${error.message}`)
+      return
+    }
+    throw new Error(`Expected an error matching ${pattern}`)
+  }
+  await rejects(
+    () => coordinator.createRedeemTransaction(swapConfig, 'dd'.repeat(32), 0, 100000, destination, secret.toString('hex')),
+    /no user private key/
+  )
+  await rejects(
+    () => coordinator.createRedeemTransaction({ ...swapConfig, userPrivateKey: resolverPrivateKey }, 'dd'.repeat(32), 0, 100000, destination, secret.toString('hex')),
+    /does not match the redeem key/
+  )
+})
+
 // Run all tests
-setTimeout(() => {
-  console.log(`\n🏁 Tests Complete: ${testsPassed}/${testsTotal} passed`)
-  
-  if (testsPassed === testsTotal) {
-    console.log('🎉 All tests passed!')
-  } else {
-    console.log('❌ Some tests failed')
-    console.log('\n💡 Note: Some tests may fail if bitcoin-sdk-js is not properly installed')
-    console.log('   Run: npm install bitcoin-sdk-js')
+for (const { name, fn } of tests) {
+  console.log(`🔄 Testing: ${name}`)
+  try {
+    await fn()
+    console.log(`✅ ${name}`)
+    testsPassed++
+  } catch (error) {
+    console.log(`❌ ${name}: ${error.message}`)
   }
-}, 2000) // Give async tests time to complete
\ No newline at end of file
+}
+
+console.log(`\n🏁 Tests Complete: ${testsPassed}/${testsTotal} passed`)
+
+if (testsPassed === testsTotal) {
+  console.log('🎉 All tests passed!')
+} else {
+  console.log('❌ Some tests failed')
+  console.log('\n💡 Note: Some tests may fail if bitcoin-sdk-js is not properly installed')
+  console.log('   Run: npm install bitcoin-sdk-js')
+  process.exit(1)
+}
\ No newline at end of file